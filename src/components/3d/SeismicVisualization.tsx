@@ -1,5 +1,7 @@
 'use client';
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { createRandom } from '../../utils/seismic/random';
+import { EC8_GROUND_TYPES, SpectralShape } from '../../utils/seismic/designSpectra';
 
 /* ─────────────────────────────────────────────────────────────────────────────
    SEISMIC VISUALIZATION — SDOF Newmark-β Physics Engine
@@ -12,12 +14,12 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
    • Styled for dark theme with indigo/cyan accent palette
 ─────────────────────────────────────────────────────────────────────────────── */
 
-// ── Soil amplification table (EC8 site classes) ──────────────────────────────
-const SOIL_TABLE: Record<string, { label: string; S: number; Tb: number; Tc: number; Td: number; color: string }> = {
-  A: { label: 'Rock (Class A)', S: 1.0, Tb: 0.15, Tc: 0.4, Td: 2.0, color: '#34d399' },
-  B: { label: 'Stiff Soil (B)', S: 1.2, Tb: 0.15, Tc: 0.5, Td: 2.0, color: '#22d3ee' },
-  C: { label: 'Medium Soil (C)', S: 1.15, Tb: 0.20, Tc: 0.6, Td: 2.0, color: '#fb923c' },
-  D: { label: 'Soft Soil (D)', S: 1.35, Tb: 0.20, Tc: 0.8, Td: 2.0, color: '#fb7185' },
+// ── Soil amplification table (EC8 type 1 ground types) ───────────────────────
+const SOIL_TABLE: Record<string, SpectralShape & { label: string; color: string }> = {
+  A: { label: 'Rock (Class A)', ...EC8_GROUND_TYPES[1].A, color: '#34d399' },
+  B: { label: 'Stiff Soil (B)', ...EC8_GROUND_TYPES[1].B, color: '#22d3ee' },
+  C: { label: 'Medium Soil (C)', ...EC8_GROUND_TYPES[1].C, color: '#fb923c' },
+  D: { label: 'Soft Soil (D)', ...EC8_GROUND_TYPES[1].D, color: '#fb7185' },
 };
 
 const CODE_DRIFT_LIMIT = 0.025; // 2.5% drift ratio limit (EC8 life safety)
@@ -27,8 +29,9 @@ const DT = 0.005; // simulation time step (seconds)
 const SIM_DURATION = 30; // seconds
 
 // ── Kanai-Tajimi + envelope ground motion generator ───────────────────────────
-function generateGroundMotion(magnitude: number, distKm: number, soilClass: string): Float64Array {
+function generateGroundMotion(magnitude: number, distKm: number, soilClass: string, seed: number): Float64Array {
   const soil = SOIL_TABLE[soilClass];
+  const random = createRandom(seed);
   const n = Math.floor(SIM_DURATION / DT);
   const ag = new Float64Array(n);
 
@@ -55,7 +58,7 @@ function generateGroundMotion(magnitude: number, distKm: number, soilClass: stri
     }
 
     // White-noise excitation
-    const wn = (Math.random() * 2 - 1);
+    const wn = random.uniform(-1, 1);
 
     // Simple 1-pole Kanai-Tajimi filter approximation
     v = v * Math.exp(-0.6 * ωg * DT) + wn * DT * ωg;
@@ -147,6 +150,7 @@ const SeismicVisualization: React.FC<SeismicVisualizationProps> = ({
   const [naturalPeriod, setNaturalPeriod] = useState(0.8);
   const [isPlaying, setIsPlaying] = useState(false);
   const [simSpeed, setSimSpeed] = useState(3);
+  const [seed, setSeed] = useState(1); // Same scenario + seed always gives the same record
 
   // Simulation state refs (avoid re-renders during animation)
   const canvasRef = useRef<HTMLCanvasElement>(null);
@@ -165,7 +169,7 @@ const SeismicVisualization: React.FC<SeismicVisualizationProps> = ({
 
   // Generate simulation data
   const runSim = useCallback(() => {
-    const ag = generateGroundMotion(magnitude, distance, soilClass);
+    const ag = generateGroundMotion(magnitude, distance, soilClass, seed);
     const { u } = solveSDOF(ag, naturalPeriod, damping / 100);
     agRef.current = ag;
     uRef.current = u;
@@ -174,7 +178,7 @@ const SeismicVisualization: React.FC<SeismicVisualizationProps> = ({
     let maxPGA = 0, maxU = 0;
     for (let i = 0; i < ag.length; i++) { maxPGA = Math.max(maxPGA, Math.abs(ag[i])); maxU = Math.max(maxU, Math.abs(u[i])); }
     setMetrics({ pga: maxPGA / 9.81, maxDisp: maxU * 100, maxDrift: (maxU / (NUM_FLOORS * FLOOR_HEIGHT_M)) * 100, time: 0 });
-  }, [magnitude, distance, soilClass, damping, naturalPeriod]);
+  }, [magnitude, distance, soilClass, damping, naturalPeriod, seed]);
 
   // Generate on param change
   useEffect(() => { runSim(); }, [runSim]);
@@ -474,7 +478,7 @@ const SeismicVisualization: React.FC<SeismicVisualizationProps> = ({
                 </button>
               ))}
             </div>
-            <p className="text-[10px] mt-1.5" style={{ color: soil.color }}>{soil.label} · S={soil.S}</p>
+            <p className="text-[10px] mt-1.5" style={{ color: soil.color }}>{soil.label} · S={soil.S} · Tc={soil.Tc}s</p>
           </div>
 
           {/* Speed */}
@@ -491,7 +495,7 @@ const SeismicVisualization: React.FC<SeismicVisualizationProps> = ({
 
           {/* Action Buttons */}
           <div className="flex gap-2 mt-auto pt-3 border-t border-white/5">
-            <button onClick={() => { runSim(); setIsPlaying(false); frameRef.current = 0; drawFrame(0); }}
+            <button onClick={() => { setSeed(s => s + 1); setIsPlaying(false); frameRef.current = 0; drawFrame(0); }}
               className="flex-1 py-2.5 rounded-xl text-sm font-semibold bg-white/5 border border-white/10 text-gray-300 hover:bg-white/10 hover:text-white transition-all"
             >Regenerate</button>
             <button onClick={() => setIsPlaying(p => !p)}
@@ -28,6 +28,11 @@ import {
   damageVertexShaderSource,
   damageFragmentShaderSource
 } from './ShaderEffects';
+import { createRandom } from '../../utils/seismic/random';
+import { createShearBuildingModel } from '../../utils/seismic/simulationEngine';
+import { sideswayCollapseDrift, stabilityCoefficients } from '../../utils/seismic/pDelta';
+import { generateRealisticWaveform } from '../../utils/seismic/waveformGenerator';
+import useStructuralSimulation from '../../hooks/useStructuralSimulation';
 
 // Register Chart.js components
 ChartJS.register(
@@ -45,6 +50,23 @@ ChartJS.register(
   Colors
 );
 
+// Story height of the demonstration building (m)
+const STORY_HEIGHT = 3;
+// Floor mass of the demonstration building (kg)
+const FLOOR_MASS = 1.0e6;
+// Design base shear of the demonstration building as a fraction of its weight
+const DESIGN_BASE_SHEAR = 0.06;
+
+/**
+ * Median PGA of a scenario (Campbell, 1981) with a site amplification factor
+ * @param {number} magnitude Moment magnitude
+ * @param {number} distance Distance to the rupture (km)
+ * @param {number} soilFactor Site amplification of the PGA
+ * @returns {number} PGA in g
+ */
+const estimatePGA = (magnitude, distance, soilFactor) =>
+  Math.exp(-4.141 + 0.868 * magnitude - 1.09 * Math.log(distance + 0.0606 * Math.exp(0.7 * magnitude))) * soilFactor;
+
 /**
  * Enhanced SeismicVisualization component with WebGL rendering
  * Creates ultra-realistic, data-rich visualizations for seismic response
@@ -220,6 +242,85 @@ const SeismicVisualizationEnhanced = ({
     }
   };
 
+  // Helper to get calculated values for the current parameters
+  const getCalculatedValues = () => {
+    // Calculate PGA based on magnitude, distance, and soil conditions
+    const adjustedPGA = estimatePGA(magnitude, distance, SOIL_AMPLIFICATION_FACTORS[soilType].Fa); // in g
+    
+    return {
+      pga: adjustedPGA.toFixed(3),
+      frequency: 1 / (0.3 + 0.1 * magnitude), // Simplified natural frequency calculation
+      displacement: (adjustedPGA * 981 * 0.7 * EARTH_GRAVITY).toFixed(1) // Simplified displacement estimation in cm
+    };
+  };
+
+  const { run: runSimulation, response: simulationResponse, error: simulationError } = useStructuralSimulation();
+  const { stiffnessModifier } = materialProperties[structuralMaterial];
+  const estimatedPGA = Number(getCalculatedValues().pga);
+
+  // P-Delta model of the demonstration building: floors carry their self-weight on
+  // elastic-perfectly-plastic stories sized for the design base shear, under a record
+  // scaled to the estimated PGA and seeded by the scenario
+  const demonstration = useMemo(() => {
+    const totalWeight = numFloors * FLOOR_MASS * EARTH_GRAVITY;
+    const heightSum = numFloors * (numFloors + 1) / 2;
+    const model = createShearBuildingModel({
+      numStories: numFloors,
+      storyHeight: STORY_HEIGHT,
+      totalMass: numFloors * FLOOR_MASS,
+      fundamentalPeriod: 0.1 * numFloors / Math.sqrt(stiffnessModifier),
+      // Story shears of design lateral forces proportional to floor height (equal floor masses)
+      storySprings: Array.from({ length: numFloors }, (_, i) => ({
+        model: 'elastic-perfectly-plastic',
+        yieldStrength: DESIGN_BASE_SHEAR * totalWeight * (heightSum - i * (i + 1) / 2) / heightSum
+      })),
+      gravityLoads: 'self-weight'
+    });
+    const record = generateRealisticWaveform({
+      magnitude,
+      distance,
+      soilType,
+      duration: TOTAL_SIMULATION_TIME - PRE_EARTHQUAKE_TIME,
+      peakAcceleration: estimatedPGA,
+      seedValue: `${magnitude}|${distance}|${soilType}`
+    });
+    const excitation = {
+      ...record,
+      amplitude: record.amplitude.map(a => a * EARTH_GRAVITY),
+      metadata: { ...record.metadata, units: 'm/s^2' }
+    };
+    return { model, excitation };
+  }, [numFloors, stiffnessModifier, magnitude, distance, soilType, estimatedPGA, EARTH_GRAVITY, TOTAL_SIMULATION_TIME, PRE_EARTHQUAKE_TIME]);
+
+  // Solve the P-Delta history in the simulation worker whenever the scenario changes
+  useEffect(() => {
+    setHasCollapsed(false);
+    runSimulation(demonstration.model, demonstration.excitation);
+  }, [runSimulation, demonstration]);
+
+  // Stability coefficient, and once the worker has answered the story whose peak drift
+  // came closest to its own collapse drift and the time of sidesway collapse
+  const sideswayStability = useMemo(() => {
+    const { model } = demonstration;
+    const { theta, criticalStory } = stabilityCoefficients(model);
+    if (!simulationResponse) {
+      return { theta: theta[criticalStory], story: null, peakDriftRatio: 0, collapseDriftRatio: 0, collapseTime: null };
+    }
+
+    const collapseDrift = sideswayCollapseDrift(model);
+    const peakDrift = simulationResponse.storyHysteresis.map(loop => Math.max(...loop.drift.map(Math.abs)));
+    const usage = peakDrift.map((drift, i) => drift / collapseDrift[i]);
+    const story = usage.indexOf(Math.max(...usage));
+
+    return {
+      theta: theta[criticalStory],
+      story,
+      peakDriftRatio: peakDrift[story] / STORY_HEIGHT,
+      collapseDriftRatio: collapseDrift[story] / STORY_HEIGHT,
+      collapseTime: simulationResponse.sideswayCollapse ? simulationResponse.sideswayCollapse.time : null
+    };
+  }, [demonstration, simulationResponse]);
+
   // Building code properties and other properties are retained from the original component
 
   // SIMPLIFIED: Draw animation frame with basic Canvas rendering
@@ -573,6 +674,11 @@ const SeismicVisualizationEnhanced = ({
       // Update buildingDisplacement state for display in the UI
       setBuildingDisplacement(Math.abs(adjustedDisplacement));
       
+      // Sidesway collapse once the P-Delta run reached the time a story lost its strength
+      if (sideswayStability.collapseTime !== null && elapsedTime >= PRE_EARTHQUAKE_TIME + sideswayStability.collapseTime) {
+        setHasCollapsed(true);
+      }
+      
       // Draw the current frame
       drawFrameCanvas2D(elapsedTime, null, adjustedDisplacement);
       
@@ -589,7 +695,7 @@ const SeismicVisualizationEnhanced = ({
         cancelAnimationFrame(animationId);
       }
     };
-  }, [isPlaying, speed, magnitude, distance, soilType, structuralMaterial, damping]); // Add dependencies here
+  }, [isPlaying, speed, magnitude, distance, soilType, structuralMaterial, damping, sideswayStability]); // Add dependencies here
 
   // NEW: Real earthquake data
   const realEarthquakeData = [
@@ -678,9 +784,11 @@ const SeismicVisualizationEnhanced = ({
     const timeArray = Array.from({ length: MAX_DATA_POINTS }, (_, i) => i * timeStep);
     
     // Calculate PGA based on magnitude, distance, and soil conditions
-    const basePGA = Math.pow(10, 0.301 * magnitude - 0.0139 * distance - 0.41) / 981; // in g
-    const soilFactor = SOIL_AMPLIFICATION_FACTORS[soilType].Fa;
-    const adjustedPGA = basePGA * soilFactor;
+    const adjustedPGA = estimatePGA(magnitude, distance, SOIL_AMPLIFICATION_FACTORS[soilType].Fa); // in g
+    
+    // Component phases are seeded by the scenario so the same parameters give the same record
+    const random = createRandom(`${magnitude}|${distance}|${soilType}`);
+    const phases = Array.from({ length: 5 }, () => random.uniform(0, 2 * Math.PI));
     
     // Generate PGA time history using modified Clough-Penzien spectrum
     const pgaArray = timeArray.map(t => {
@@ -699,7 +807,7 @@ const SeismicVisualizationEnhanced = ({
         const numComponents = 5;
         for (let i = 1; i <= numComponents; i++) {
           const freq = 0.5 + i * 0.7; // Different frequencies
-          const phase = Math.random() * 2 * Math.PI; // Random phase
+          const phase = phases[i - 1]; // Random phase
           const amp = adjustedPGA * envelope * (1 / i) * Math.exp(-(Math.abs(freq - 2) / 2)); // Frequency-dependent amplitude
           sum += amp * Math.sin(2 * Math.PI * freq * relativeTime + phase);
         }
@@ -789,20 +897,6 @@ const SeismicVisualizationEnhanced = ({
     }, 50);
   };
 
-  // Helper to get calculated values for the current parameters
-  const getCalculatedValues = () => {
-    // Calculate PGA based on magnitude, distance, and soil conditions
-    const basePGA = Math.pow(10, 0.301 * magnitude - 0.0139 * distance - 0.41) / 981; // in g
-    const soilFactor = SOIL_AMPLIFICATION_FACTORS[soilType].Fa;
-    const adjustedPGA = basePGA * soilFactor;
-    
-    return {
-      pga: adjustedPGA.toFixed(3),
-      frequency: 1 / (0.3 + 0.1 * magnitude), // Simplified natural frequency calculation
-      displacement: (adjustedPGA * 981 * 0.7 * EARTH_GRAVITY).toFixed(1) // Simplified displacement estimation in cm
-    };
-  };
-
   // The rest of the component would include updated versions of the original functions:
   // - updateTimeHistoryData()
   // - getChartOptions()
@@ -1077,6 +1171,11 @@ const SeismicVisualizationEnhanced = ({
                      Math.abs(buildingDisplacement) > materialProperties[structuralMaterial].damageThreshold * 100 ? 'Damaged' : 
                      'Stable'}
                   </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    P-Δ θ = {sideswayStability.theta.toFixed(3)} | {simulationError ? `history failed: ${simulationError}` :
+                      sideswayStability.story === null ? 'solving history…' :
+                      `story ${sideswayStability.story + 1} drift ${(sideswayStability.peakDriftRatio * 100).toFixed(2)}% of ${(sideswayStability.collapseDriftRatio * 100).toFixed(1)}% at collapse`}
+                  </div>
                 </div>
               </div>
             </div>
@@ -1,4 +1,18 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
+import { generateSyntheticWaveform, processAccelerogram } from '../utils/seismic/dataProcessor';
+import { computeIntensityMeasures } from '../utils/seismic/intensityMeasures';
+
+/**
+ * Sample accelerogram (g) processed into velocity (cm/s) and displacement (cm)
+ */
+const SAMPLE_PGA = 0.35;
+const SAMPLE_SEED = 2023;
+const sampleRecord = (() => {
+  const raw = generateSyntheticWaveform(20, 50, undefined, undefined, SAMPLE_SEED);
+  const peak = Math.max(...raw.amplitude.map(Math.abs));
+  const scaled = { ...raw, amplitude: raw.amplitude.map(a => a * SAMPLE_PGA / peak) };
+  return processAccelerogram(scaled, { baseline: { method: 'polynomial' }, lengthUnit: 'cm' });
+})();
 
 /**
  * Sample seismic data for demonstration purposes
@@ -6,10 +20,11 @@ import { useState, useEffect } from 'react';
  */
 const SAMPLE_SEISMIC_DATA = {
   timeHistory: {
-    time: Array.from({ length: 1000 }, (_, i) => i * 0.02),
-    acceleration: Array.from({ length: 1000 }, () => (Math.random() * 2 - 1) * Math.exp(-Math.random() * 0.01)),
-    displacement: Array.from({ length: 1000 }, () => (Math.random() * 2 - 1) * Math.exp(-Math.random() * 0.005)),
-    velocity: Array.from({ length: 1000 }, () => (Math.random() * 2 - 1) * Math.exp(-Math.random() * 0.008)),
+    time: sampleRecord.acceleration.time,
+    acceleration: sampleRecord.acceleration.amplitude,
+    displacement: sampleRecord.displacement.amplitude,
+    velocity: sampleRecord.velocity.amplitude,
+    units: sampleRecord.acceleration.metadata?.units,
   },
   spectra: {
     period: Array.from({ length: 100 }, (_, i) => 0.1 + i * 0.05),
@@ -32,9 +47,6 @@ const SAMPLE_SEISMIC_DATA = {
       latitude: 34.05,
       longitude: -118.25,
     },
-    pga: 0.35, // Peak Ground Acceleration (g)
-    pgv: 45.2, // Peak Ground Velocity (cm/s)
-    pgd: 15.3, // Peak Ground Displacement (cm)
   }
 };
 
@@ -173,9 +185,35 @@ const useSeismicData = ({
     };
   };
 
-  // Get specific earthquake details
+  // Intensity measures of the acceleration history in its own units; velocity and
+  // displacement are already baseline corrected, so they are reused as they are
+  const intensityMeasures = useMemo(() => {
+    if (!data?.timeHistory?.acceleration?.length) return null;
+
+    const { time, acceleration, velocity, displacement, units } = data.timeHistory;
+    const waveform = { time, amplitude: acceleration, metadata: { units } };
+    const histories = velocity?.length && displacement?.length
+      ? {
+        velocity: { time, amplitude: velocity, metadata: { units: 'cm/s' } },
+        displacement: { time, amplitude: displacement, metadata: { units: 'cm' } },
+      }
+      : undefined;
+
+    return computeIntensityMeasures(waveform, { histories });
+  }, [data]);
+
+  // Get specific earthquake details, with peak values measured from the record
   const getEarthquakeDetails = () => {
-    return data?.earthquake || null;
+    if (!data?.earthquake) return null;
+    if (!intensityMeasures) return data.earthquake;
+
+    return {
+      ...data.earthquake,
+      pga: intensityMeasures.pga, // Peak Ground Acceleration (record units)
+      pgv: intensityMeasures.pgv, // Peak Ground Velocity (cm/s)
+      pgd: intensityMeasures.pgd, // Peak Ground Displacement (cm)
+      intensityMeasures,
+    };
   };
 
   return {
@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toSerializableModel, runSimulationRequest } from '../utils/seismic/simulationRunner';
+
+const EMPTY_PARTIAL = { time: [], displacement: [] };
+
+/**
+ * Creates the simulation worker, or null where workers are unavailable (SSR, tests)
+ */
+const createSimulationWorker = () => {
+  if (typeof window === 'undefined' || typeof Worker === 'undefined') return null;
+  return new Worker(new URL('../utils/seismic/simulation.worker.ts', import.meta.url));
+};
+
+/**
+ * Custom hook for solving structural time histories in a Web Worker
+ *
+ * Starting a new run cancels the one in progress, so the hook can be driven
+ * directly from slider changes. Without Worker support the run falls back to
+ * the main thread.
+ *
+ * @param {Object} options Configuration options
+ * @param {number} options.progressInterval Output samples between progress updates
+ * @returns {Object} run/cancel functions, status, progress, partial and final response
+ */
+const useStructuralSimulation = ({ progressInterval } = {}) => {
+  const [status, setStatus] = useState('idle'); // 'idle', 'running', 'done', 'cancelled' or 'error'
+  const [progress, setProgress] = useState(0);
+  const [partial, setPartial] = useState(EMPTY_PARTIAL);
+  const [response, setResponse] = useState(null);
+  const [error, setError] = useState(null);
+
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const runningRef = useRef(false);
+
+  // Handle messages of the current request only
+  const handleMessage = useCallback((message) => {
+    if (message.id !== requestIdRef.current) return;
+
+    switch (message.type) {
+      case 'progress':
+        setProgress(message.completed / message.total);
+        setPartial(previous => ({
+          time: previous.time.concat(message.time),
+          displacement: previous.displacement.concat(message.displacement),
+        }));
+        break;
+      case 'result':
+        runningRef.current = false;
+        setProgress(1);
+        setResponse(message.response);
+        setStatus('done');
+        break;
+      case 'error':
+        runningRef.current = false;
+        setError(message.message);
+        setStatus('error');
+        break;
+      default:
+        break;
+    }
+  }, []);
+
+  // Stop the run in progress; the worker is terminated and recreated on the next run
+  const cancel = useCallback(() => {
+    requestIdRef.current += 1;
+    if (!runningRef.current) return;
+
+    runningRef.current = false;
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+    setStatus('cancelled');
+  }, []);
+
+  /**
+   * Solve a time history, cancelling any run in progress
+   * @param {Object} model Structure model (from simulationEngine or structureModels)
+   * @param {Object} excitation Ground motion waveform
+   * @param {Object} runOptions Integration step dt and integrator options
+   */
+  const run = useCallback((model, excitation, { dt, ...options } = {}) => {
+    cancel();
+    const id = requestIdRef.current;
+    const request = {
+      id,
+      model: toSerializableModel(model),
+      excitation,
+      dt,
+      options,
+      progressInterval,
+    };
+
+    runningRef.current = true;
+    setStatus('running');
+    setProgress(0);
+    setPartial(EMPTY_PARTIAL);
+    setResponse(null);
+    setError(null);
+
+    if (!workerRef.current) {
+      workerRef.current = createSimulationWorker();
+    }
+
+    if (workerRef.current) {
+      workerRef.current.onmessage = event => handleMessage(event.data);
+      workerRef.current.onerror = event => handleMessage({ type: 'error', id, message: event.message });
+      workerRef.current.postMessage(request);
+    } else {
+      setTimeout(() => runSimulationRequest(request, handleMessage), 0);
+    }
+  }, [cancel, handleMessage, progressInterval]);
+
+  // Terminate the worker on unmount
+  useEffect(() => () => {
+    requestIdRef.current += 1;
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  return {
+    run,
+    cancel,
+    status,
+    isRunning: status === 'running',
+    progress,
+    partial,
+    response,
+    error,
+  };
+};
+
+export default useStructuralSimulation;
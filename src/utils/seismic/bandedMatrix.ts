@@ -0,0 +1,207 @@
+/**
+ * Symmetric banded matrices on Float64Array storage for the time-stepping core.
+ * The lower band is stored row by row: A[i][j] (i - bandwidth ≤ j ≤ i) is
+ * data[i·(bandwidth + 1) + (i - j)].
+ */
+export interface BandedMatrix {
+  size: number;
+  bandwidth: number;          // Half-bandwidth: A[i][j] = 0 for |i - j| > bandwidth
+  data: Float64Array;
+}
+
+/**
+ * Half-bandwidth of a dense matrix
+ * @param A Square matrix
+ * @returns Largest |i - j| with a non-zero entry
+ */
+export function halfBandwidth(A: number[][]): number {
+  let bandwidth = 0;
+  A.forEach((row, i) => {
+    row.forEach((value, j) => {
+      if (value !== 0) bandwidth = Math.max(bandwidth, Math.abs(i - j));
+    });
+  });
+  return bandwidth;
+}
+
+/**
+ * Copies the lower band of a symmetric dense matrix into banded storage
+ * @param A Symmetric matrix
+ * @param bandwidth Half-bandwidth (default: from the matrix)
+ * @returns Banded matrix
+ */
+export function toBandedMatrix(A: number[][], bandwidth: number = halfBandwidth(A)): BandedMatrix {
+  const size = A.length;
+  const width = bandwidth + 1;
+  const data = new Float64Array(size * width);
+
+  for (let i = 0; i < size; i++) {
+    for (let j = Math.max(0, i - bandwidth); j <= i; j++) {
+      data[i * width + (i - j)] = A[i][j];
+    }
+  }
+
+  return { size, bandwidth, data };
+}
+
+/**
+ * Expands a banded matrix into a dense symmetric matrix
+ * @param A Banded matrix
+ * @returns Dense matrix
+ */
+export function toDenseMatrix(A: BandedMatrix): number[][] {
+  const { size, bandwidth, data } = A;
+  const width = bandwidth + 1;
+  const dense = Array.from({ length: size }, () => new Array(size).fill(0));
+
+  for (let i = 0; i < size; i++) {
+    for (let j = Math.max(0, i - bandwidth); j <= i; j++) {
+      dense[i][j] = data[i * width + (i - j)];
+      dense[j][i] = dense[i][j];
+    }
+  }
+
+  return dense;
+}
+
+/**
+ * Adds a scaled banded matrix to the leading block of another, whose band is at least as wide
+ * @param target Matrix updated in place
+ * @param source Matrix added (size and bandwidth at most those of target)
+ * @param scale Factor on source (default: 1)
+ */
+export function bandedAdd(target: BandedMatrix, source: BandedMatrix, scale: number = 1): void {
+  const width = target.bandwidth + 1;
+  const sourceWidth = source.bandwidth + 1;
+
+  for (let i = 0; i < source.size; i++) {
+    for (let d = 0; d <= Math.min(source.bandwidth, i); d++) {
+      target.data[i * width + d] += scale * source.data[i * sourceWidth + d];
+    }
+  }
+}
+
+/**
+ * Adds the coefficient of a two-node element acting on u[upper] - u[lower]
+ * @param target Matrix updated in place
+ * @param lower Bottom DOF (-1 for the ground)
+ * @param upper Top DOF
+ * @param value Element coefficient
+ */
+export function bandedAddElement(target: BandedMatrix, lower: number, upper: number, value: number): void {
+  const width = target.bandwidth + 1;
+  target.data[upper * width] += value;
+  if (lower < 0) return;
+
+  const [low, high] = lower < upper ? [lower, upper] : [upper, lower];
+  target.data[low * width] += value;
+  target.data[high * width + (high - low)] -= value;
+}
+
+/**
+ * Multiplies a symmetric banded matrix by a vector
+ * @param A Banded matrix
+ * @param x Vector
+ * @param out Result buffer (must not alias x)
+ * @returns out = A·x
+ */
+export function bandedMultiply(A: BandedMatrix, x: Float64Array, out: Float64Array): Float64Array {
+  const { size, bandwidth, data } = A;
+  const width = bandwidth + 1;
+  out.fill(0);
+
+  for (let i = 0; i < size; i++) {
+    const row = i * width;
+    let sum = data[row] * x[i];
+    for (let j = Math.max(0, i - bandwidth); j < i; j++) {
+      const value = data[row + (i - j)];
+      sum += value * x[j];
+      out[j] += value * x[i];
+    }
+    out[i] += sum;
+  }
+
+  return out;
+}
+
+/**
+ * Cholesky factorization A = L·Lᵀ of a symmetric positive definite banded
+ * matrix; L keeps the bandwidth of A
+ * @param A Banded matrix
+ * @param out Factor buffer of the same size and bandwidth, reused across factorizations (may be A)
+ * @returns Lower factor in banded storage
+ */
+export function bandedCholesky(
+  A: BandedMatrix,
+  out: BandedMatrix = { size: A.size, bandwidth: A.bandwidth, data: new Float64Array(A.data.length) }
+): BandedMatrix {
+  const { size, bandwidth } = A;
+  const width = bandwidth + 1;
+  const { data } = out;
+  if (out !== A) data.set(A.data);
+
+  for (let i = 0; i < size; i++) {
+    const first = Math.max(0, i - bandwidth);
+    for (let j = first; j <= i; j++) {
+      let sum = data[i * width + (i - j)];
+      for (let k = first; k < j; k++) {
+        sum -= data[i * width + (i - k)] * data[j * width + (j - k)];
+      }
+
+      if (i === j) {
+        if (sum <= 0) {
+          throw new Error(`Matrix is not positive definite (pivot ${i} = ${sum})`);
+        }
+        data[i * width] = Math.sqrt(sum);
+      } else {
+        data[i * width + (i - j)] = sum / data[j * width];
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Solves A·x = b with the banded Cholesky factor of A
+ * @param L Factor from bandedCholesky
+ * @param b Right-hand side
+ * @param out Solution buffer (may alias b)
+ * @returns out = x
+ */
+export function bandedCholeskySolve(L: BandedMatrix, b: Float64Array, out: Float64Array = new Float64Array(b.length)): Float64Array {
+  const { size, bandwidth, data } = L;
+  const width = bandwidth + 1;
+  if (out !== b) out.set(b);
+
+  // Forward substitution L·y = b
+  for (let i = 0; i < size; i++) {
+    let sum = out[i];
+    for (let k = Math.max(0, i - bandwidth); k < i; k++) {
+      sum -= data[i * width + (i - k)] * out[k];
+    }
+    out[i] = sum / data[i * width];
+  }
+
+  // Back substitution Lᵀ·x = y
+  for (let i = size - 1; i >= 0; i--) {
+    let sum = out[i];
+    for (let k = i + 1; k <= Math.min(size - 1, i + bandwidth); k++) {
+      sum -= data[k * width + (k - i)] * out[k];
+    }
+    out[i] = sum / data[i * width];
+  }
+
+  return out;
+}
+
+export default {
+  halfBandwidth,
+  toBandedMatrix,
+  toDenseMatrix,
+  bandedAdd,
+  bandedAddElement,
+  bandedMultiply,
+  bandedCholesky,
+  bandedCholeskySolve
+};
@@ -0,0 +1,588 @@
+import * as THREE from 'three';
+import { SeismicWaveform, STANDARD_GRAVITY } from './dataProcessor';
+import {
+  StructureModel,
+  StructuralResponse,
+  SolverOptions,
+  solveResponseTimeHistory
+} from './simulationEngine';
+import { createHystereticSpring } from './hysteresis';
+import {
+  DeviceElement,
+  DeviceHistory,
+  DeviceState,
+  createHystereticElement,
+  createLinearElement,
+  solveWithDeviceElements
+} from './controlDevices';
+import { effectiveModalDamping } from './damping';
+import { embedOnBase, zeros } from './linearAlgebra';
+
+/**
+ * Velocity-dependent sliding friction, μ(v) = μfast - (μfast - μslow)·exp(-a·|v|)
+ * (Constantinou et al., 1990)
+ */
+export interface SlidingFriction {
+  slow: number;                       // μ at zero sliding velocity
+  fast: number;                       // μ at high sliding velocity
+  rate: number;                       // a in s/m
+}
+
+/**
+ * Low-damping elastomeric bearing: linear spring and dashpot
+ */
+export interface ElastomericBearingParams {
+  type: 'elastomeric';
+  stiffness?: number;                 // N/m (default: the isolation period for the bearing's share of the mass)
+  dampingRatio?: number;              // Viscous damping at the isolation period (default: baseIsolation.damping, then 0.05)
+}
+
+/**
+ * Lead-rubber bearing: bilinear with characteristic strength Qd and post-yield stiffness Kd
+ */
+export interface LeadRubberBearingParams {
+  type: 'lead-rubber';
+  characteristicStrength?: number;    // Qd in N (default: 5% of the bearing's share of the weight)
+  postYieldStiffness?: number;        // Kd in N/m (default: the isolation period for the bearing's share of the mass)
+  elasticStiffnessRatio?: number;     // Ku / Kd (default: 10)
+}
+
+/**
+ * Single concave friction pendulum bearing
+ */
+export interface FrictionPendulumParams {
+  type: 'friction-pendulum';
+  radius?: number;                    // Effective radius of curvature in m (default: from the isolation period)
+  friction?: Partial<SlidingFriction>; // Default: slow 0.03, fast 0.06, rate 100 s/m
+  axialLoad?: number;                 // N (default: the bearing's share of the weight)
+  yieldDisplacement?: number;         // Elastic displacement before sliding in m (default: 0.001)
+  displacementCapacity?: number;      // Sliding displacement capacity in m (reported only)
+}
+
+/**
+ * Sliding surface of a triple friction pendulum
+ */
+export interface FrictionSurface {
+  radius: number;                     // Effective radius R - h in m
+  friction: Partial<SlidingFriction>; // Default rate: 100 s/m, slow: half the fast value
+}
+
+/**
+ * Triple friction pendulum bearing: four sliding surfaces in series (Fenz and Constantinou, 2008)
+ */
+export interface TripleFrictionPendulumParams {
+  type: 'triple-friction-pendulum';
+  surfaces?: FrictionSurface[];       // Outer bottom, inner bottom, inner top, outer top (default: a standard configuration for the isolation period)
+  axialLoad?: number;                 // N (default: the bearing's share of the weight)
+  yieldDisplacement?: number;         // Elastic displacement before sliding on each surface in m (default: 0.001)
+  displacementCapacity?: number;      // Total displacement capacity in m (reported only)
+}
+
+/**
+ * Isolation bearing (or group of identical bearings, with totals for the group)
+ */
+export type IsolationBearingParams =
+  | ElastomericBearingParams
+  | LeadRubberBearingParams
+  | FrictionPendulumParams
+  | TripleFrictionPendulumParams;
+
+/**
+ * Isolation layer beneath a superstructure
+ */
+export interface IsolationLayerParams {
+  bearings: IsolationBearingParams[]; // Bearings share the weight and the isolation stiffness equally by default
+  period?: number;                    // Isolation period used for default stiffness and radii (default: baseIsolation.period, then 2.5 s)
+  baseMass?: number;                  // Mass of the base slab in kg (default: baseIsolation.baseMass, then one floor mass)
+  height?: number;                    // Height of the isolation layer in m (default: baseIsolation.height, then 0.5)
+}
+
+/**
+ * Superstructure on an isolation layer; DOF 0 is the base slab. The matrices
+ * use the post-yield (isolation period) stiffness of the bearings, so linear
+ * analyses see the isolated period; solveIsolatedResponse follows the bearing models.
+ */
+export interface IsolatedStructureModel extends StructureModel {
+  isolation: {
+    superstructure: StructureModel;
+    layer: IsolationLayerParams;
+    weight: number;                   // Weight carried by the bearings (N)
+    totalMass: number;                // Superstructure and base slab mass (kg)
+  };
+}
+
+/**
+ * Histories of one bearing with its displacement demand
+ */
+export interface BearingResponse extends DeviceHistory {
+  type: IsolationBearingParams['type'];
+  peakDisplacement: number;           // m
+  displacementCapacity?: number;      // m
+  capacityRatio?: number;             // Peak displacement over capacity
+}
+
+/**
+ * Time history of an isolated structure with its fixed-base counterpart
+ */
+export interface IsolatedResponse {
+  response: StructuralResponse;       // DOF 0 is the base slab
+  fixedBase: StructuralResponse;      // Superstructure on a fixed base
+  bearings: BearingResponse[];
+  storyElements: DeviceHistory[];     // Nonlinear superstructure stories (when the superstructure has story springs)
+  layerHysteresis: {                  // Whole isolation layer
+    displacement: number[];           // Base displacement (m)
+    force: number[];                  // Total bearing shear (N)
+  };
+  bearingDisplacementDemand: number;  // Peak base displacement (m)
+  peakFloorAcceleration: {            // Absolute floor accelerations of the superstructure floors (m/s²)
+    isolated: number[];
+    fixedBase: number[];
+    reduction: number[];              // 1 - isolated / fixed base for each floor
+  };
+}
+
+/**
+ * Friction coefficient at a sliding velocity
+ */
+function frictionCoefficient(friction: SlidingFriction, velocity: number): number {
+  return friction.fast - (friction.fast - friction.slow) * Math.exp(-friction.rate * Math.abs(velocity));
+}
+
+/**
+ * Completes friction parameters (slow defaults to half the fast value)
+ */
+function slidingFriction(friction: Partial<SlidingFriction> = {}, fast: number = 0.06): SlidingFriction {
+  const fastValue = friction.fast ?? fast;
+  return { fast: fastValue, slow: friction.slow ?? fastValue / 2, rate: friction.rate ?? 100 };
+}
+
+/**
+ * Sliding surface: pendulum stiffness W/R on the surface displacement in
+ * parallel with elastic-plastic friction whose slip force μ(v)·W follows the
+ * sliding velocity
+ */
+function createSlidingSurface(radius: number, friction: SlidingFriction, axialLoad: number, yieldDisplacement: number) {
+  const pendulum = axialLoad / radius;
+  const elastic = friction.fast * axialLoad / yieldDisplacement;
+  let committedSlip = 0;
+  let trialSlip = 0;
+
+  const evaluate = (displacement: number, velocity: number) => {
+    const limit = frictionCoefficient(friction, velocity) * axialLoad;
+    let frictionForce = elastic * (displacement - committedSlip);
+    let sliding = false;
+
+    if (Math.abs(frictionForce) > limit) {
+      frictionForce = Math.sign(frictionForce) * limit;
+      sliding = true;
+    }
+    trialSlip = displacement - frictionForce / elastic;
+
+    return { force: pendulum * displacement + frictionForce, frictionForce, sliding, limit };
+  };
+
+  // Surface displacement carrying a force, given the sliding velocity
+  const displacementAt = (force: number, velocity: number) => {
+    const limit = frictionCoefficient(friction, velocity) * axialLoad;
+    const stuck = (force + elastic * committedSlip) / (pendulum + elastic);
+    const frictionForce = elastic * (stuck - committedSlip);
+    if (Math.abs(frictionForce) <= limit) return { displacement: stuck, tangent: pendulum + elastic, sliding: false };
+    return { displacement: (force - Math.sign(frictionForce) * limit) / pendulum, tangent: pendulum, sliding: true };
+  };
+
+  return {
+    pendulum,
+    elastic,
+    friction,
+    evaluate,
+    displacementAt,
+    commit: () => { committedSlip = trialSlip; }
+  };
+}
+
+/**
+ * Single friction pendulum element
+ */
+function createFrictionPendulumElement(
+  name: string,
+  radius: number,
+  friction: SlidingFriction,
+  axialLoad: number,
+  yieldDisplacement: number
+): DeviceElement {
+  const surface = createSlidingSurface(radius, friction, axialLoad, yieldDisplacement);
+
+  return {
+    name,
+    lower: -1,
+    upper: 0,
+    trial: (deformation, velocity): DeviceState => {
+      const { force, frictionForce, sliding } = surface.evaluate(deformation, velocity);
+
+      // While sliding the friction force grows with velocity: dF/dv = W·dμ/d|v|
+      const slope = sliding
+        ? axialLoad * (friction.fast - friction.slow) * friction.rate * Math.exp(-friction.rate * Math.abs(velocity))
+        : 0;
+
+      return {
+        force,
+        stiffness: sliding ? surface.pendulum : surface.pendulum + surface.elastic,
+        damping: slope,
+        storedEnergy: 0.5 * surface.pendulum * deformation * deformation +
+          frictionForce * frictionForce / (2 * surface.elastic)
+      };
+    },
+    commit: surface.commit
+  };
+}
+
+/**
+ * Triple friction pendulum element: the four surfaces carry the same force and
+ * their displacements add up to the bearing displacement. Each surface uses the
+ * bearing velocity for its friction coefficient; trial states report whether
+ * the series equilibrium converged.
+ */
+function createTripleFrictionPendulumElement(
+  name: string,
+  surfaces: FrictionSurface[],
+  axialLoad: number,
+  yieldDisplacement: number
+): DeviceElement {
+  const sliding = surfaces.map(surface =>
+    createSlidingSurface(surface.radius, slidingFriction(surface.friction), axialLoad, yieldDisplacement));
+  let committedForce = 0;
+
+  // Series equilibrium: the surface displacements grow monotonically with the common force,
+  // so the force whose displacements add up to the bearing displacement is bracketed and
+  // found by Newton steps that fall back to bisection outside the bracket
+  const solve = (deformation: number, velocity: number) => {
+    const tolerance = 1e-12 * Math.max(1, Math.abs(deformation));
+    const gapAt = (force: number) =>
+      sliding.reduce((sum, surface) => sum + surface.displacementAt(force, velocity).displacement, 0) - deformation;
+
+    let force = committedForce;
+    let gap = gapAt(force);
+    let lower = force;
+    let upper = force;
+    let step = Math.max(axialLoad * 1e-3, Math.abs(gap) * sliding[0].pendulum);
+    for (let expansion = 0; expansion < 200 && gapAt(lower) > 0; expansion++, step *= 2) lower -= step;
+    for (let expansion = 0; expansion < 200 && gapAt(upper) < 0; expansion++, step *= 2) upper += step;
+
+    let converged = Math.abs(gap) <= tolerance;
+    for (let iteration = 0; iteration < 200 && !converged; iteration++) {
+      const parts = sliding.map(surface => surface.displacementAt(force, velocity));
+      const tangent = 1 / parts.reduce((sum, part) => sum + 1 / part.tangent, 0);
+      if (gap > 0) upper = force;
+      else lower = force;
+
+      let next = force - gap * tangent;
+      if (!(next > lower && next < upper)) next = 0.5 * (lower + upper);
+      force = next;
+      gap = gapAt(force);
+      converged = Math.abs(gap) <= tolerance || upper - lower <= 1e-15 * Math.max(1, Math.abs(force));
+    }
+
+    // Tangent and velocity sensitivity at the converged force: sliding surfaces add W·dμ/d|v| / (W/R)
+    const parts = sliding.map(surface => surface.displacementAt(force, velocity));
+    const tangent = 1 / parts.reduce((sum, part) => sum + 1 / part.tangent, 0);
+    const velocitySensitivity = parts.reduce((sum, part, i) => {
+      if (!part.sliding) return sum;
+      const { fast, slow, rate } = sliding[i].friction;
+      return sum + axialLoad * (fast - slow) * rate * Math.exp(-rate * Math.abs(velocity)) / sliding[i].pendulum;
+    }, 0);
+
+    return {
+      force,
+      tangent,
+      damping: tangent * velocitySensitivity,
+      converged,
+      parts: parts.map(part => part.displacement)
+    };
+  };
+
+  let trialForce = 0;
+
+  return {
+    name,
+    lower: -1,
+    upper: 0,
+    trial: (deformation, velocity): DeviceState => {
+      const { force, tangent, damping, converged, parts } = solve(deformation, velocity);
+      trialForce = force;
+
+      // Update each surface's trial slip at its equilibrium displacement
+      let storedEnergy = 0;
+      sliding.forEach((surface, i) => {
+        const { frictionForce } = surface.evaluate(parts[i], velocity);
+        storedEnergy += 0.5 * surface.pendulum * parts[i] * parts[i] + frictionForce * frictionForce / (2 * surface.elastic);
+      });
+
+      return { force, stiffness: tangent, damping, storedEnergy, converged };
+    },
+    commit: () => {
+      committedForce = trialForce;
+      sliding.forEach(surface => surface.commit());
+    }
+  };
+}
+
+/**
+ * Places a superstructure model on an isolation layer
+ * @param superstructure Fixed-base structure model whose DOFs are lateral floor displacements
+ * @param layer Bearings, isolation period, base slab mass and layer height
+ * @returns Isolated structure model with the base slab as DOF 0
+ */
+export function attachIsolationLayer(
+  superstructure: StructureModel,
+  layer: IsolationLayerParams
+): IsolatedStructureModel {
+  const { properties, numDOFs } = superstructure;
+  const defaults = properties.baseIsolation;
+  const superMass = superstructure.massMatrix.reduce((sum, row) => sum + row.reduce((rowSum, m) => rowSum + m, 0), 0);
+  const {
+    bearings,
+    period = defaults?.period ?? 2.5,
+    baseMass = defaults?.baseMass ?? superMass / numDOFs,
+    height = defaults?.height ?? 0.5
+  } = layer;
+
+  if (bearings.length === 0) {
+    throw new Error('Isolation layer needs at least one bearing');
+  }
+
+  const totalMass = superMass + baseMass;
+  const weight = totalMass * STANDARD_GRAVITY;
+  const omega = 2 * Math.PI / period;
+  const share = 1 / bearings.length;
+
+  // Post-yield (isolation period) stiffness and viscous damping of each bearing for the linear matrices
+  let isolatorStiffness = 0;
+  let isolatorDamping = 0;
+  bearings.forEach(bearing => {
+    const axialLoad = 'axialLoad' in bearing && bearing.axialLoad !== undefined ? bearing.axialLoad : share * weight;
+    switch (bearing.type) {
+      case 'elastomeric': {
+        const stiffness = bearing.stiffness ?? share * totalMass * omega * omega;
+        isolatorStiffness += stiffness;
+        isolatorDamping += 2 * (bearing.dampingRatio ?? defaults?.damping ?? 0.05) * Math.sqrt(stiffness * share * totalMass);
+        break;
+      }
+      case 'lead-rubber':
+        isolatorStiffness += bearing.postYieldStiffness ?? share * totalMass * omega * omega;
+        break;
+      case 'friction-pendulum':
+        isolatorStiffness += axialLoad / (bearing.radius ?? STANDARD_GRAVITY / (omega * omega));
+        break;
+      case 'triple-friction-pendulum': {
+        const surfaces = bearing.surfaces ?? defaultTripleSurfaces(omega);
+        isolatorStiffness += axialLoad / (surfaces[0].radius + surfaces[surfaces.length - 1].radius);
+        break;
+      }
+      default:
+        throw new Error(`Unknown isolation bearing: ${(bearing as { type: string }).type}`);
+    }
+  });
+
+  const n = numDOFs + 1;
+  const massMatrix = zeros(n);
+  massMatrix[0][0] = baseMass;
+  superstructure.massMatrix.forEach((row, i) => row.forEach((value, j) => { massMatrix[i + 1][j + 1] = value; }));
+  const stiffnessMatrix = embedOnBase(superstructure.stiffnessMatrix, isolatorStiffness);
+  const dampingMatrix = embedOnBase(superstructure.dampingMatrix, isolatorDamping);
+  const floorHeights = superstructure.floorHeights ??
+    Array.from({ length: numDOFs }, (_, i) => (i + 1) * properties.storyHeight);
+
+  const nodeCoordinates = superstructure.nodeCoordinates.map(node => node.clone().add(new THREE.Vector3(0, height, 0)));
+  nodeCoordinates.unshift(new THREE.Vector3(0, 0, 0));
+  const elementConnectivity = [[0, 1], ...superstructure.elementConnectivity.map(([a, b]) => [a + 1, b + 1])];
+
+  return {
+    massMatrix,
+    stiffnessMatrix,
+    dampingMatrix,
+    modalDampingRatios: effectiveModalDamping(massMatrix, stiffnessMatrix, dampingMatrix).modalDampingRatios,
+    storyStiffness: superstructure.storyStiffness ? [isolatorStiffness, ...superstructure.storyStiffness] : undefined,
+    // Generic solvers see the layer as an elastic story; solveIsolatedResponse follows the bearing models
+    storySprings: superstructure.storySprings
+      ? [{ model: 'elastic', initialStiffness: isolatorStiffness, yieldStrength: Number.MAX_VALUE }, ...superstructure.storySprings]
+      : undefined,
+    floorHeights: [height, ...floorHeights.map(h => h + height)],
+    nodeFloorIndex: superstructure.nodeFloorIndex
+      ? [0, ...superstructure.nodeFloorIndex.map(dof => (dof >= 0 ? dof + 1 : 0))]
+      : undefined,
+    numDOFs: n,
+    nodeCoordinates,
+    elementConnectivity,
+    properties: { ...properties, modelType: 'base-isolated' },
+    isolation: {
+      superstructure,
+      layer: { bearings, period, baseMass, height },
+      weight,
+      totalMass
+    }
+  };
+}
+
+/**
+ * Standard triple friction pendulum: large outer surfaces with higher friction,
+ * small inner surfaces (1/7 of the outer radius) with low friction. The outer
+ * radii add up to g/ω², so the sliding regime has the isolation period.
+ */
+function defaultTripleSurfaces(omega: number): FrictionSurface[] {
+  const outer = STANDARD_GRAVITY / (2 * omega * omega);
+  return [
+    { radius: outer, friction: { fast: 0.06 } },
+    { radius: outer / 7, friction: { fast: 0.02 } },
+    { radius: outer / 7, friction: { fast: 0.02 } },
+    { radius: outer, friction: { fast: 0.09 } }
+  ];
+}
+
+/**
+ * Creates the bearing elements of an isolated model
+ */
+function createBearingElements(model: IsolatedStructureModel): DeviceElement[] {
+  const { layer, weight, totalMass } = model.isolation;
+  const { bearings, period = 2.5 } = layer;
+  const omega = 2 * Math.PI / period;
+  const share = 1 / bearings.length;
+
+  return bearings.map((bearing, index) => {
+    const name = `Bearing ${index + 1} (${bearing.type})`;
+
+    switch (bearing.type) {
+      case 'elastomeric': {
+        const stiffness = bearing.stiffness ?? share * totalMass * omega * omega;
+        const dampingRatio = bearing.dampingRatio ?? model.properties.baseIsolation?.damping ?? 0.05;
+        return createLinearElement(name, -1, 0, stiffness, 2 * dampingRatio * Math.sqrt(stiffness * share * totalMass));
+      }
+      case 'lead-rubber': {
+        const Kd = bearing.postYieldStiffness ?? share * totalMass * omega * omega;
+        const Qd = bearing.characteristicStrength ?? 0.05 * share * weight;
+        const ratio = bearing.elasticStiffnessRatio ?? 10;
+        const Ku = ratio * Kd;
+        const yieldDisplacement = Qd / (Ku - Kd);
+        const spring = createHystereticSpring(
+          { model: 'bilinear', initialStiffness: Ku, yieldStrength: Ku * yieldDisplacement, postYieldRatio: 1 / ratio },
+          Ku,
+          1
+        );
+        return createHystereticElement(name, -1, 0, spring);
+      }
+      case 'friction-pendulum':
+        return createFrictionPendulumElement(
+          name,
+          bearing.radius ?? STANDARD_GRAVITY / (omega * omega),
+          slidingFriction(bearing.friction, 0.06),
+          bearing.axialLoad ?? share * weight,
+          bearing.yieldDisplacement ?? 0.001
+        );
+      case 'triple-friction-pendulum':
+        return createTripleFrictionPendulumElement(
+          name,
+          bearing.surfaces ?? defaultTripleSurfaces(omega),
+          bearing.axialLoad ?? share * weight,
+          bearing.yieldDisplacement ?? 0.001
+        );
+      default:
+        throw new Error(`Unknown isolation bearing: ${(bearing as { type: string }).type}`);
+    }
+  });
+}
+
+/**
+ * Peak absolute acceleration of each DOF
+ */
+function peakAbsoluteAccelerations(response: StructuralResponse, excitation: SeismicWaveform): number[] {
+  const peaks = new Array(response.displacement[0]?.length ?? 0).fill(0);
+  (response.acceleration ?? []).forEach((row, t) => {
+    row.forEach((a, i) => { peaks[i] = Math.max(peaks[i], Math.abs(a + excitation.amplitude[t])); });
+  });
+  return peaks;
+}
+
+/**
+ * Solves the time history of an isolated structure with the nonlinear bearing
+ * models, and of the superstructure on a fixed base for comparison. Story
+ * springs of the superstructure are followed in both analyses.
+ * @param model Isolated structure model from attachIsolationLayer
+ * @param excitation Ground motion excitation
+ * @param dt Integration time step (default: excitation sample interval)
+ * @param options Newmark-family integrator options
+ * @returns Isolated and fixed-base responses, bearing demands and hysteresis, and floor acceleration reduction
+ */
+export function solveIsolatedResponse(
+  model: IsolatedStructureModel,
+  excitation: SeismicWaveform,
+  dt?: number,
+  options: SolverOptions = {}
+): IsolatedResponse {
+  const { superstructure, layer } = model.isolation;
+  const bearingElements = createBearingElements(model);
+
+  // Nonlinear superstructure stories act between consecutive DOFs above the base
+  const storyElements: DeviceElement[] = (superstructure.storySprings ?? []).map((params, i) =>
+    createHystereticElement(
+      `Story ${i + 1}`,
+      i,
+      i + 1,
+      createHystereticSpring(params, superstructure.storyStiffness?.[i] ?? 0, superstructure.properties.storyHeight)
+    ));
+  const structure: StructureModel = {
+    ...model,
+    stiffnessMatrix: storyElements.length
+      ? zeros(model.numDOFs)
+      : embedOnBase(superstructure.stiffnessMatrix, 0),
+    dampingMatrix: embedOnBase(superstructure.dampingMatrix, 0),
+    storySprings: undefined
+  };
+
+  const { response, devices } = solveWithDeviceElements(
+    structure,
+    [...bearingElements, ...storyElements],
+    excitation,
+    dt,
+    options
+  );
+  const fixedBase = solveResponseTimeHistory(superstructure, excitation, dt, options);
+
+  const bearingHistories = devices.slice(0, bearingElements.length);
+  const bearings: BearingResponse[] = bearingHistories.map((history, i) => {
+    const bearing = layer.bearings[i];
+    const peakDisplacement = history.deformation.reduce((peak, d) => Math.max(peak, Math.abs(d)), 0);
+    const displacementCapacity = 'displacementCapacity' in bearing ? bearing.displacementCapacity : undefined;
+    return {
+      ...history,
+      type: bearing.type,
+      peakDisplacement,
+      displacementCapacity,
+      capacityRatio: displacementCapacity ? peakDisplacement / displacementCapacity : undefined
+    };
+  });
+
+  const baseDisplacement = response.displacement.map(row => row[0]);
+  const isolated = peakAbsoluteAccelerations(response, excitation).slice(1);
+  const fixed = peakAbsoluteAccelerations(fixedBase, excitation);
+
+  return {
+    response,
+    fixedBase,
+    bearings,
+    storyElements: devices.slice(bearingElements.length),
+    layerHysteresis: {
+      displacement: baseDisplacement,
+      force: baseDisplacement.map((_, t) => bearingHistories.reduce((sum, history) => sum + history.force[t], 0))
+    },
+    bearingDisplacementDemand: baseDisplacement.reduce((peak, d) => Math.max(peak, Math.abs(d)), 0),
+    peakFloorAcceleration: {
+      isolated,
+      fixedBase: fixed,
+      reduction: isolated.map((value, i) => (fixed[i] > 0 ? 1 - value / fixed[i] : 0))
+    }
+  };
+}
+
+export default {
+  attachIsolationLayer,
+  solveIsolatedResponse
+};
@@ -0,0 +1,549 @@
+import { SeismicWaveform, getTimeStep } from './dataProcessor';
+import {
+  StructureModel,
+  StructuralResponse,
+  SolverOptions,
+  createStoryRestoringForce,
+  solveResponseTimeHistory,
+  summarizeResponse
+} from './simulationEngine';
+import { HystereticSpring, createHystereticSpring } from './hysteresis';
+import { createIntegrator, integrateNonlinearSystem, planTimeStep } from './integrators';
+import { BandedMatrix, bandedAdd, bandedAddElement, bandedMultiply, toBandedMatrix } from './bandedMatrix';
+import { ModalAnalysisResult, modalAnalysis } from './modalAnalysis';
+import { secondOrderStiffness } from './pDelta';
+
+/**
+ * Force of a device element at a trial deformation and deformation rate
+ */
+export interface DeviceState {
+  force: number;                      // N
+  stiffness: number;                  // ∂F/∂δ (N/m)
+  damping: number;                    // ∂F/∂δ̇ (N·s/m)
+  storedEnergy: number;               // Recoverable energy held by the element (J)
+  converged?: boolean;                // False when the element's own state determination did not converge
+}
+
+/**
+ * Element acting on the relative displacement of two DOFs; trial states are
+ * evaluated from the last committed state
+ */
+export interface DeviceElement {
+  name: string;
+  lower: number;                      // DOF at the bottom of the element (-1 for the ground)
+  upper: number;                      // DOF at the top of the element
+  trial: (deformation: number, velocity: number) => DeviceState;
+  commit: () => void;                 // Accept the last trial state
+}
+
+/**
+ * Deformation, force and dissipated energy histories of a device element
+ */
+export interface DeviceHistory {
+  name: string;
+  deformation: number[];              // Relative displacement upper - lower at each time point (m)
+  force: number[];                    // N
+  dissipatedEnergy: number[];         // Cumulative dissipated energy ∫F·dδ minus the stored energy (J)
+  totalDissipatedEnergy: number;      // J
+}
+
+/**
+ * Response of a structure with device elements
+ */
+export interface DeviceElementResponse {
+  response: StructuralResponse;       // Response of the model DOFs
+  auxiliaryDisplacement: number[][];  // Displacement of the added DOFs relative to the ground [time][dof]
+  devices: DeviceHistory[];
+}
+
+/**
+ * Tuned mass damper on a floor, adding one DOF
+ */
+export interface TunedMassDamperParams {
+  type: 'tmd';
+  floor?: number;                     // DOF the damper is attached to (default: roof, the last DOF)
+  massRatio?: number;                 // Damper mass over the total structure mass, for sizing (default: 0.02)
+  mass?: number;                      // Damper mass in kg (overrides massRatio)
+  frequency?: number;                 // Damper frequency in Hz (default: Warburton ground-excitation tuning to the first mode)
+  dampingRatio?: number;              // Damper damping ratio (default: Warburton optimum)
+}
+
+/**
+ * Fluid viscous damper in a story, F = c·sign(δ̇)·|δ̇|^α
+ */
+export interface ViscousDamperParams {
+  type: 'viscous';
+  story: number;                      // Zero-based story: between DOF story - 1 (or the ground) and DOF story
+  coefficient: number;                // c in N·(s/m)^α
+  exponent?: number;                  // α: 1 linear, below 1 nonlinear (default: 1)
+  referenceVelocity?: number;         // Velocity below which a nonlinear damper is linearized (default: 0.001 m/s)
+}
+
+/**
+ * Friction damper in a story: rigid-plastic slip in series with its brace
+ */
+export interface FrictionDamperParams {
+  type: 'friction';
+  story: number;                      // Zero-based story: between DOF story - 1 (or the ground) and DOF story
+  slipForce: number;                  // N
+  stiffness?: number;                 // Brace stiffness before slip in N/m (default: 10 times the story stiffness)
+}
+
+/**
+ * Supplemental damping device attached to a structure model
+ */
+export type ControlDevice = TunedMassDamperParams | ViscousDamperParams | FrictionDamperParams;
+
+/**
+ * Peak of one response quantity with and without devices
+ */
+export interface ResponseComparison {
+  quantity: 'roofDisplacement' | 'storyDrift' | 'floorAcceleration' | 'baseShear';
+  uncontrolled: number;               // Peak without devices (m, m/s² absolute or N)
+  controlled: number;                 // Peak with devices
+  reduction: number;                  // 1 - controlled / uncontrolled
+}
+
+/**
+ * Controlled and uncontrolled time histories of a structure with devices
+ */
+export interface ControlledResponse {
+  controlled: StructuralResponse;
+  uncontrolled: StructuralResponse;
+  devices: DeviceHistory[];
+  tmdDisplacement: number[][];        // Displacement of each tuned mass relative to the ground [time][tmd]
+  comparison: ResponseComparison[];
+}
+
+/**
+ * Adds an element coefficient to the DOFs it connects
+ */
+function assembleElement(matrix: number[][], lower: number, upper: number, value: number): void {
+  matrix[upper][upper] += value;
+  if (lower >= 0) {
+    matrix[lower][lower] += value;
+    matrix[lower][upper] -= value;
+    matrix[upper][lower] -= value;
+  }
+}
+
+/**
+ * DOFs connected by a story device
+ */
+function storyDOFs(model: StructureModel, story: number): { lower: number; upper: number } {
+  if (story < 0 || story >= model.numDOFs) {
+    throw new Error(`Story ${story} is outside the model (${model.numDOFs} stories)`);
+  }
+  return { lower: story - 1, upper: story };
+}
+
+/**
+ * Linear spring and dashpot element
+ * @param name Element name
+ * @param lower Bottom DOF (-1 for the ground)
+ * @param upper Top DOF
+ * @param stiffness N/m
+ * @param damping N·s/m
+ * @returns Device element
+ */
+export function createLinearElement(
+  name: string,
+  lower: number,
+  upper: number,
+  stiffness: number,
+  damping: number
+): DeviceElement {
+  return {
+    name,
+    lower,
+    upper,
+    trial: (deformation, velocity) => ({
+      force: stiffness * deformation + damping * velocity,
+      stiffness,
+      damping,
+      storedEnergy: 0.5 * stiffness * deformation * deformation
+    }),
+    commit: () => {}
+  };
+}
+
+/**
+ * Hysteretic spring element; the stored energy is F²/(2·k0)
+ * @param name Element name
+ * @param lower Bottom DOF (-1 for the ground)
+ * @param upper Top DOF
+ * @param spring Hysteretic spring
+ * @returns Device element
+ */
+export function createHystereticElement(
+  name: string,
+  lower: number,
+  upper: number,
+  spring: HystereticSpring
+): DeviceElement {
+  return {
+    name,
+    lower,
+    upper,
+    trial: deformation => {
+      const { force, tangent } = spring.trial(deformation);
+      return {
+        force,
+        stiffness: tangent,
+        damping: 0,
+        storedEnergy: force * force / (2 * spring.initialStiffness)
+      };
+    },
+    commit: () => spring.commit()
+  };
+}
+
+/**
+ * Solves a time history of a structure model with device elements by the
+ * Newmark method with Newton-Raphson iterations. Added DOFs (e.g. tuned
+ * masses) follow the model DOFs and move with the ground like them.
+ * @param model Structure model (story springs are followed when present)
+ * @param elements Device elements
+ * @param excitation Ground motion excitation
+ * @param dt Integration time step (default: excitation sample interval)
+ * @param options Newmark-family integrator options
+ * @param auxiliaryMasses Masses of the added DOFs (kg)
+ * @returns Response of the model DOFs, added DOF displacements and device histories
+ */
+export function solveWithDeviceElements(
+  model: StructureModel,
+  elements: DeviceElement[],
+  excitation: SeismicWaveform,
+  dt?: number,
+  options: SolverOptions = {},
+  auxiliaryMasses: number[] = []
+): DeviceElementResponse {
+  const n = model.numDOFs;
+  const size = n + auxiliaryMasses.length;
+  const pad = (matrix: number[][]) => Array.from({ length: size }, (_, i) =>
+    Array.from({ length: size }, (_, j) => (i < n && j < n ? matrix[i][j] : 0)));
+
+  elements.forEach(element => {
+    if (element.upper < 0 || element.upper >= size || element.lower < -1 || element.lower >= size) {
+      throw new Error(`Device ${element.name} connects DOFs outside the model`);
+    }
+  });
+
+  const massMatrix = pad(model.massMatrix);
+  auxiliaryMasses.forEach((mass, k) => { massMatrix[n + k][n + k] = mass; });
+  const dampingMatrix = pad(model.dampingMatrix);
+  const influenceMass = massMatrix.map(row => row.reduce((sum, m) => sum + m, 0));
+
+  // Restoring forces of the structure: story springs when present, (K + KG)·u otherwise
+  const linearStiffness = secondOrderStiffness(model);
+  const bandedStiffness = toBandedMatrix(linearStiffness);
+  const linearForce = new Float64Array(n);
+  let springs: HystereticSpring[] = [];
+  let structureBandwidth = bandedStiffness.bandwidth;
+  let assembleStructure = (u: Float64Array, force: Float64Array, tangent: BandedMatrix) => {
+    bandedMultiply(bandedStiffness, u.subarray(0, n), linearForce);
+    for (let i = 0; i < n; i++) force[i] += linearForce[i];
+    bandedAdd(tangent, bandedStiffness);
+  };
+  if (model.storySprings) {
+    let bandwidth: number;
+    ({ springs, bandwidth, assemble: assembleStructure } = createStoryRestoringForce(model));
+    structureBandwidth = bandwidth;
+  }
+  const stiffnessSums = model.stiffnessMatrix.map((_, j) => model.stiffnessMatrix.reduce((sum, row) => sum + row[j], 0));
+
+  const integrator = createIntegrator(options);
+  if (!integrator.newmarkParameters) {
+    throw new Error(`Device elements need a Newmark integrator, got ${integrator.name}`);
+  }
+
+  // Step planning on the initial tangent of the structure and devices
+  const initialStiffness = pad(linearStiffness);
+  const initialDamping = pad(model.dampingMatrix);
+  elements.forEach(element => {
+    const state = element.trial(0, 0);
+    assembleElement(initialStiffness, element.lower, element.upper, state.stiffness);
+    assembleElement(initialDamping, element.lower, element.upper, state.damping);
+  });
+  const outputTimeStep = getTimeStep(excitation);
+  const integration = planTimeStep(
+    { massMatrix, dampingMatrix: initialDamping, stiffnessMatrix: initialStiffness },
+    integrator,
+    outputTimeStep,
+    dt,
+    options.substeps
+  );
+
+  const relative = (x: Float64Array, element: DeviceElement) =>
+    x[element.upper] - (element.lower >= 0 ? x[element.lower] : 0);
+
+  const numSamples = excitation.amplitude.length;
+  const baseShear: number[] = [];
+  const devices: DeviceHistory[] = elements.map(element => ({
+    name: element.name,
+    deformation: [],
+    force: [],
+    dissipatedEnergy: [],
+    totalDissipatedEnergy: 0
+  }));
+
+  // Trial and committed element states; dissipation is the work of the device force less the change in stored energy
+  let trialStates: DeviceState[] = [];
+  const trialDeformation = new Float64Array(elements.length);
+  let committedStates = elements.map(element => element.trial(0, 0));
+  const committedDeformation = new Float64Array(elements.length);
+  const dissipated = new Array(elements.length).fill(0);
+
+  const buffers = integrateNonlinearSystem(
+    {
+      massMatrix,
+      dampingMatrix,
+      bandwidth: elements.reduce((band, { lower, upper }) =>
+        (lower >= 0 ? Math.max(band, Math.abs(upper - lower)) : band), structureBandwidth),
+      resistingForce: (u, v, force, stiffness, damping) => {
+        assembleStructure(u, force, stiffness);
+        trialStates = elements.map((element, e) => {
+          trialDeformation[e] = relative(u, element);
+          const state = element.trial(trialDeformation[e], relative(v, element));
+          force[element.upper] += state.force;
+          if (element.lower >= 0) force[element.lower] -= state.force;
+          bandedAddElement(stiffness, element.lower, element.upper, state.stiffness);
+          bandedAddElement(damping, element.lower, element.upper, state.damping);
+          return state;
+        });
+        return trialStates.every(state => state.converged !== false);
+      },
+      commit: () => {
+        springs.forEach(spring => spring.commit());
+        elements.forEach(element => element.commit());
+        trialStates.forEach((current, e) => {
+          const previous = committedStates[e];
+          dissipated[e] += 0.5 * (current.force + previous.force) * (trialDeformation[e] - committedDeformation[e]) -
+            (current.storedEnergy - previous.storedEnergy);
+        });
+        committedStates = trialStates;
+        committedDeformation.set(trialDeformation);
+      }
+    },
+    (t, out) => {
+      for (let i = 0; i < size; i++) out[i] = -influenceMass[i] * excitation.amplitude[t];
+    },
+    numSamples,
+    outputTimeStep,
+    integrator,
+    integration.substeps,
+    (_completed, _buffers, { u }) => {
+      let structureShear = 0;
+      if (springs.length) {
+        structureShear = springs[0].getForce();
+      } else {
+        for (let j = 0; j < n; j++) structureShear += stiffnessSums[j] * u[j];
+      }
+      baseShear.push(structureShear + committedStates.reduce((sum, s, e) => sum + (elements[e].lower < 0 ? s.force : 0), 0));
+      devices.forEach((history, e) => {
+        history.deformation.push(relative(u, elements[e]));
+        history.force.push(committedStates[e].force);
+        history.dissipatedEnergy.push(dissipated[e]);
+      });
+    }
+  );
+
+  devices.forEach((history, e) => { history.totalDissipatedEnergy = dissipated[e]; });
+
+  // Model DOFs and added DOFs of each output sample
+  const rows = (buffer: Float64Array, from: number, to: number) => Array.from({ length: buffers.numSteps }, (_, t) =>
+    Array.from(buffer.subarray(t * size + from, t * size + to)));
+  const time = Array.from({ length: buffers.numSteps }, (_, t) => excitation.time[0] + t * outputTimeStep);
+
+  return {
+    response: {
+      ...summarizeResponse(
+        time,
+        rows(buffers.displacement, 0, n),
+        rows(buffers.velocity, 0, n),
+        rows(buffers.acceleration, 0, n),
+        baseShear
+      ),
+      nonConvergedSteps: buffers.nonConvergedSteps,
+      integration
+    },
+    auxiliaryDisplacement: rows(buffers.displacement, n, size),
+    devices
+  };
+}
+
+/**
+ * Builds the device elements and added tuned masses of a set of control devices
+ * @param model Structure model
+ * @param devices Control devices
+ * @returns Device elements and the masses of the added DOFs
+ */
+export function createDeviceElements(
+  model: StructureModel,
+  devices: ControlDevice[]
+): { elements: DeviceElement[]; auxiliaryMasses: number[] } {
+  const { numDOFs, massMatrix } = model;
+  const elements: DeviceElement[] = [];
+  const auxiliaryMasses: number[] = [];
+  const totalMass = massMatrix.reduce((sum, row) => sum + row.reduce((rowSum, m) => rowSum + m, 0), 0);
+  let firstMode: ModalAnalysisResult | undefined;
+
+  devices.forEach(device => {
+    switch (device.type) {
+      case 'tmd': {
+        const floor = device.floor ?? numDOFs - 1;
+        if (floor < 0 || floor >= numDOFs) {
+          throw new Error(`TMD floor ${floor} is outside the model (${numDOFs} DOFs)`);
+        }
+
+        // Warburton (1982) optimum for ground excitation, with μ the damper mass over the first-mode
+        // generalized mass at the attachment floor, ΦᵀMΦ / φ² (= 1/φ² for mass-normalized shapes)
+        const mass = device.mass ?? (device.massRatio ?? 0.02) * totalMass;
+        firstMode = firstMode ?? modalAnalysis(model, { numModes: 1 });
+        const shape = firstMode.modeShapes[0][floor];
+        const mu = mass * shape * shape;
+        const frequency = device.frequency ?? firstMode.frequencies[0] * Math.sqrt(1 - mu / 2) / (1 + mu);
+        const dampingRatio = device.dampingRatio ??
+          Math.sqrt(3 * mu * (1 - mu / 4) / (8 * (1 + mu) * (1 - mu / 2)));
+        const omega = 2 * Math.PI * frequency;
+
+        const dof = numDOFs + auxiliaryMasses.length;
+        auxiliaryMasses.push(mass);
+        elements.push(createLinearElement(`TMD (floor ${floor + 1})`, floor, dof, mass * omega * omega, 2 * dampingRatio * mass * omega));
+        break;
+      }
+      case 'viscous': {
+        const { lower, upper } = storyDOFs(model, device.story);
+        const { coefficient, exponent = 1, referenceVelocity = 0.001 } = device;
+
+        // Below the reference velocity a nonlinear damper follows the secant at the reference velocity
+        const secant = coefficient * Math.pow(referenceVelocity, exponent - 1);
+        elements.push({
+          name: `Viscous damper (story ${device.story + 1})`,
+          lower,
+          upper,
+          trial: (_, velocity) => {
+            const speed = Math.abs(velocity);
+            if (exponent === 1) {
+              return { force: coefficient * velocity, stiffness: 0, damping: coefficient, storedEnergy: 0 };
+            }
+            if (speed < referenceVelocity) {
+              return { force: secant * velocity, stiffness: 0, damping: secant, storedEnergy: 0 };
+            }
+            return {
+              force: Math.sign(velocity) * coefficient * Math.pow(speed, exponent),
+              stiffness: 0,
+              damping: exponent * coefficient * Math.pow(speed, exponent - 1),
+              storedEnergy: 0
+            };
+          },
+          commit: () => {}
+        });
+        break;
+      }
+      case 'friction': {
+        const { lower, upper } = storyDOFs(model, device.story);
+        const stiffness = device.stiffness ?? 10 * (model.storyStiffness?.[device.story] ?? NaN);
+        if (!(stiffness > 0)) {
+          throw new Error(`Friction damper in story ${device.story} needs a brace stiffness`);
+        }
+
+        const spring = createHystereticSpring(
+          { model: 'elastic-perfectly-plastic', initialStiffness: stiffness, yieldStrength: device.slipForce },
+          stiffness,
+          1
+        );
+        elements.push(createHystereticElement(`Friction damper (story ${device.story + 1})`, lower, upper, spring));
+        break;
+      }
+      default:
+        throw new Error(`Unknown control device: ${(device as { type: string }).type}`);
+    }
+  });
+
+  return { elements, auxiliaryMasses };
+}
+
+/**
+ * Peak absolute floor acceleration of a response
+ */
+function peakAbsoluteAcceleration(response: StructuralResponse, excitation: SeismicWaveform): number {
+  return (response.acceleration ?? []).reduce((peak, row, t) =>
+    row.reduce((rowPeak, a) => Math.max(rowPeak, Math.abs(a + excitation.amplitude[t])), peak), 0);
+}
+
+/**
+ * Compares the peak responses of a structure with and without devices
+ * @param controlled Response with devices
+ * @param uncontrolled Response without devices
+ * @param excitation Ground motion excitation of both responses
+ * @returns Peak roof displacement, story drift, absolute floor acceleration and base shear
+ */
+export function compareResponses(
+  controlled: StructuralResponse,
+  uncontrolled: StructuralResponse,
+  excitation: SeismicWaveform
+): ResponseComparison[] {
+  const roof = (response: StructuralResponse) =>
+    response.displacement.reduce((peak, row) => Math.max(peak, Math.abs(row[row.length - 1])), 0);
+  const drift = (response: StructuralResponse) => Math.max(0, ...(response.maxDrift ?? []));
+  const shear = (response: StructuralResponse) =>
+    (response.baseShear ?? []).reduce((peak, V) => Math.max(peak, Math.abs(V)), 0);
+
+  const entries: [ResponseComparison['quantity'], (response: StructuralResponse) => number][] = [
+    ['roofDisplacement', roof],
+    ['storyDrift', drift],
+    ['floorAcceleration', response => peakAbsoluteAcceleration(response, excitation)],
+    ['baseShear', shear]
+  ];
+
+  return entries.map(([quantity, peak]) => {
+    const without = peak(uncontrolled);
+    const withDevices = peak(controlled);
+    return {
+      quantity,
+      uncontrolled: without,
+      controlled: withDevices,
+      reduction: without > 0 ? 1 - withDevices / without : 0
+    };
+  });
+}
+
+/**
+ * Solves the time history of a structure with supplemental damping devices
+ * and of the same structure without them
+ * @param model Structure model
+ * @param devices Tuned mass, viscous and friction dampers
+ * @param excitation Ground motion excitation
+ * @param dt Integration time step (default: excitation sample interval)
+ * @param options Newmark-family integrator options
+ * @returns Controlled and uncontrolled responses, device energy and peak response comparison
+ */
+export function solveControlledResponse(
+  model: StructureModel,
+  devices: ControlDevice[],
+  excitation: SeismicWaveform,
+  dt?: number,
+  options: SolverOptions = {}
+): ControlledResponse {
+  const { elements, auxiliaryMasses } = createDeviceElements(model, devices);
+  const controlled = solveWithDeviceElements(model, elements, excitation, dt, options, auxiliaryMasses);
+  const uncontrolled = solveResponseTimeHistory(model, excitation, dt, options);
+
+  return {
+    controlled: controlled.response,
+    uncontrolled,
+    devices: controlled.devices,
+    tmdDisplacement: controlled.auxiliaryDisplacement,
+    comparison: compareResponses(controlled.response, uncontrolled, excitation)
+  };
+}
+
+export default {
+  createLinearElement,
+  createHystereticElement,
+  createDeviceElements,
+  solveWithDeviceElements,
+  compareResponses,
+  solveControlledResponse
+};
@@ -0,0 +1,151 @@
+import type { StructuralResponse, StructureModel } from './simulationEngine';
+import { storySpringsOf } from './energyBalance';
+
+/**
+ * Parameters of the cumulative damage models
+ */
+export interface DamageIndexOptions {
+  parkAngBeta?: number;               // Park-Ang cyclic energy coefficient β (default: 0.05)
+  ultimateDuctility?: number;         // Monotonic ultimate drift over yield drift (default: 8)
+  fatigueCoefficient?: number;        // C in Coffin-Manson Δθp = C·Nf^(-c) (default: 0.1)
+  fatigueExponent?: number;           // c in Coffin-Manson Δθp = C·Nf^(-c) (default: 0.5)
+}
+
+/**
+ * Cumulative damage indices of one story
+ */
+export interface StoryDamageIndices {
+  ductility: number;                  // Peak drift over yield drift
+  hystereticEnergy: number;           // Energy dissipated by the story spring (J)
+  normalizedHystereticEnergy: number; // EH / (Fy·δy)
+  parkAng: number;                    // δmax/δu + β·EH/(Fy·δu): < 0.4 repairable, ≥ 1 collapse
+  plasticCycles: number;              // Rainflow cycles with a plastic drift range (half cycles count 0.5)
+  fatigueDamage: number;              // Miner sum Σ n/Nf of the plastic cycles under Coffin-Manson, ≥ 1 fracture
+}
+
+/**
+ * Rainflow cycle of a load history
+ */
+export interface RainflowCycle {
+  range: number;                      // Peak-to-valley range
+  count: number;                      // 1 for a full cycle, 0.5 for a half cycle
+}
+
+/**
+ * Reversal points of a history (first and last samples included)
+ */
+function turningPoints(history: number[]): number[] {
+  const points: number[] = [];
+  history.forEach(value => {
+    const n = points.length;
+    if (n === 0 || value === points[n - 1]) {
+      if (n === 0) points.push(value);
+      return;
+    }
+    if (n >= 2 && (points[n - 1] - points[n - 2]) * (value - points[n - 1]) > 0) {
+      points[n - 1] = value;
+    } else {
+      points.push(value);
+    }
+  });
+  return points;
+}
+
+/**
+ * Counts the cycles of a history by the rainflow method (ASTM E1049 §5.4.4)
+ * @param history Load or deformation history
+ * @returns Ranges with their cycle counts; the residue counts as half cycles
+ */
+export function rainflowCycles(history: number[]): RainflowCycle[] {
+  const cycles: RainflowCycle[] = [];
+  const stack: number[] = [];
+
+  turningPoints(history).forEach(point => {
+    stack.push(point);
+    while (stack.length >= 3) {
+      const n = stack.length;
+      const x = Math.abs(stack[n - 1] - stack[n - 2]);
+      const y = Math.abs(stack[n - 2] - stack[n - 3]);
+      if (x < y) break;
+
+      if (n === 3) {
+        // Y contains the starting point: half cycle
+        cycles.push({ range: y, count: 0.5 });
+        stack.shift();
+      } else {
+        cycles.push({ range: y, count: 1 });
+        stack.splice(n - 3, 2);
+      }
+    }
+  });
+
+  for (let i = 1; i < stack.length; i++) {
+    cycles.push({ range: Math.abs(stack[i] - stack[i - 1]), count: 0.5 });
+  }
+  return cycles;
+}
+
+/**
+ * Computes Park-Ang, normalized hysteretic energy and low-cycle fatigue
+ * damage of each story. Plastic drift ranges are the rainflow ranges less the
+ * elastic range 2δy; Nf follows Coffin-Manson in drift ratio.
+ * @param model Shear building model with story springs
+ * @param response Response with story hysteresis
+ * @param storyHysteretic Final hysteretic energy of each story (J, from the energy balance)
+ * @param options Damage model parameters
+ * @returns Damage indices of each story
+ */
+export function computeDamageIndices(
+  model: StructureModel,
+  response: StructuralResponse,
+  storyHysteretic: number[],
+  options: DamageIndexOptions = {}
+): StoryDamageIndices[] {
+  const {
+    parkAngBeta = 0.05,
+    ultimateDuctility = 8,
+    fatigueCoefficient = 0.1,
+    fatigueExponent = 0.5
+  } = options;
+
+  if (!response.storyHysteresis) {
+    throw new Error('Damage indices need story hysteresis (a model with story springs)');
+  }
+
+  const springs = storySpringsOf(model);
+  const storyHeights = (model.floorHeights ?? []).map((height, i, heights) => height - (i > 0 ? heights[i - 1] : 0));
+
+  return response.storyHysteresis.map((loop, i) => {
+    const { yieldStrength, yieldDeformation } = springs[i];
+    const height = storyHeights[i] ?? model.properties.storyHeight;
+    const ultimateDrift = ultimateDuctility * yieldDeformation;
+    const peakDrift = loop.drift.reduce((peak, d) => Math.max(peak, Math.abs(d)), 0);
+    const hystereticEnergy = Math.max(0, storyHysteretic[i]);
+    const elastic = springs[i].model === 'elastic';
+
+    let plasticCycles = 0;
+    let fatigueDamage = 0;
+    if (!elastic) {
+      rainflowCycles(loop.drift).forEach(({ range, count }) => {
+        const plasticRange = (range - 2 * yieldDeformation) / height;
+        if (plasticRange <= 0) return;
+        plasticCycles += count;
+        fatigueDamage += count * Math.pow(plasticRange / fatigueCoefficient, 1 / fatigueExponent);
+      });
+    }
+
+    return {
+      ductility: peakDrift / yieldDeformation,
+      hystereticEnergy,
+      normalizedHystereticEnergy: hystereticEnergy / (yieldStrength * yieldDeformation),
+      parkAng: elastic ? 0 : peakDrift / ultimateDrift + parkAngBeta * hystereticEnergy / (yieldStrength * ultimateDrift),
+      plasticCycles,
+      fatigueDamage
+    };
+  });
+}
+
+export default {
+  rainflowCycles,
+  computeDamageIndices
+};
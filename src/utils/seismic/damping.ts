@@ -0,0 +1,192 @@
+import {
+  generalizedEigen,
+  identity,
+  matMul,
+  matVec,
+  dot,
+  solveLinearSystem,
+  transpose,
+  zeros
+} from './linearAlgebra';
+
+/**
+ * Classical damping formulations
+ */
+export type DampingModelType = 'rayleigh' | 'mass-proportional' | 'stiffness-proportional' | 'caughey' | 'modal';
+
+/**
+ * Damping model options
+ */
+export interface DampingOptions {
+  type?: DampingModelType;    // Default: 'rayleigh'
+  dampingRatio?: number;      // Target ratio at the anchor modes (default: 0.05)
+  anchorModes?: number[];     // One-based modes where the target is met (default: Rayleigh [1, 3], Caughey [1, 2, 3])
+  anchorRatios?: number[];    // Target ratio for each anchor mode (default: dampingRatio)
+  modalRatios?: number[];     // Per-mode ratios for modal damping; missing modes use the last value
+}
+
+/**
+ * Damping matrix and the damping it gives each mode
+ */
+export interface DampingResult {
+  dampingMatrix: number[][];
+  coefficients: number[];     // Rayleigh [a0, a1], Caughey series aᵦ, or empty for modal damping
+  modalDampingRatios: number[]; // Effective ratio of each mode, ascending frequency
+  circularFrequencies: number[]; // ω of each mode (rad/s)
+}
+
+/**
+ * Computes the damping ratio each mode receives from a damping matrix,
+ * ζn = φnᵀCφn / (2ωn) with mass-normalized modes
+ * @param massMatrix Mass matrix
+ * @param stiffnessMatrix Stiffness matrix
+ * @param dampingMatrix Damping matrix
+ * @returns Modal damping ratios and circular frequencies in ascending order
+ */
+export function effectiveModalDamping(
+  massMatrix: number[][],
+  stiffnessMatrix: number[][],
+  dampingMatrix: number[][]
+): { modalDampingRatios: number[]; circularFrequencies: number[] } {
+  const { values, vectors } = generalizedEigen(stiffnessMatrix, massMatrix);
+  const circularFrequencies = values.map(value => Math.sqrt(Math.max(value, 0)));
+
+  return {
+    circularFrequencies,
+    modalDampingRatios: vectors.map((shape, n) => {
+      const omega = circularFrequencies[n];
+      return omega > 0 ? dot(shape, matVec(dampingMatrix, shape)) / (2 * omega) : 0;
+    })
+  };
+}
+
+/**
+ * Solves for Caughey series coefficients so that ζ = ½·Σ aᵦ·ω^(2b-1) at the anchor frequencies
+ */
+function caugheyCoefficients(omegas: number[], ratios: number[]): number[] {
+  const terms = omegas.length;
+  const A = omegas.map(omega =>
+    Array.from({ length: terms }, (_, b) => 0.5 * Math.pow(omega, 2 * b - 1)));
+  return solveLinearSystem(A, ratios);
+}
+
+/**
+ * Builds a classical damping matrix for a structure
+ * @param massMatrix Mass matrix
+ * @param stiffnessMatrix Stiffness matrix
+ * @param options Damping formulation, target ratio and anchor modes
+ * @returns Damping matrix, coefficients and the resulting modal damping ratios
+ */
+export function buildDampingMatrix(
+  massMatrix: number[][],
+  stiffnessMatrix: number[][],
+  options: DampingOptions = {}
+): DampingResult {
+  const { type = 'rayleigh', dampingRatio = 0.05 } = options;
+  const n = massMatrix.length;
+  const { values, vectors } = generalizedEigen(stiffnessMatrix, massMatrix);
+  const omegas = values.map(value => Math.sqrt(Math.max(value, 0)));
+
+  const anchorFrequencies = (defaults: number[]) => {
+    const modes = options.anchorModes ?? defaults;
+    const unique = Array.from(new Set(modes.map(mode => Math.min(Math.max(Math.round(mode), 1), n))));
+    return {
+      omegas: unique.map(mode => omegas[mode - 1]),
+      ratios: unique.map((_, i) => options.anchorRatios?.[i] ?? dampingRatio)
+    };
+  };
+
+  let dampingMatrix: number[][];
+  let coefficients: number[] = [];
+
+  switch (type) {
+    case 'mass-proportional':
+    case 'stiffness-proportional':
+    case 'rayleigh': {
+      let a0 = 0;
+      let a1 = 0;
+
+      if (type === 'mass-proportional') {
+        const anchor = anchorFrequencies([1]);
+        a0 = 2 * anchor.ratios[0] * anchor.omegas[0];
+      } else if (type === 'stiffness-proportional') {
+        const anchor = anchorFrequencies([1]);
+        a1 = 2 * anchor.ratios[0] / anchor.omegas[0];
+      } else {
+        const anchor = anchorFrequencies([1, Math.min(3, n)]);
+        if (anchor.omegas.length < 2) {
+          // Single mode: split the target equally between mass and stiffness terms
+          a0 = anchor.ratios[0] * anchor.omegas[0];
+          a1 = anchor.ratios[0] / anchor.omegas[0];
+        } else {
+          const [wi, wj] = anchor.omegas;
+          const [zi, zj] = anchor.ratios;
+          // ζ = a0/(2ω) + a1·ω/2 at both anchors
+          a0 = 2 * wi * wj * (zi * wj - zj * wi) / (wj * wj - wi * wi);
+          a1 = 2 * (zj * wj - zi * wi) / (wj * wj - wi * wi);
+        }
+      }
+
+      coefficients = [a0, a1];
+      dampingMatrix = massMatrix.map((row, i) => row.map((m, j) => a0 * m + a1 * stiffnessMatrix[i][j]));
+      break;
+    }
+
+    case 'caughey': {
+      const anchor = anchorFrequencies(Array.from({ length: Math.min(3, n) }, (_, i) => i + 1));
+      coefficients = caugheyCoefficients(anchor.omegas, anchor.ratios);
+
+      // C = M·Σ aᵦ·(M⁻¹K)ᵇ
+      const columns = transpose(stiffnessMatrix).map(column => solveLinearSystem(massMatrix, column));
+      const flexibilityProduct = transpose(columns);
+      let power = identity(n);
+      const series = zeros(n);
+
+      coefficients.forEach((a, b) => {
+        if (b > 0) power = matMul(power, flexibilityProduct);
+        for (let i = 0; i < n; i++) {
+          for (let j = 0; j < n; j++) {
+            series[i][j] += a * power[i][j];
+          }
+        }
+      });
+
+      dampingMatrix = matMul(massMatrix, series);
+      break;
+    }
+
+    case 'modal': {
+      const ratios = options.modalRatios && options.modalRatios.length > 0 ? options.modalRatios : [dampingRatio];
+
+      // C = M·Φ·diag(2ζω)·Φᵀ·M with mass-normalized Φ
+      const MPhi = vectors.map(shape => matVec(massMatrix, shape));
+      dampingMatrix = zeros(n);
+      MPhi.forEach((column, mode) => {
+        const zeta = ratios[Math.min(mode, ratios.length - 1)];
+        const factor = 2 * zeta * omegas[mode];
+        for (let i = 0; i < n; i++) {
+          for (let j = 0; j < n; j++) {
+            dampingMatrix[i][j] += factor * column[i] * column[j];
+          }
+        }
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown damping model: ${type}`);
+  }
+
+  return {
+    dampingMatrix,
+    coefficients,
+    modalDampingRatios: vectors.map((shape, mode) =>
+      omegas[mode] > 0 ? dot(shape, matVec(dampingMatrix, shape)) / (2 * omegas[mode]) : 0),
+    circularFrequencies: omegas
+  };
+}
+
+export default {
+  effectiveModalDamping,
+  buildDampingMatrix
+};
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { createRandom } from './random';
+import { solveLinearSystem } from './linearAlgebra';
+import type { SpectralMatchResult } from './waveformGenerator';
 
 // Types
 export interface SeismicWaveform {
@@ -13,9 +16,92 @@ export interface SeismicWaveform {
     sampleRate?: number;
     units?: string;
     event?: string;
+    seed?: number | string; // Random seed of a synthetic record
+    filters?: FilterSettings[]; // Filters applied to the record, in order
+    quantity?: 'acceleration' | 'velocity' | 'displacement'; // Physical quantity of the series
+    baselineCorrection?: BaselineCorrectionSettings; // Baseline correction applied to the record
+    spectralMatch?: SpectralMatchResult; // Spectral matching history (spectrum-compatible records)
   };
 }
 
+/**
+ * Digital filter types supported by filterWaveform
+ */
+export type FilterType = 'lowpass' | 'highpass' | 'bandpass' | 'bandstop';
+
+/**
+ * Options controlling the Butterworth filter used by filterWaveform
+ */
+export interface FilterOptions {
+  order?: number;          // Butterworth order (default: 4)
+  zeroPhase?: boolean;     // Forward-backward (acausal) filtering (default: true)
+  taperFraction?: number;  // Fraction of the record cosine-tapered at each end (default: 0.05)
+  padDuration?: number;    // Zero-padding in seconds (default: 1.5 * order / lowest corner)
+}
+
+/**
+ * Options for baseline correction of an accelerogram
+ */
+export interface BaselineCorrectionOptions {
+  method?: 'polynomial' | 'multi-segment' | 'none'; // Correction scheme (default: 'polynomial')
+  removeMean?: boolean;      // Subtract the pre-event mean first (default: true)
+  preEventDuration?: number; // Seconds used for the pre-event mean (default: whole record)
+  polynomialOrder?: number;  // Order of the polynomial fitted to velocity, without a constant term (default: 2)
+  segmentTimes?: [number, number]; // Multi-segment t1 and t2 in seconds (default: from strong-motion threshold)
+  threshold?: number;        // Fraction of PGA delimiting strong motion for default t1/t2 (default: 0.1)
+}
+
+/**
+ * Baseline correction settings recorded in the waveform metadata
+ */
+export interface BaselineCorrectionSettings {
+  method: 'polynomial' | 'multi-segment' | 'none';
+  meanRemoved: number;       // Offset removed from the acceleration, in record units
+  polynomialOrder?: number;
+  velocityCoefficients?: number[]; // Fitted velocity polynomial, ascending powers of time
+  segmentTimes?: [number, number];
+  segmentAcceleration?: number;    // Offset applied between t1 and t2
+  finalAcceleration?: number;      // Offset applied after t2
+}
+
+/**
+ * Acceleration, velocity and displacement histories sharing one time axis
+ */
+export interface GroundMotionHistories {
+  acceleration: SeismicWaveform;
+  velocity: SeismicWaveform;
+  displacement: SeismicWaveform;
+}
+
+/**
+ * Options for the accelerogram processing pipeline
+ */
+export interface AccelerogramProcessingOptions {
+  baseline?: BaselineCorrectionOptions;
+  filter?: {
+    type: FilterType;
+    cutoffLow?: number;
+    cutoffHigh?: number;
+    options?: FilterOptions;
+  };
+  lengthUnit?: 'm' | 'cm' | 'mm'; // Unit of displacement; velocity uses the same unit per second (default: 'm')
+}
+
+/**
+ * Filter settings recorded in the waveform metadata for traceability
+ */
+export interface FilterSettings {
+  type: FilterType;
+  design: 'butterworth';
+  order: number;
+  zeroPhase: boolean;
+  cutoffLow?: number;      // Hz (highpass, bandpass, bandstop)
+  cutoffHigh?: number;     // Hz (lowpass, bandpass, bandstop)
+  taperFraction: number;
+  padDuration: number;     // Seconds of zero-padding used
+  sampleRate: number;      // Hz
+}
+
 export interface DisplacementField {
   positions: Float32Array;
   values: Float32Array;
@@ -31,7 +117,10 @@ export interface SeismicResponseSpectrum {
   acceleration: number[]; // Spectral acceleration values
   velocity?: number[];   // Spectral velocity values (optional)
   displacement?: number[]; // Spectral displacement values (optional)
+  pseudoVelocity?: number[];     // Pseudo-spectral velocity ωSd (optional)
+  pseudoAcceleration?: number[]; // Pseudo-spectral acceleration ω²Sd (optional)
   dampingRatio?: number; // Damping ratio used for calculation
+  units?: string;        // Units of the acceleration values (default: 'm/s^2')
 }
 
 export interface SeismicLoadingParameters {
@@ -149,24 +238,545 @@ export function resampleWaveform(
 }
 
 /**
- * Applies a filter to a seismic waveform (low-pass, high-pass, or band-pass)
+ * Gets the sample interval of a waveform
+ * @param waveform The input waveform
+ * @returns Time step in seconds
+ */
+export function getTimeStep(waveform: SeismicWaveform): number {
+  const { time, metadata } = waveform;
+  
+  if (metadata?.sampleRate) {
+    return 1 / metadata.sampleRate;
+  }
+  
+  if (time.length < 2) {
+    throw new Error('Cannot determine the time step of a waveform with fewer than two samples');
+  }
+  
+  return (time[time.length - 1] - time[0]) / (time.length - 1);
+}
+
+// Minimal complex arithmetic for filter design
+interface Complex {
+  re: number;
+  im: number;
+}
+
+const complex = (re: number, im: number = 0): Complex => ({ re, im });
+const cAdd = (a: Complex, b: Complex): Complex => complex(a.re + b.re, a.im + b.im);
+const cSub = (a: Complex, b: Complex): Complex => complex(a.re - b.re, a.im - b.im);
+const cMul = (a: Complex, b: Complex): Complex =>
+  complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const cDiv = (a: Complex, b: Complex): Complex => {
+  const denom = b.re * b.re + b.im * b.im;
+  return complex((a.re * b.re + a.im * b.im) / denom, (a.im * b.re - a.re * b.im) / denom);
+};
+const cScale = (a: Complex, k: number): Complex => complex(a.re * k, a.im * k);
+const cSqrt = (a: Complex): Complex => {
+  const r = Math.hypot(a.re, a.im);
+  const re = Math.sqrt((r + a.re) / 2);
+  const im = Math.sqrt(Math.max(0, (r - a.re) / 2));
+  return complex(re, a.im < 0 ? -im : im);
+};
+const cAbs = (a: Complex): number => Math.hypot(a.re, a.im);
+
+/**
+ * Second-order section of an IIR filter: H(z) = (b0 + b1 z^-1 + b2 z^-2) / (1 + a1 z^-1 + a2 z^-2)
+ */
+interface BiquadSection {
+  b: [number, number, number];
+  a: [number, number, number];
+}
+
+/**
+ * Groups roots into conjugate pairs (or pairs of real roots) for second-order sections
+ */
+function pairRoots(roots: Complex[]): Complex[][] {
+  const eps = 1e-10;
+  const complexRoots = roots.filter(r => r.im > eps);
+  const realRoots = roots.filter(r => Math.abs(r.im) <= eps).sort((x, y) => x.re - y.re);
+  const pairs: Complex[][] = complexRoots.map(r => [r, complex(r.re, -r.im)]);
+  
+  for (let i = 0; i < realRoots.length; i += 2) {
+    pairs.push(realRoots.slice(i, i + 2).map(r => complex(r.re, 0)));
+  }
+  
+  return pairs;
+}
+
+/**
+ * Designs a digital Butterworth filter as a cascade of second-order sections.
+ * Analog prototype poles are transformed to the requested filter type and
+ * mapped to the z-plane with the prewarped bilinear transform.
+ */
+function designButterworth(
+  type: FilterType,
+  order: number,
+  sampleRate: number,
+  cutoffLow: number,
+  cutoffHigh: number
+): BiquadSection[] {
+  const fs2 = 2 * sampleRate;
+  const prewarp = (f: number) => fs2 * Math.tan(Math.PI * f / sampleRate);
+  
+  // Normalized analog prototype poles on the unit circle (left half-plane)
+  const prototype: Complex[] = [];
+  for (let k = 0; k < order; k++) {
+    const theta = Math.PI * (2 * k + order + 1) / (2 * order);
+    prototype.push(complex(Math.cos(theta), Math.sin(theta)));
+  }
+  
+  const analogPoles: Complex[] = [];
+  const analogZeros: Complex[] = [];
+  let zerosAtInfinity = 0;
+  let referenceFrequency = 0; // Analog frequency (rad/s) where the gain is normalized to 1
+  
+  switch (type) {
+    case 'lowpass': {
+      const wc = prewarp(cutoffHigh);
+      prototype.forEach(p => analogPoles.push(cScale(p, wc)));
+      zerosAtInfinity = order;
+      referenceFrequency = 0;
+      break;
+    }
+    
+    case 'highpass': {
+      const wc = prewarp(cutoffLow);
+      prototype.forEach(p => {
+        analogPoles.push(cDiv(complex(wc), p));
+        analogZeros.push(complex(0));
+      });
+      referenceFrequency = Infinity;
+      break;
+    }
+    
+    case 'bandpass':
+    case 'bandstop': {
+      const wl = prewarp(cutoffLow);
+      const wh = prewarp(cutoffHigh);
+      const bandwidth = wh - wl;
+      const w0Squared = wl * wh;
+      
+      prototype.forEach(p => {
+        // Solve s^2 - c s + w0^2 = 0 for the transformed pole pair
+        const c = type === 'bandpass' ? cScale(p, bandwidth) : cDiv(complex(bandwidth), p);
+        const half = cScale(c, 0.5);
+        const disc = cSqrt(cSub(cMul(half, half), complex(w0Squared)));
+        analogPoles.push(cAdd(half, disc), cSub(half, disc));
+        
+        if (type === 'bandpass') {
+          analogZeros.push(complex(0));
+        } else {
+          analogZeros.push(complex(0, Math.sqrt(w0Squared)), complex(0, -Math.sqrt(w0Squared)));
+        }
+      });
+      
+      if (type === 'bandpass') {
+        zerosAtInfinity = order;
+        referenceFrequency = Math.sqrt(w0Squared);
+      } else {
+        referenceFrequency = 0;
+      }
+      break;
+    }
+  }
+  
+  // Bilinear transform: z = (2fs + s) / (2fs - s); zeros at infinity map to z = -1
+  const bilinear = (s: Complex) => cDiv(cAdd(complex(fs2), s), cSub(complex(fs2), s));
+  const digitalPoles = analogPoles.map(bilinear);
+  const digitalZeros = analogZeros.map(bilinear);
+  for (let i = 0; i < zerosAtInfinity; i++) {
+    digitalZeros.push(complex(-1));
+  }
+  
+  // Digital frequency at which each section is normalized to unit gain
+  const omegaRef = referenceFrequency === Infinity
+    ? Math.PI
+    : 2 * Math.atan(referenceFrequency / fs2);
+  const zRef = complex(Math.cos(omegaRef), Math.sin(omegaRef));
+  const zRefInv = cDiv(complex(1), zRef);
+  
+  const polePairs = pairRoots(digitalPoles);
+  const zeroPairs = pairRoots(digitalZeros);
+  
+  return polePairs.map((poles, index) => {
+    const zeros = zeroPairs[index] || [];
+    const toCoefficients = (roots: Complex[]): [number, number, number] => {
+      if (roots.length === 2) {
+        const sum = cAdd(roots[0], roots[1]);
+        const product = cMul(roots[0], roots[1]);
+        return [1, -sum.re, product.re];
+      }
+      if (roots.length === 1) {
+        return [1, -roots[0].re, 0];
+      }
+      return [1, 0, 0];
+    };
+    
+    const b = toCoefficients(zeros);
+    const a = toCoefficients(poles);
+    
+    // Evaluate section gain at the reference frequency and normalize it to 1
+    const evaluate = (coefficients: [number, number, number]) =>
+      cAdd(complex(coefficients[0]), cAdd(
+        cScale(zRefInv, coefficients[1]),
+        cScale(cMul(zRefInv, zRefInv), coefficients[2])
+      ));
+    const gain = cAbs(evaluate(b)) / cAbs(evaluate(a));
+    
+    return {
+      b: [b[0] / gain, b[1] / gain, b[2] / gain],
+      a
+    };
+  });
+}
+
+/**
+ * Runs a cascade of second-order sections over a signal (direct form II transposed)
+ */
+function applySections(sections: BiquadSection[], input: Float64Array): Float64Array {
+  let signal = input;
+  
+  for (const { b, a } of sections) {
+    const output = new Float64Array(signal.length);
+    let z1 = 0;
+    let z2 = 0;
+    
+    for (let i = 0; i < signal.length; i++) {
+      const x = signal[i];
+      const y = b[0] * x + z1;
+      z1 = b[1] * x - a[1] * y + z2;
+      z2 = b[2] * x - a[2] * y;
+      output[i] = y;
+    }
+    
+    signal = output;
+  }
+  
+  return signal;
+}
+
+/**
+ * Applies a Butterworth filter to a seismic waveform.
+ * Low-pass filters use cutoffHigh and high-pass filters use cutoffLow as the
+ * corner frequency; band-pass and band-stop filters use both corners. The
+ * record is cosine-tapered and zero-padded before filtering, and the padding
+ * is removed afterwards so the output has the same time axis as the input.
  * @param waveform The input waveform
  * @param type Type of filter
  * @param cutoffLow Low cutoff frequency (Hz)
  * @param cutoffHigh High cutoff frequency (Hz)
- * @returns Filtered waveform
+ * @param options Filter order, phase, taper and padding options
+ * @returns Filtered waveform with the filter settings appended to metadata.filters
  */
 export function filterWaveform(
   waveform: SeismicWaveform,
-  type: 'lowpass' | 'highpass' | 'bandpass',
+  type: FilterType,
   cutoffLow: number = 0.1,
-  cutoffHigh: number = 10
+  cutoffHigh: number = 10,
+  options: FilterOptions = {}
 ): SeismicWaveform {
-  // Simple implementation of filtering using FFT would go here
-  // In a real application, you'd use a proper DSP library
-  // This is a placeholder that just returns the original waveform
-  console.warn('Waveform filtering not fully implemented - using original data');
-  return waveform;
+  const {
+    order = 4,
+    zeroPhase = true,
+    taperFraction = 0.05
+  } = options;
+  
+  const { amplitude } = waveform;
+  const sampleRate = 1 / getTimeStep(waveform);
+  const nyquist = sampleRate / 2;
+  
+  const usesLow = type !== 'lowpass';
+  const usesHigh = type !== 'highpass';
+  
+  if (!Number.isInteger(order) || order < 1) {
+    throw new Error(`Filter order must be a positive integer, got ${order}`);
+  }
+  if (usesLow && !(cutoffLow > 0 && cutoffLow < nyquist)) {
+    throw new Error(`Low cutoff ${cutoffLow} Hz must lie between 0 and the Nyquist frequency (${nyquist} Hz)`);
+  }
+  if (usesHigh && !(cutoffHigh > 0 && cutoffHigh < nyquist)) {
+    throw new Error(`High cutoff ${cutoffHigh} Hz must lie between 0 and the Nyquist frequency (${nyquist} Hz)`);
+  }
+  if (usesLow && usesHigh && cutoffLow >= cutoffHigh) {
+    throw new Error(`Low cutoff (${cutoffLow} Hz) must be below high cutoff (${cutoffHigh} Hz)`);
+  }
+  
+  // Zero-padding length following Converse & Brady (1992): 1.5 * order / lowest corner
+  const lowestCorner = usesLow ? cutoffLow : cutoffHigh;
+  const padDuration = options.padDuration ?? 1.5 * order / lowestCorner;
+  const padSamples = Math.round(padDuration * sampleRate);
+  const frontPad = zeroPhase ? Math.floor(padSamples / 2) : 0;
+  
+  // Cosine (Tukey) taper at both ends of the record
+  const n = amplitude.length;
+  const taperSamples = Math.floor(Math.min(0.5, Math.max(0, taperFraction)) * n);
+  const padded = new Float64Array(n + padSamples);
+  
+  for (let i = 0; i < n; i++) {
+    let weight = 1;
+    if (i < taperSamples) {
+      weight = 0.5 * (1 - Math.cos(Math.PI * i / taperSamples));
+    } else if (i >= n - taperSamples) {
+      weight = 0.5 * (1 - Math.cos(Math.PI * (n - 1 - i) / taperSamples));
+    }
+    padded[frontPad + i] = amplitude[i] * weight;
+  }
+  
+  const sections = designButterworth(type, order, sampleRate, cutoffLow, cutoffHigh);
+  let filtered = applySections(sections, padded);
+  
+  if (zeroPhase) {
+    // Filter the time-reversed output again to cancel the phase shift
+    filtered.reverse();
+    filtered = applySections(sections, filtered);
+    filtered.reverse();
+  }
+  
+  const settings: FilterSettings = {
+    type,
+    design: 'butterworth',
+    order,
+    zeroPhase,
+    ...(usesLow ? { cutoffLow } : {}),
+    ...(usesHigh ? { cutoffHigh } : {}),
+    taperFraction: taperSamples / Math.max(n, 1),
+    padDuration: padSamples / sampleRate,
+    sampleRate
+  };
+  
+  return {
+    time: waveform.time,
+    amplitude: Array.from(filtered.subarray(frontPad, frontPad + n)),
+    metadata: {
+      ...waveform.metadata,
+      sampleRate,
+      filters: [...(waveform.metadata?.filters || []), settings]
+    }
+  };
+}
+
+/**
+ * Least-squares polynomial fit y ≈ Σ c_k t^k with the given powers of t
+ */
+function fitPolynomial(t: number[], y: number[], powers: number[]): number[] {
+  // Scale time to [0, 1] to keep the normal equations well conditioned
+  const span = Math.max(t[t.length - 1] - t[0], 1e-12);
+  const t0 = t[0];
+  const m = powers.length;
+  const normal = Array(m).fill(0).map(() => Array(m).fill(0));
+  const rhs = Array(m).fill(0);
+  
+  for (let i = 0; i < t.length; i++) {
+    const tau = (t[i] - t0) / span;
+    const basis = powers.map(p => Math.pow(tau, p));
+    for (let r = 0; r < m; r++) {
+      rhs[r] += basis[r] * y[i];
+      for (let c = 0; c < m; c++) {
+        normal[r][c] += basis[r] * basis[c];
+      }
+    }
+  }
+  
+  // Convert coefficients back to powers of (t - t0)
+  return solveLinearSystem(normal, rhs).map((coefficient, k) => coefficient / Math.pow(span, powers[k]));
+}
+
+/**
+ * Cumulative trapezoidal integral of a series sampled at times t
+ */
+function cumulativeTrapezoid(t: number[], y: number[]): number[] {
+  const result = Array(y.length).fill(0);
+  for (let i = 1; i < y.length; i++) {
+    result[i] = result[i - 1] + 0.5 * (y[i] + y[i - 1]) * (t[i] - t[i - 1]);
+  }
+  return result;
+}
+
+/**
+ * Corrects the baseline of an accelerogram so that the integrated velocity
+ * does not drift. 'polynomial' fits a polynomial to the velocity and removes
+ * its derivative from the acceleration; 'multi-segment' applies the
+ * Iwan et al. (1985) / Boore (2001) correction with separate offsets during
+ * and after the strong motion.
+ * @param waveform Acceleration waveform
+ * @param options Baseline correction options
+ * @returns Corrected waveform with the correction recorded in metadata.baselineCorrection
+ */
+export function correctBaseline(
+  waveform: SeismicWaveform,
+  options: BaselineCorrectionOptions = {}
+): SeismicWaveform {
+  const {
+    method = 'polynomial',
+    removeMean = true,
+    preEventDuration,
+    polynomialOrder = 2,
+    threshold = 0.1
+  } = options;
+  
+  const { time } = waveform;
+  const n = time.length;
+  let amplitude = [...waveform.amplitude];
+  
+  // Remove the pre-event (or whole-record) mean
+  let meanRemoved = 0;
+  if (removeMean && n > 0) {
+    const endTime = preEventDuration !== undefined ? time[0] + preEventDuration : Infinity;
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < n && time[i] <= endTime; i++) {
+      sum += amplitude[i];
+      count++;
+    }
+    meanRemoved = count > 0 ? sum / count : 0;
+    amplitude = amplitude.map(a => a - meanRemoved);
+  }
+  
+  const settings: BaselineCorrectionSettings = { method, meanRemoved };
+  
+  if (method === 'polynomial') {
+    if (!Number.isInteger(polynomialOrder) || polynomialOrder < 0) {
+      throw new Error(`Polynomial order must be a non-negative integer, got ${polynomialOrder}`);
+    }
+    
+    // No constant term: the fitted velocity, like the record's, is zero at the first sample
+    const velocity = cumulativeTrapezoid(time, amplitude);
+    const powers = Array.from({ length: polynomialOrder }, (_, k) => k + 1);
+    const coefficients = [0, ...(powers.length > 0 ? fitPolynomial(time, velocity, powers) : [])];
+    
+    // Subtract dv/dt of the fitted polynomial from the acceleration
+    amplitude = amplitude.map((a, i) => {
+      const tau = time[i] - time[0];
+      let slope = 0;
+      for (let k = 1; k < coefficients.length; k++) {
+        slope += k * coefficients[k] * Math.pow(tau, k - 1);
+      }
+      return a - slope;
+    });
+    
+    settings.polynomialOrder = polynomialOrder;
+    settings.velocityCoefficients = coefficients;
+  } else if (method === 'multi-segment') {
+    let [t1, t2] = options.segmentTimes || [NaN, NaN];
+    
+    if (!options.segmentTimes) {
+      // Default t1/t2 bracket the strong motion: first and last exceedance of threshold * PGA
+      const pga = amplitude.reduce((peak, a) => Math.max(peak, Math.abs(a)), 0);
+      const first = amplitude.findIndex(a => Math.abs(a) >= threshold * pga);
+      let last = first;
+      for (let i = n - 1; i >= 0; i--) {
+        if (Math.abs(amplitude[i]) >= threshold * pga) {
+          last = i;
+          break;
+        }
+      }
+      t1 = time[Math.max(first, 0)];
+      t2 = time[Math.max(last, 0)];
+    }
+    
+    if (!(t2 > t1) || t2 >= time[n - 1]) {
+      throw new Error(`Multi-segment correction needs t1 < t2 < record end, got t1=${t1}, t2=${t2}`);
+    }
+    
+    // Fit a straight line to the velocity after t2: v(t) ≈ v0 + af * t
+    const velocity = cumulativeTrapezoid(time, amplitude);
+    const tailTime: number[] = [];
+    const tailVelocity: number[] = [];
+    for (let i = 0; i < n; i++) {
+      if (time[i] >= t2) {
+        tailTime.push(time[i]);
+        tailVelocity.push(velocity[i]);
+      }
+    }
+    
+    const line = tailTime.length > 1 ? fitPolynomial(tailTime, tailVelocity, [0, 1]) : [tailVelocity[0] || 0, 0];
+    const finalAcceleration = line[1];
+    // Velocity of the fitted line at t2 is reached by a constant offset acting from t1
+    const segmentAcceleration = line[0] / (t2 - t1);
+    
+    amplitude = amplitude.map((a, i) => {
+      if (time[i] < t1) return a;
+      if (time[i] < t2) return a - segmentAcceleration;
+      return a - finalAcceleration;
+    });
+    
+    settings.segmentTimes = [t1, t2];
+    settings.segmentAcceleration = segmentAcceleration;
+    settings.finalAcceleration = finalAcceleration;
+  }
+  
+  return {
+    time,
+    amplitude,
+    metadata: {
+      ...waveform.metadata,
+      quantity: 'acceleration',
+      baselineCorrection: settings
+    }
+  };
+}
+
+/**
+ * Integrates a waveform over time with the trapezoidal rule
+ * @param waveform Input waveform
+ * @param scale Factor applied to the integral (e.g. for unit conversion)
+ * @param units Units label of the result
+ * @param quantity Physical quantity of the result
+ * @returns Integrated waveform starting from zero
+ */
+export function integrateWaveform(
+  waveform: SeismicWaveform,
+  scale: number = 1,
+  units?: string,
+  quantity?: 'velocity' | 'displacement'
+): SeismicWaveform {
+  const integral = cumulativeTrapezoid(waveform.time, waveform.amplitude);
+  
+  return {
+    time: waveform.time,
+    amplitude: integral.map(value => value * scale),
+    metadata: {
+      ...waveform.metadata,
+      units: units ?? waveform.metadata?.units,
+      quantity
+    }
+  };
+}
+
+/**
+ * Processes an accelerogram into acceleration, velocity and displacement
+ * histories: baseline correction, optional filtering and double integration.
+ * Velocity and displacement are converted to the requested length unit.
+ * @param waveform Raw acceleration waveform
+ * @param options Processing options
+ * @returns Linked acceleration, velocity and displacement waveforms
+ */
+export function processAccelerogram(
+  waveform: SeismicWaveform,
+  options: AccelerogramProcessingOptions = {}
+): GroundMotionHistories {
+  const { baseline = {}, filter, lengthUnit = 'm' } = options;
+  
+  let acceleration = correctBaseline(waveform, baseline);
+  
+  if (filter) {
+    acceleration = filterWaveform(
+      acceleration,
+      filter.type,
+      filter.cutoffLow,
+      filter.cutoffHigh,
+      filter.options
+    );
+  }
+  
+  const lengthScale = { m: 1, cm: 100, mm: 1000 }[lengthUnit];
+  const toLength = accelerationUnitScale(waveform.metadata?.units) * lengthScale;
+  
+  const velocity = integrateWaveform(acceleration, toLength, `${lengthUnit}/s`, 'velocity');
+  const displacement = integrateWaveform(velocity, 1, lengthUnit, 'displacement');
+  
+  return { acceleration, velocity, displacement };
 }
 
 /**
@@ -316,7 +926,40 @@ export function displacementFieldToMesh(
 }
 
 /**
- * Calculates response spectrum from a seismic waveform
+ * Standard acceleration of gravity in m/s²
+ */
+export const STANDARD_GRAVITY = 9.80665;
+
+/**
+ * Gets the factor converting an acceleration unit to m/s²
+ * @param units Unit label as stored in waveform metadata (default: m/s²)
+ * @returns Multiplier from the given unit to m/s²
+ */
+export function accelerationUnitScale(units: string = 'm/s^2'): number {
+  const normalized = units.trim().toLowerCase().replace(/\s+/g, '').replace('²', '^2').replace('/s2', '/s^2');
+  
+  switch (normalized) {
+    case 'g':
+      return STANDARD_GRAVITY;
+    case 'm/s^2':
+      return 1;
+    case 'cm/s^2':
+    case 'gal':
+      return 0.01;
+    case 'mm/s^2':
+      return 0.001;
+    default:
+      throw new Error(`Unknown acceleration unit "${units}"`);
+  }
+}
+
+/**
+ * Calculates the elastic response spectrum of a seismic waveform.
+ * Each single-degree-of-freedom oscillator is integrated with the Nigam-Jennings
+ * piecewise-exact method, which is exact for a piecewise-linear excitation, so
+ * results can be compared directly with published spectra of benchmark records.
+ * Acceleration and pseudo-acceleration are returned in the record's units;
+ * velocity and displacement are relative to the ground, in m/s and m.
  * @param waveform Input accelerogram
  * @param periods Array of periods to calculate response for
  * @param dampingRatio Damping ratio (default: 0.05 = 5%)
@@ -327,49 +970,85 @@ export function calculateResponseSpectrum(
   periods: number[] = Array.from({ length: 100 }, (_, i) => 0.05 + i * 0.05),
   dampingRatio: number = 0.05
 ): SeismicResponseSpectrum {
-  // Simplified response spectrum calculation
-  // In a real application, this would use numerical integration
-  // of the equation of motion
+  if (!(dampingRatio >= 0 && dampingRatio < 1)) {
+    throw new Error(`Damping ratio must be in [0, 1), got ${dampingRatio}`);
+  }
+  
+  const dt = getTimeStep(waveform);
+  const unitScale = accelerationUnitScale(waveform.metadata?.units);
+  const ag = waveform.amplitude.map(a => a * unitScale);
+  const n = ag.length;
   
-  // Placeholder implementation that creates a realistic-looking spectrum
   const acceleration: number[] = [];
   const velocity: number[] = [];
   const displacement: number[] = [];
+  const pseudoVelocity: number[] = [];
+  const pseudoAcceleration: number[] = [];
   
-  const peakAccel = Math.max(...waveform.amplitude.map(a => Math.abs(a)));
+  const peakGround = ag.reduce((peak, a) => Math.max(peak, Math.abs(a)), 0);
   
   for (const period of periods) {
-    if (period === 0) {
-      acceleration.push(peakAccel);
+    if (period <= 0) {
+      // Infinitely stiff oscillator follows the ground
+      acceleration.push(peakGround / unitScale);
+      pseudoAcceleration.push(peakGround / unitScale);
       velocity.push(0);
+      pseudoVelocity.push(0);
       displacement.push(0);
       continue;
     }
     
+    const zeta = dampingRatio;
     const omega = 2 * Math.PI / period;
+    const sqrtTerm = Math.sqrt(1 - zeta * zeta);
+    const omegaD = omega * sqrtTerm;
     
-    // Simplified spectrum shape
-    let sa = peakAccel;
+    // Nigam-Jennings recurrence coefficients
+    const e = Math.exp(-zeta * omega * dt);
+    const s = Math.sin(omegaD * dt);
+    const c = Math.cos(omegaD * dt);
+    const w2 = omega * omega;
+    const w3 = w2 * omega;
+    const k1 = (2 * zeta * zeta - 1) / (w2 * dt);
+    const k2 = 2 * zeta / (w3 * dt);
     
-    if (period < 0.1) {
-      sa = peakAccel;
-    } else if (period < 0.5) {
-      sa = peakAccel * 2.5;
-    } else {
-      sa = peakAccel * 2.5 * (0.5 / period);
-    }
+    const a11 = e * (zeta / sqrtTerm * s + c);
+    const a12 = e * s / omegaD;
+    const a21 = -omega / sqrtTerm * e * s;
+    const a22 = e * (c - zeta / sqrtTerm * s);
     
-    // Apply damping reduction
-    const dampingCorrection = Math.sqrt(0.07 / (0.02 + dampingRatio));
-    sa *= dampingCorrection;
+    const b11 = e * ((k1 + zeta / omega) * s / omegaD + (k2 + 1 / w2) * c) - k2;
+    const b12 = -e * (k1 * s / omegaD + k2 * c) - 1 / w2 + k2;
+    const b21 = e * ((k1 + zeta / omega) * (c - zeta / sqrtTerm * s) -
+      (k2 + 1 / w2) * (omegaD * s + zeta * omega * c)) + 1 / (w2 * dt);
+    const b22 = -e * (k1 * (c - zeta / sqrtTerm * s) -
+      k2 * (omegaD * s + zeta * omega * c)) - 1 / (w2 * dt);
     
-    // Calculate Sv and Sd
-    const sv = sa / omega;
-    const sd = sv / omega;
+    let u = 0;
+    let v = 0;
+    let maxU = 0;
+    let maxV = 0;
+    let maxA = Math.abs(ag[0]);
     
-    acceleration.push(sa);
-    velocity.push(sv);
-    displacement.push(sd);
+    for (let i = 0; i < n - 1; i++) {
+      const uNext = a11 * u + a12 * v + b11 * ag[i] + b12 * ag[i + 1];
+      const vNext = a21 * u + a22 * v + b21 * ag[i] + b22 * ag[i + 1];
+      u = uNext;
+      v = vNext;
+      
+      // Absolute acceleration from equilibrium: ü + üg = -(2ζωu̇ + ω²u)
+      const totalAccel = -(2 * zeta * omega * v + w2 * u);
+      
+      maxU = Math.max(maxU, Math.abs(u));
+      maxV = Math.max(maxV, Math.abs(v));
+      maxA = Math.max(maxA, Math.abs(totalAccel));
+    }
+    
+    acceleration.push(maxA / unitScale);
+    velocity.push(maxV);
+    displacement.push(maxU);
+    pseudoVelocity.push(omega * maxU);
+    pseudoAcceleration.push(w2 * maxU / unitScale);
   }
   
   return {
@@ -377,10 +1056,28 @@ export function calculateResponseSpectrum(
     acceleration,
     velocity,
     displacement,
-    dampingRatio
+    pseudoVelocity,
+    pseudoAcceleration,
+    dampingRatio,
+    units: waveform.metadata?.units || 'm/s^2'
   };
 }
 
+/**
+ * Calculates a family of response spectra for several damping ratios
+ * @param waveform Input accelerogram
+ * @param periods Array of periods to calculate response for
+ * @param dampingRatios Damping ratios, one spectrum is returned for each
+ * @returns Response spectra in the order of dampingRatios
+ */
+export function calculateResponseSpectra(
+  waveform: SeismicWaveform,
+  periods: number[] = Array.from({ length: 100 }, (_, i) => 0.05 + i * 0.05),
+  dampingRatios: number[] = [0.02, 0.05, 0.1, 0.2]
+): SeismicResponseSpectrum[] {
+  return dampingRatios.map(ratio => calculateResponseSpectrum(waveform, periods, ratio));
+}
+
 /**
  * Default color scale function (blue to red)
  * @param value Normalized value (0-1)
@@ -464,14 +1161,17 @@ export function createSeismicAnimation(
  * @param sampleRate Sample rate in Hz
  * @param frequencies Array of frequencies to include
  * @param amplitudes Array of amplitudes for each frequency
+ * @param seedValue Random seed for the added noise
  * @returns Synthetic waveform
  */
 export function generateSyntheticWaveform(
   duration: number = 30,
   sampleRate: number = 100,
   frequencies: number[] = [0.5, 1.2, 2.0, 5.0],
-  amplitudes: number[] = [0.5, 0.3, 0.2, 0.1]
+  amplitudes: number[] = [0.5, 0.3, 0.2, 0.1],
+  seedValue: number | string = 0
 ): SeismicWaveform {
+  const random = createRandom(seedValue);
   const numPoints = Math.floor(duration * sampleRate);
   const time: number[] = [];
   const amplitude: number[] = [];
@@ -493,7 +1193,7 @@ export function generateSyntheticWaveform(
     }
     
     // Add some noise
-    value += (Math.random() - 0.5) * 0.05;
+    value += random.uniform(-0.5, 0.5) * 0.05;
     
     amplitude.push(value);
   }
@@ -506,7 +1206,8 @@ export function generateSyntheticWaveform(
       magnitude: 6.5, // Mock magnitude
       depth: 10,     // Mock depth in km
       component: 'E-W',
-      units: 'g'
+      units: 'g',
+      seed: seedValue
     }
   };
 }
@@ -514,11 +1215,17 @@ export function generateSyntheticWaveform(
 export default {
   normalizeWaveform,
   resampleWaveform,
+  getTimeStep,
   filterWaveform,
+  correctBaseline,
+  integrateWaveform,
+  processAccelerogram,
   waveformToLineGeometry,
   createSeismicPointCloud,
   displacementFieldToMesh,
+  accelerationUnitScale,
   calculateResponseSpectrum,
+  calculateResponseSpectra,
   defaultColorScale,
   createSeismicAnimation,
   generateSyntheticWaveform
@@ -0,0 +1,534 @@
+import {
+  SeismicResponseSpectrum,
+  SeismicLoadingParameters,
+  STANDARD_GRAVITY,
+  accelerationUnitScale
+} from './dataProcessor';
+
+/**
+ * Building codes with a supported design spectrum
+ */
+export type DesignCode = 'EC8' | 'ASCE7-22' | 'ASCE7-16' | 'NTC2018' | 'Iran2800';
+
+/**
+ * Elastic spectra describe the ground motion; design spectra are reduced by
+ * the behaviour (response modification) factor
+ */
+export type DesignSpectrumKind = 'elastic' | 'design';
+
+/**
+ * Spectral shape parameters of a ground type
+ */
+export interface SpectralShape {
+  S: number;                  // Soil factor
+  Tb: number;                 // Lower corner period of the plateau (s)
+  Tc: number;                 // Upper corner period of the plateau (s)
+  Td: number;                 // Start of the constant-displacement branch (s)
+}
+
+interface DesignSpectrumBase {
+  kind?: DesignSpectrumKind;  // Default: 'elastic'
+}
+
+/**
+ * Eurocode 8 (EN 1998-1:2004, 3.2.2) horizontal spectrum
+ */
+export interface Eurocode8SpectrumParams extends DesignSpectrumBase {
+  code: 'EC8';
+  groundType: 'A' | 'B' | 'C' | 'D' | 'E';
+  spectrumType?: 1 | 2;       // Type 1 for Ms > 5.5, type 2 otherwise (default: 1)
+  agR: number;                // Reference peak ground acceleration on type A ground (g)
+  importanceFactor?: number;  // γI (default: 1)
+  behaviourFactor?: number;   // q, used by the design spectrum (default: 1)
+  dampingRatio?: number;      // Viscous damping ratio of the elastic spectrum (default: 0.05)
+  lowerBoundFactor?: number;  // β of the design spectrum (default: 0.2)
+}
+
+interface Asce7SpectrumBase extends DesignSpectrumBase {
+  longPeriod?: number;        // TL (s, default: 8)
+  importanceFactor?: number;  // Ie (default: 1)
+  responseModificationFactor?: number; // R, used by the design spectrum (default: 1)
+}
+
+/**
+ * ASCE 7-22 two-period design spectrum (11.4.5). ASCE 7-22 no longer tabulates
+ * Fa/Fv: SDS and SD1 come from the USGS multi-period service for the site class.
+ */
+export interface Asce722SpectrumParams extends Asce7SpectrumBase {
+  code: 'ASCE7-22';
+  sds: number;                // Design short-period spectral acceleration (g)
+  sd1: number;                // Design 1-s spectral acceleration (g)
+  siteClass?: 'A' | 'B' | 'BC' | 'C' | 'CD' | 'D' | 'DE' | 'E'; // Site class the values were retrieved for (informational)
+}
+
+/**
+ * ASCE 7-16 two-period design spectrum (11.4.6) from the mapped values SS/S1
+ * and the Fa/Fv site coefficients, or directly from SDS/SD1
+ */
+export interface Asce716SpectrumParams extends Asce7SpectrumBase {
+  code: 'ASCE7-16';
+  sds?: number;               // Design short-period spectral acceleration (g)
+  sd1?: number;               // Design 1-s spectral acceleration (g)
+  ss?: number;                // Mapped MCER short-period spectral acceleration (g)
+  s1?: number;                // Mapped MCER 1-s spectral acceleration (g)
+  siteClass?: 'A' | 'B' | 'C' | 'D' | 'E'; // Site class for the Fa/Fv coefficients (default: 'D')
+}
+
+export type Asce7SpectrumParams = Asce722SpectrumParams | Asce716SpectrumParams;
+
+/**
+ * Italian NTC 2018 (3.2.3.2) horizontal spectrum from the national hazard grid parameters
+ */
+export interface Ntc2018SpectrumParams extends DesignSpectrumBase {
+  code: 'NTC2018';
+  groundType: 'A' | 'B' | 'C' | 'D' | 'E';
+  topographicCategory?: 'T1' | 'T2' | 'T3' | 'T4'; // Default: 'T1'
+  ag: number;                 // Peak acceleration on rock for the limit state's return period (g)
+  f0: number;                 // Maximum spectral amplification factor F0
+  tcStar: number;             // Tc* (s)
+  behaviourFactor?: number;   // q, used by the design spectrum (default: 1)
+  dampingRatio?: number;      // Viscous damping ratio of the elastic spectrum (default: 0.05)
+}
+
+/**
+ * Iranian Standard 2800 (4th edition) design base acceleration spectrum
+ */
+export interface Iran2800SpectrumParams extends DesignSpectrumBase {
+  code: 'Iran2800';
+  soilType: 'I' | 'II' | 'III' | 'IV';
+  zone?: 1 | 2 | 3 | 4;       // Relative hazard, 1 = very high (default: 1)
+  designBaseAcceleration?: number; // A (g, default: zone value)
+  importanceFactor?: number;  // I (default: 1)
+  behaviourFactor?: number;   // Ru, used by the design spectrum (default: 1)
+}
+
+export type DesignSpectrumParams =
+  | Eurocode8SpectrumParams
+  | Asce7SpectrumParams
+  | Ntc2018SpectrumParams
+  | Iran2800SpectrumParams;
+
+/**
+ * Design spectrum with its code parameters. Acceleration is in g and
+ * displacement in m, computed from the pseudo-acceleration.
+ */
+export interface DesignResponseSpectrum extends SeismicResponseSpectrum {
+  code: DesignCode;
+  kind: DesignSpectrumKind;
+  parameters: Record<string, number>; // Corner periods and factors used to build the spectrum
+}
+
+/**
+ * EC8 ground type parameters for the type 1 and type 2 spectra (Tables 3.2 and 3.3)
+ */
+export const EC8_GROUND_TYPES: Record<1 | 2, Record<'A' | 'B' | 'C' | 'D' | 'E', SpectralShape>> = {
+  1: {
+    A: { S: 1.0, Tb: 0.15, Tc: 0.4, Td: 2.0 },
+    B: { S: 1.2, Tb: 0.15, Tc: 0.5, Td: 2.0 },
+    C: { S: 1.15, Tb: 0.2, Tc: 0.6, Td: 2.0 },
+    D: { S: 1.35, Tb: 0.2, Tc: 0.8, Td: 2.0 },
+    E: { S: 1.4, Tb: 0.15, Tc: 0.5, Td: 2.0 }
+  },
+  2: {
+    A: { S: 1.0, Tb: 0.05, Tc: 0.25, Td: 1.2 },
+    B: { S: 1.35, Tb: 0.05, Tc: 0.25, Td: 1.2 },
+    C: { S: 1.5, Tb: 0.1, Tc: 0.25, Td: 1.2 },
+    D: { S: 1.8, Tb: 0.1, Tc: 0.3, Td: 1.2 },
+    E: { S: 1.6, Tb: 0.05, Tc: 0.25, Td: 1.2 }
+  }
+};
+
+// ASCE 7-16 Tables 11.4-1 and 11.4-2; NaN marks values that require a site-specific analysis
+const ASCE_SS_LEVELS = [0.25, 0.5, 0.75, 1.0, 1.25, 1.5];
+const ASCE_S1_LEVELS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6];
+const ASCE_FA: Record<string, number[]> = {
+  A: [0.8, 0.8, 0.8, 0.8, 0.8, 0.8],
+  B: [0.9, 0.9, 0.9, 0.9, 0.9, 0.9],
+  C: [1.3, 1.3, 1.2, 1.2, 1.2, 1.2],
+  D: [1.6, 1.4, 1.2, 1.1, 1.0, 1.0],
+  E: [2.4, 1.7, 1.3, NaN, NaN, NaN]
+};
+const ASCE_FV: Record<string, number[]> = {
+  A: [0.8, 0.8, 0.8, 0.8, 0.8, 0.8],
+  B: [0.8, 0.8, 0.8, 0.8, 0.8, 0.8],
+  C: [1.5, 1.5, 1.5, 1.5, 1.5, 1.4],
+  D: [2.4, 2.2, 2.0, 1.9, 1.8, 1.7],
+  E: [4.2, NaN, NaN, NaN, NaN, NaN]
+};
+
+// Standard 2800 spectral parameters for zones of very high/high and moderate/low hazard
+const IRAN_SOIL_PARAMETERS: Record<'high' | 'low', Record<'I' | 'II' | 'III' | 'IV', { T0: number; Ts: number; S0: number; S: number }>> = {
+  high: {
+    I: { T0: 0.1, Ts: 0.4, S0: 1.0, S: 1.5 },
+    II: { T0: 0.1, Ts: 0.5, S0: 1.0, S: 1.5 },
+    III: { T0: 0.15, Ts: 0.7, S0: 1.1, S: 1.75 },
+    IV: { T0: 0.15, Ts: 1.0, S0: 1.1, S: 1.75 }
+  },
+  low: {
+    I: { T0: 0.1, Ts: 0.4, S0: 1.0, S: 1.5 },
+    II: { T0: 0.1, Ts: 0.5, S0: 1.0, S: 1.5 },
+    III: { T0: 0.15, Ts: 0.7, S0: 1.1, S: 2.25 },
+    IV: { T0: 0.15, Ts: 1.0, S0: 1.1, S: 2.25 }
+  }
+};
+const IRAN_ZONE_ACCELERATION = { 1: 0.35, 2: 0.3, 3: 0.25, 4: 0.2 };
+
+/**
+ * Default period grid: 0 to 4 s, finer at short periods
+ * @param maxPeriod Longest period (default: 4 s)
+ * @returns Periods in seconds
+ */
+export function defaultSpectrumPeriods(maxPeriod: number = 4): number[] {
+  const periods: number[] = [];
+  for (let T = 0; T < 1 - 1e-9; T += 0.02) periods.push(Number(T.toFixed(2)));
+  for (let T = 1; T <= maxPeriod + 1e-9; T += 0.05) periods.push(Number(T.toFixed(2)));
+  return periods;
+}
+
+/**
+ * EC8 damping correction factor η = sqrt(10 / (5 + ξ%)) ≥ 0.55
+ */
+export function dampingCorrection(dampingRatio: number): number {
+  return Math.max(Math.sqrt(10 / (5 + 100 * dampingRatio)), 0.55);
+}
+
+/**
+ * Linear interpolation in a code table, clamped at the ends
+ */
+function interpolateTable(levels: number[], values: number[], x: number): number {
+  if (x <= levels[0]) return values[0];
+  if (x >= levels[levels.length - 1]) return values[values.length - 1];
+
+  let i = 1;
+  while (levels[i] < x) i++;
+  const w = (x - levels[i - 1]) / (levels[i] - levels[i - 1]);
+  return values[i - 1] * (1 - w) + values[i] * w;
+}
+
+/**
+ * Completes a spectrum with spectral displacement from the pseudo-acceleration (in g)
+ */
+function buildSpectrum(
+  code: DesignCode,
+  kind: DesignSpectrumKind,
+  periods: number[],
+  acceleration: number[],
+  dampingRatio: number,
+  parameters: Record<string, number>
+): DesignResponseSpectrum {
+  return {
+    code,
+    kind,
+    periods,
+    acceleration,
+    displacement: periods.map((T, i) =>
+      acceleration[i] * STANDARD_GRAVITY * Math.pow(T / (2 * Math.PI), 2)),
+    dampingRatio,
+    units: 'g',
+    parameters
+  };
+}
+
+/**
+ * Builds the EC8 elastic or design horizontal spectrum
+ * @param params EC8 spectrum parameters
+ * @param periods Periods in seconds
+ * @returns Spectrum in g
+ */
+export function eurocode8Spectrum(
+  params: Eurocode8SpectrumParams,
+  periods: number[] = defaultSpectrumPeriods()
+): DesignResponseSpectrum {
+  const {
+    groundType,
+    spectrumType = 1,
+    agR,
+    importanceFactor = 1,
+    behaviourFactor = 1,
+    dampingRatio = 0.05,
+    lowerBoundFactor = 0.2,
+    kind = 'elastic'
+  } = params;
+  const shape = EC8_GROUND_TYPES[spectrumType]?.[groundType];
+
+  if (!shape) {
+    throw new Error(`Unknown EC8 ground type ${groundType} for a type ${spectrumType} spectrum`);
+  }
+
+  const { S, Tb, Tc, Td } = shape;
+  const ag = agR * importanceFactor;
+  const eta = dampingCorrection(dampingRatio);
+  const q = behaviourFactor;
+
+  const acceleration = periods.map(T => {
+    if (kind === 'elastic') {
+      if (T <= Tb) return ag * S * (1 + (T / Tb) * (2.5 * eta - 1));
+      if (T <= Tc) return ag * S * 2.5 * eta;
+      if (T <= Td) return ag * S * 2.5 * eta * Tc / T;
+      return ag * S * 2.5 * eta * Tc * Td / (T * T);
+    }
+
+    // Design spectrum (3.2.2.5): η is replaced by the behaviour factor
+    if (T <= Tb) return ag * S * (2 / 3 + (T / Tb) * (2.5 / q - 2 / 3));
+    if (T <= Tc) return ag * S * 2.5 / q;
+    if (T <= Td) return Math.max(ag * S * 2.5 / q * Tc / T, lowerBoundFactor * ag);
+    return Math.max(ag * S * 2.5 / q * Tc * Td / (T * T), lowerBoundFactor * ag);
+  });
+
+  return buildSpectrum('EC8', kind, periods, acceleration, kind === 'elastic' ? dampingRatio : 0.05, {
+    ag, S, Tb, Tc, Td, eta, q
+  });
+}
+
+/**
+ * Builds the ASCE 7-22 or ASCE 7-16 two-period spectrum
+ * @param params ASCE 7 spectrum parameters
+ * @param periods Periods in seconds
+ * @returns Spectrum in g
+ */
+export function asce7Spectrum(
+  params: Asce7SpectrumParams,
+  periods: number[] = defaultSpectrumPeriods()
+): DesignResponseSpectrum {
+  const {
+    longPeriod = 8,
+    importanceFactor = 1,
+    responseModificationFactor = 1,
+    kind = 'elastic'
+  } = params;
+  let { sds, sd1 } = params;
+
+  if (sds === undefined || sd1 === undefined) {
+    if (params.code !== 'ASCE7-16') {
+      throw new Error('ASCE 7-22 spectrum needs sds and sd1 (the 7-22 site coefficients are not tabulated)');
+    }
+
+    const { ss, s1, siteClass = 'D' } = params;
+    if (ss === undefined || s1 === undefined) {
+      throw new Error('ASCE 7-16 spectrum needs either sds and sd1 or ss and s1');
+    }
+
+    const fa = interpolateTable(ASCE_SS_LEVELS, ASCE_FA[siteClass], ss);
+    const fv = interpolateTable(ASCE_S1_LEVELS, ASCE_FV[siteClass], s1);
+    if (!Number.isFinite(fa) || !Number.isFinite(fv)) {
+      throw new Error(`Site class ${siteClass} with SS=${ss} and S1=${s1} requires a site-specific analysis`);
+    }
+
+    sds = (2 / 3) * fa * ss;
+    sd1 = (2 / 3) * fv * s1;
+  }
+
+  const Ts = sd1 / sds;
+  const T0 = 0.2 * Ts;
+  const reduction = kind === 'design' ? importanceFactor / responseModificationFactor : 1;
+
+  const acceleration = periods.map(T => {
+    let sa: number;
+    if (T < T0) sa = sds! * (0.4 + 0.6 * T / T0);
+    else if (T <= Ts) sa = sds!;
+    else if (T <= longPeriod) sa = sd1! / T;
+    else sa = sd1! * longPeriod / (T * T);
+    return sa * reduction;
+  });
+
+  return buildSpectrum(params.code, kind, periods, acceleration, 0.05, {
+    sds, sd1, T0, Ts, TL: longPeriod, Ie: importanceFactor, R: responseModificationFactor
+  });
+}
+
+/**
+ * Builds the NTC 2018 elastic or design horizontal spectrum
+ * @param params NTC 2018 spectrum parameters
+ * @param periods Periods in seconds
+ * @returns Spectrum in g
+ */
+export function ntc2018Spectrum(
+  params: Ntc2018SpectrumParams,
+  periods: number[] = defaultSpectrumPeriods()
+): DesignResponseSpectrum {
+  const {
+    groundType,
+    topographicCategory = 'T1',
+    ag,
+    f0,
+    tcStar,
+    behaviourFactor = 1,
+    dampingRatio = 0.05,
+    kind = 'elastic'
+  } = params;
+  const clamp = (value: number, min: number, max: number) => Math.min(Math.max(value, min), max);
+
+  // Stratigraphic amplification SS and corner period coefficient CC (Table 3.2.IV)
+  const stratigraphy: Record<string, { Ss: number; Cc: number }> = {
+    A: { Ss: 1.0, Cc: 1.0 },
+    B: { Ss: clamp(1.4 - 0.4 * f0 * ag, 1.0, 1.2), Cc: 1.1 * Math.pow(tcStar, -0.2) },
+    C: { Ss: clamp(1.7 - 0.6 * f0 * ag, 1.0, 1.5), Cc: 1.05 * Math.pow(tcStar, -0.33) },
+    D: { Ss: clamp(2.4 - 1.5 * f0 * ag, 0.9, 1.8), Cc: 1.25 * Math.pow(tcStar, -0.5) },
+    E: { Ss: clamp(2.0 - 1.1 * f0 * ag, 1.0, 1.6), Cc: 1.15 * Math.pow(tcStar, -0.4) }
+  };
+  const topography = { T1: 1.0, T2: 1.2, T3: 1.2, T4: 1.4 };
+
+  if (!stratigraphy[groundType]) {
+    throw new Error(`Unknown NTC 2018 ground type ${groundType}`);
+  }
+
+  const { Ss, Cc } = stratigraphy[groundType];
+  const S = Ss * topography[topographicCategory];
+  const Tc = Cc * tcStar;
+  const Tb = Tc / 3;
+  const Td = 4 * ag + 1.6;
+
+  // The design spectrum replaces η with 1/q (3.2.3.5)
+  const eta = kind === 'elastic' ? dampingCorrection(dampingRatio) : 1 / behaviourFactor;
+
+  const acceleration = periods.map(T => {
+    let sa: number;
+    if (T < Tb) sa = ag * S * eta * f0 * (T / Tb + (1 - T / Tb) / (eta * f0));
+    else if (T < Tc) sa = ag * S * eta * f0;
+    else if (T < Td) sa = ag * S * eta * f0 * Tc / T;
+    else sa = ag * S * eta * f0 * Tc * Td / (T * T);
+    return kind === 'design' ? Math.max(sa, 0.2 * ag) : sa;
+  });
+
+  return buildSpectrum('NTC2018', kind, periods, acceleration, kind === 'elastic' ? dampingRatio : 0.05, {
+    ag, f0, tcStar, S, Ss, Cc, Tb, Tc, Td, eta
+  });
+}
+
+/**
+ * Builds the Standard 2800 spectrum A·B·I, divided by Ru for the design spectrum
+ * @param params Standard 2800 spectrum parameters
+ * @param periods Periods in seconds
+ * @returns Spectrum in g
+ */
+export function iran2800Spectrum(
+  params: Iran2800SpectrumParams,
+  periods: number[] = defaultSpectrumPeriods()
+): DesignResponseSpectrum {
+  const {
+    soilType,
+    zone = 1,
+    importanceFactor = 1,
+    behaviourFactor = 1,
+    kind = 'elastic'
+  } = params;
+  const A = params.designBaseAcceleration ?? IRAN_ZONE_ACCELERATION[zone];
+  const highHazard = zone <= 2;
+  const soil = IRAN_SOIL_PARAMETERS[highHazard ? 'high' : 'low'][soilType];
+
+  if (!soil) {
+    throw new Error(`Unknown Standard 2800 soil type ${soilType}`);
+  }
+
+  const { T0, Ts, S0, S } = soil;
+  const longPeriodIncrease = highHazard ? 0.7 : 0.4;
+
+  const acceleration = periods.map(T => {
+    let B1: number;
+    if (T < T0) B1 = S0 + (S - S0 + 1) * (T / T0);
+    else if (T < Ts) B1 = S + 1;
+    else B1 = (S + 1) * Ts / T;
+
+    let N = 1;
+    if (T > 4) N = 1 + longPeriodIncrease;
+    else if (T > Ts) N = 1 + longPeriodIncrease * (T - Ts) / (4 - Ts);
+
+    const sa = A * B1 * N * importanceFactor;
+
+    // The design base shear coefficient is not taken below 0.12·A·I
+    return kind === 'design'
+      ? Math.max(sa / behaviourFactor, 0.12 * A * importanceFactor)
+      : sa;
+  });
+
+  return buildSpectrum('Iran2800', kind, periods, acceleration, 0.05, {
+    A, T0, Ts, S0, S, I: importanceFactor, Ru: behaviourFactor
+  });
+}
+
+/**
+ * Builds the spectrum of any supported code
+ * @param params Code-specific spectrum parameters
+ * @param periods Periods in seconds (default: 0-4 s)
+ * @returns Spectrum in g
+ */
+export function calculateDesignSpectrum(
+  params: DesignSpectrumParams,
+  periods: number[] = defaultSpectrumPeriods()
+): DesignResponseSpectrum {
+  switch (params.code) {
+    case 'EC8':
+      return eurocode8Spectrum(params, periods);
+    case 'ASCE7-22':
+    case 'ASCE7-16':
+      return asce7Spectrum(params, periods);
+    case 'NTC2018':
+      return ntc2018Spectrum(params, periods);
+    case 'Iran2800':
+      return iran2800Spectrum(params, periods);
+    default:
+      throw new Error(`Unsupported design code ${(params as { code: string }).code}`);
+  }
+}
+
+/**
+ * Builds the EC8 type 1 spectrum described by generic seismic loading parameters
+ * (peak ground acceleration as agR, importance factor as γI and the response
+ * modification factor as q)
+ * @param loading Seismic loading parameters
+ * @param kind Elastic or design spectrum (default: 'design')
+ * @param periods Periods in seconds
+ * @returns Spectrum in g
+ */
+export function spectrumFromLoadingParameters(
+  loading: SeismicLoadingParameters,
+  kind: DesignSpectrumKind = 'design',
+  periods: number[] = defaultSpectrumPeriods()
+): DesignResponseSpectrum {
+  return eurocode8Spectrum({
+    code: 'EC8',
+    kind,
+    groundType: loading.soilType,
+    agR: loading.peakGroundAcceleration,
+    importanceFactor: loading.importanceFactor,
+    behaviourFactor: loading.responseModificationFactor
+  }, periods);
+}
+
+/**
+ * Converts a design spectrum into a spectral matching target in record units.
+ * Zero periods are dropped because matching works on oscillator periods.
+ * @param spectrum Design spectrum (g unless its units say otherwise)
+ * @param units Acceleration units of the record to be matched (default: 'm/s^2')
+ * @returns Periods and target spectral accelerations for generateSpectrumCompatibleWaveform
+ */
+export function spectrumMatchingTarget(
+  spectrum: SeismicResponseSpectrum,
+  units: string = 'm/s^2'
+): { periods: number[]; targetSpectrum: number[]; dampingRatio: number } {
+  const scale = accelerationUnitScale(spectrum.units || 'g') / accelerationUnitScale(units);
+  const periods: number[] = [];
+  const targetSpectrum: number[] = [];
+
+  spectrum.periods.forEach((T, i) => {
+    if (T > 0) {
+      periods.push(T);
+      targetSpectrum.push(spectrum.acceleration[i] * scale);
+    }
+  });
+
+  return { periods, targetSpectrum, dampingRatio: spectrum.dampingRatio ?? 0.05 };
+}
+
+export default {
+  EC8_GROUND_TYPES,
+  defaultSpectrumPeriods,
+  eurocode8Spectrum,
+  asce7Spectrum,
+  ntc2018Spectrum,
+  iran2800Spectrum,
+  calculateDesignSpectrum,
+  spectrumFromLoadingParameters,
+  spectrumMatchingTarget,
+  dampingCorrection
+};
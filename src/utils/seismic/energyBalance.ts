@@ -0,0 +1,119 @@
+import type { StructuralResponse, StructureModel } from './simulationEngine';
+import { SeismicWaveform } from './dataProcessor';
+import { HystereticSpring, createHystereticSpring } from './hysteresis';
+import { dot, matVec } from './linearAlgebra';
+import { geometricStiffnessMatrix, secondOrderStiffness } from './pDelta';
+
+/**
+ * Relative energy balance of a time history (Uang & Bertero, 1990):
+ * EI = EK + ED + ES + EH, each cumulative at every time point (J)
+ */
+export interface EnergyBalance {
+  input: number[];                    // Work of the effective earthquake forces -M·1·ag on the relative displacements
+  kinetic: number[];                  // ½·vᵀ·M·v
+  damping: number[];                  // Work of the damping forces C·v
+  strain: number[];                   // Recoverable strain energy (elastic part of the restoring forces, with P-Delta)
+  hysteretic: number[];               // Energy dissipated by yielding of the story springs
+  storyHysteretic: number[][];        // Hysteretic energy of each story [time][story]
+  error: number[];                    // EI - (EK + ED + ES + EH)
+  relativeError: number;              // Peak |error| over peak |EI|, a check on the integration and sampling
+}
+
+/**
+ * Story springs rebuilt from the model parameters, for yield values and initial stiffness
+ * @param model Shear building model with story springs
+ * @returns One spring per story (empty for models without springs)
+ */
+export function storySpringsOf(model: StructureModel): HystereticSpring[] {
+  const storyStiffness = model.storyStiffness ?? [];
+  return (model.storySprings ?? []).map((params, i) =>
+    createHystereticSpring(params, storyStiffness[i], model.properties.storyHeight));
+}
+
+/**
+ * Cumulative trapezoidal work ∫ f·du of a force history on a displacement history
+ */
+function cumulativeWork(force: number[][], displacement: number[][]): number[] {
+  const work = [0];
+  for (let t = 1; t < displacement.length; t++) {
+    let increment = 0;
+    for (let i = 0; i < displacement[t].length; i++) {
+      increment += 0.5 * (force[t - 1][i] + force[t][i]) * (displacement[t][i] - displacement[t - 1][i]);
+    }
+    work.push(work[t - 1] + increment);
+  }
+  return work;
+}
+
+/**
+ * Computes the relative energy balance of a solved time history. Linear models
+ * store all restoring work as strain energy; story springs split it into the
+ * recoverable part F²/(2k0) and hysteretic dissipation.
+ * @param model Structure model the response was solved for
+ * @param excitation Ground motion in m/s² (as passed to the solver)
+ * @param response Structural response with velocity (and story hysteresis for nonlinear models)
+ * @returns Cumulative energies and the balance error at each output time
+ */
+export function computeEnergyBalance(
+  model: StructureModel,
+  excitation: SeismicWaveform,
+  response: StructuralResponse
+): EnergyBalance {
+  const { massMatrix, dampingMatrix, numDOFs } = model;
+  const { displacement } = response;
+  const velocity = response.velocity ?? [];
+
+  if (velocity.length !== displacement.length) {
+    throw new Error('Energy balance needs the velocity history of the response');
+  }
+
+  const influenceMass = massMatrix.map(row => row.reduce((sum, m) => sum + m, 0));
+  const effectiveForce = displacement.map((_, t) => influenceMass.map(m => -m * excitation.amplitude[t]));
+  const input = cumulativeWork(effectiveForce, displacement);
+  const kinetic = velocity.map(v => 0.5 * dot(v, matVec(massMatrix, v)));
+  const damping = cumulativeWork(velocity.map(v => matVec(dampingMatrix, v)), displacement);
+
+  let strain: number[];
+  let storyHysteretic: number[][];
+
+  if (response.storyHysteresis) {
+    // Story springs: total work split into recoverable F²/(2k0) and hysteretic energy; P-Delta is elastic
+    const springs = storySpringsOf(model);
+    const geometric = model.gravityLoads ? geometricStiffnessMatrix(model) : null;
+    const storyWork = response.storyHysteresis.map(loop =>
+      cumulativeWork(loop.shear.map(V => [V]), loop.drift.map(d => [d])));
+
+    storyHysteretic = displacement.map((_, t) => response.storyHysteresis!.map((loop, i) =>
+      storyWork[i][t] - loop.shear[t] * loop.shear[t] / (2 * springs[i].initialStiffness)));
+    strain = displacement.map((u, t) => {
+      const recoverable = response.storyHysteresis!.reduce((sum, loop, i) =>
+        sum + loop.shear[t] * loop.shear[t] / (2 * springs[i].initialStiffness), 0);
+      return recoverable + (geometric ? 0.5 * dot(u, matVec(geometric, u)) : 0);
+    });
+  } else {
+    const stiffness = secondOrderStiffness(model);
+    strain = displacement.map(u => 0.5 * dot(u, matVec(stiffness, u)));
+    storyHysteretic = displacement.map(() => new Array(numDOFs).fill(0));
+  }
+
+  const hysteretic = storyHysteretic.map(row => row.reduce((sum, e) => sum + e, 0));
+  const error = input.map((ei, t) => ei - (kinetic[t] + damping[t] + strain[t] + hysteretic[t]));
+  const peakInput = input.reduce((peak, e) => Math.max(peak, Math.abs(e)), 0);
+  const peakError = error.reduce((peak, e) => Math.max(peak, Math.abs(e)), 0);
+
+  return {
+    input,
+    kinetic,
+    damping,
+    strain,
+    hysteretic,
+    storyHysteretic,
+    error,
+    relativeError: peakInput > 0 ? peakError / peakInput : 0
+  };
+}
+
+export default {
+  computeEnergyBalance,
+  storySpringsOf
+};
@@ -0,0 +1,115 @@
+/**
+ * Gets the smallest power of two greater than or equal to n
+ * @param n Input length
+ * @returns Power of two
+ */
+export function nextPowerOfTwo(n: number): number {
+  let size = 1;
+  while (size < n) {
+    size *= 2;
+  }
+  return size;
+}
+
+/**
+ * In-place iterative radix-2 fast Fourier transform
+ * @param re Real parts (length must be a power of two)
+ * @param im Imaginary parts (same length as re)
+ * @param inverse Compute the inverse transform (scaled by 1/N)
+ */
+export function fft(re: Float64Array, im: Float64Array, inverse: boolean = false): void {
+  const n = re.length;
+
+  if (n !== im.length || (n & (n - 1)) !== 0) {
+    throw new Error(`FFT length must be a power of two with matching real and imaginary parts, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Butterfly passes
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size *= 2) {
+    const half = size / 2;
+    const angle = sign * 2 * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Computes the one-sided discrete Fourier transform of a real signal
+ * @param signal Real-valued samples
+ * @param dt Sample interval in seconds
+ * @param minLength Minimum transform length before rounding up to a power of two
+ * @returns Frequencies (Hz) and complex coefficients scaled by dt (continuous-transform units)
+ */
+export function realFourierTransform(
+  signal: ArrayLike<number>,
+  dt: number,
+  minLength: number = signal.length
+): { frequencies: number[]; re: number[]; im: number[] } {
+  const size = nextPowerOfTwo(Math.max(minLength, signal.length, 2));
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+
+  for (let i = 0; i < signal.length; i++) {
+    re[i] = signal[i];
+  }
+
+  fft(re, im);
+
+  const count = size / 2 + 1;
+  const df = 1 / (size * dt);
+
+  return {
+    frequencies: Array.from({ length: count }, (_, k) => k * df),
+    re: Array.from(re.subarray(0, count), value => value * dt),
+    im: Array.from(im.subarray(0, count), value => value * dt)
+  };
+}
+
+export default {
+  nextPowerOfTwo,
+  fft,
+  realFourierTransform
+};
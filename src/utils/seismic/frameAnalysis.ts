@@ -0,0 +1,418 @@
+import * as THREE from 'three';
+import { StructureModel, StructuralResponse } from './simulationEngine';
+import { DampingOptions, buildDampingMatrix } from './damping';
+import { matMul, staticCondensation, transpose, zeros } from './linearAlgebra';
+
+/**
+ * Section and material properties of a beam-column element
+ */
+export interface FrameSection {
+  E: number;                  // Young's modulus (Pa)
+  A: number;                  // Cross-section area (m²)
+  I: number;                  // Second moment of area (m⁴)
+  G?: number;                 // Shear modulus (Pa, default: E / 2.6)
+  shearArea?: number;         // Effective shear area for Timoshenko elements (m², default: 5/6·A)
+  massPerLength?: number;     // Distributed mass lumped at the element ends (kg/m, default: 0)
+}
+
+/**
+ * Beam-column element between two nodes
+ */
+export interface FrameElement {
+  nodes: [number, number];    // Start and end node indices
+  section: FrameSection | string; // Section or key into the definition's sections
+  formulation?: 'euler-bernoulli' | 'timoshenko'; // Default: 'euler-bernoulli'
+  releases?: {                // Moment releases (hinges) at the element ends
+    start?: boolean;
+    end?: boolean;
+  };
+}
+
+/**
+ * Restrained DOFs of a node
+ */
+export interface FrameSupport {
+  node: number;
+  ux?: boolean;               // Horizontal translation fixed
+  uy?: boolean;               // Vertical translation fixed
+  rz?: boolean;               // Rotation fixed
+}
+
+/**
+ * 2D frame definition in the x (horizontal) - y (vertical) plane
+ */
+export interface FrameDefinition {
+  nodes: { x: number; y: number }[];
+  elements: FrameElement[];
+  supports: FrameSupport[];
+  sections?: Record<string, FrameSection>;
+  nodalMasses?: { node: number; mass: number }[]; // Lumped translational masses (kg)
+}
+
+/**
+ * Options for building a structure model from a frame
+ */
+export interface FrameModelOptions {
+  dampingRatio?: number;      // Default: 0.05
+  damping?: DampingOptions;   // Damping formulation (default: Rayleigh at modes 1 and 3)
+}
+
+/**
+ * Assembled frame kept alongside the condensed structure model for force recovery
+ */
+export interface FrameAssembly {
+  definition: FrameDefinition;
+  levels: number[];           // Elevation of each lateral DOF (m)
+  transformation: number[][]; // Nodal DOFs (3 per node, ux, uy, rz) = transformation·floor displacements
+  elementStiffness: number[][][]; // Local 6×6 stiffness of each element, releases condensed
+  elementRotation: number[][][];  // Global-to-local 6×6 rotation of each element
+  elementLength: number[];
+}
+
+/**
+ * Structure model condensed from a 2D frame (rigid floor diaphragms, one lateral DOF per level)
+ */
+export interface FrameStructureModel extends StructureModel {
+  frame: FrameAssembly;
+}
+
+/**
+ * End forces of an element in local coordinates (axial along the element, shear normal to it)
+ */
+export interface ElementEndForces {
+  element: number;
+  axialStart: number;         // N
+  shearStart: number;         // N
+  momentStart: number;        // N·m
+  axialEnd: number;
+  shearEnd: number;
+  momentEnd: number;
+}
+
+/**
+ * Parameters of a regular moment frame
+ */
+export interface RegularFrameParams {
+  numStories: number;
+  numBays: number;
+  storyHeight: number;        // m
+  bayWidth: number;           // m
+  column: FrameSection;
+  beam: FrameSection;
+  floorMass: number;          // Mass of each floor (kg), split over its nodes
+  pinnedBase?: boolean;       // Pinned instead of fixed column bases (default: false)
+}
+
+const LEVEL_TOLERANCE = 1e-6;
+
+/**
+ * Local stiffness of a 2D beam-column element with optional shear deformation and end releases
+ */
+function localElementStiffness(
+  section: FrameSection,
+  length: number,
+  formulation: 'euler-bernoulli' | 'timoshenko',
+  releases: { start?: boolean; end?: boolean } = {}
+): number[][] {
+  const { E, A, I, G = E / 2.6, shearArea = (5 / 6) * A } = section;
+  const L = length;
+  const phi = formulation === 'timoshenko' ? 12 * E * I / (G * shearArea * L * L) : 0;
+  const b = E * I / ((1 + phi) * L * L * L);
+  const a = E * A / L;
+
+  const k = [
+    [a, 0, 0, -a, 0, 0],
+    [0, 12 * b, 6 * L * b, 0, -12 * b, 6 * L * b],
+    [0, 6 * L * b, (4 + phi) * L * L * b, 0, -6 * L * b, (2 - phi) * L * L * b],
+    [-a, 0, 0, a, 0, 0],
+    [0, -12 * b, -6 * L * b, 0, 12 * b, -6 * L * b],
+    [0, 6 * L * b, (2 - phi) * L * L * b, 0, -6 * L * b, (4 + phi) * L * L * b]
+  ];
+
+  // Condense released end rotations; their rows and columns become zero
+  const released = [releases.start ? 2 : -1, releases.end ? 5 : -1].filter(index => index >= 0);
+  if (released.length === 0) return k;
+
+  const kept = [0, 1, 2, 3, 4, 5].filter(index => !released.includes(index));
+  const { condensed } = staticCondensation(k, kept);
+  const result = zeros(6);
+  kept.forEach((row, i) => kept.forEach((col, j) => { result[row][col] = condensed[i][j]; }));
+  return result;
+}
+
+/**
+ * Global-to-local rotation of a 2D element
+ */
+function elementRotation(c: number, s: number): number[][] {
+  const R = zeros(6);
+  for (const offset of [0, 3]) {
+    R[offset][offset] = c;
+    R[offset][offset + 1] = s;
+    R[offset + 1][offset] = -s;
+    R[offset + 1][offset + 1] = c;
+    R[offset + 2][offset + 2] = 1;
+  }
+  return R;
+}
+
+/**
+ * Assembles a 2D frame and condenses it to one lateral DOF per level (rigid
+ * floor diaphragm). Vertical and rotational DOFs, and levels without mass, are
+ * statically condensed, so the model works with the shear-building solvers.
+ * @param definition Nodes, elements, sections, supports and masses
+ * @param options Damping options
+ * @returns Structure model with the frame assembly for element force recovery
+ */
+export function createFrameStructureModel(
+  definition: FrameDefinition,
+  options: FrameModelOptions = {}
+): FrameStructureModel {
+  const { nodes, elements, supports, sections = {}, nodalMasses = [] } = definition;
+  const { dampingRatio = 0.05 } = options;
+  const numNodes = nodes.length;
+  const numNodalDOFs = 3 * numNodes;
+
+  const resolveSection = (section: FrameSection | string): FrameSection => {
+    const resolved = typeof section === 'string' ? sections[section] : section;
+    if (!resolved) {
+      throw new Error(`Unknown frame section: ${section}`);
+    }
+    return resolved;
+  };
+
+  // Global stiffness and lumped translational masses
+  const K = zeros(numNodalDOFs);
+  const nodeMass = new Array(numNodes).fill(0);
+  const elementStiffness: number[][][] = [];
+  const elementRotations: number[][][] = [];
+  const elementLength: number[] = [];
+
+  elements.forEach((element, index) => {
+    const [i, j] = element.nodes;
+    if (!nodes[i] || !nodes[j] || i === j) {
+      throw new Error(`Element ${index} has invalid nodes ${i}-${j}`);
+    }
+
+    const dx = nodes[j].x - nodes[i].x;
+    const dy = nodes[j].y - nodes[i].y;
+    const length = Math.hypot(dx, dy);
+    const section = resolveSection(element.section);
+    const local = localElementStiffness(section, length, element.formulation ?? 'euler-bernoulli', element.releases);
+    const R = elementRotation(dx / length, dy / length);
+    const global = matMul(transpose(R), matMul(local, R));
+    const dofs = [3 * i, 3 * i + 1, 3 * i + 2, 3 * j, 3 * j + 1, 3 * j + 2];
+
+    for (let a = 0; a < 6; a++) {
+      for (let b = 0; b < 6; b++) {
+        K[dofs[a]][dofs[b]] += global[a][b];
+      }
+    }
+
+    const halfMass = 0.5 * (section.massPerLength ?? 0) * length;
+    nodeMass[i] += halfMass;
+    nodeMass[j] += halfMass;
+
+    elementStiffness.push(local);
+    elementRotations.push(R);
+    elementLength.push(length);
+  });
+
+  nodalMasses.forEach(({ node, mass }) => { nodeMass[node] += mass; });
+
+  // Free DOFs: not supported and connected to some stiffness (e.g. not a rotation between hinges)
+  const restrained = new Set<number>();
+  supports.forEach(({ node, ux, uy, rz }) => {
+    if (ux) restrained.add(3 * node);
+    if (uy) restrained.add(3 * node + 1);
+    if (rz) restrained.add(3 * node + 2);
+  });
+  const free = Array.from({ length: numNodalDOFs }, (_, d) => d)
+    .filter(d => !restrained.has(d) && Math.abs(K[d][d]) > 0);
+
+  // Levels: distinct elevations of nodes with a free horizontal DOF
+  const levels: number[] = [];
+  free.filter(d => d % 3 === 0).forEach(d => {
+    const y = nodes[d / 3].y;
+    if (!levels.some(level => Math.abs(level - y) < LEVEL_TOLERANCE)) levels.push(y);
+  });
+  levels.sort((a, b) => a - b);
+  const levelOf = (node: number) => levels.findIndex(level => Math.abs(level - nodes[node].y) < LEVEL_TOLERANCE);
+
+  // Reduced DOFs: one lateral DOF per level, then every free vertical and rotational DOF
+  const others = free.filter(d => d % 3 !== 0);
+  const numReduced = levels.length + others.length;
+  const T = zeros(numNodalDOFs, numReduced);
+  free.forEach(d => {
+    if (d % 3 === 0) {
+      T[d][levelOf(d / 3)] = 1;
+    } else {
+      T[d][levels.length + others.indexOf(d)] = 1;
+    }
+  });
+
+  const reducedK = matMul(transpose(T), matMul(K, T));
+  const levelMass = levels.map((_, level) =>
+    nodeMass.reduce((sum, mass, node) => sum + (levelOf(node) === level && !restrained.has(3 * node) ? mass : 0), 0));
+
+  // Dynamic DOFs are the levels with mass; everything else is condensed
+  const dynamicLevels = levels.map((_, level) => level).filter(level => levelMass[level] > 0);
+  if (dynamicLevels.length === 0) {
+    throw new Error('Frame has no lateral mass; add nodalMasses or section massPerLength');
+  }
+
+  const { condensed, transformation } = staticCondensation(reducedK, dynamicLevels);
+  const fullTransformation = matMul(T, transformation);
+  const massMatrix = zeros(dynamicLevels.length);
+  dynamicLevels.forEach((level, i) => { massMatrix[i][i] = levelMass[level]; });
+
+  const { dampingMatrix, modalDampingRatios } = buildDampingMatrix(massMatrix, condensed, {
+    dampingRatio,
+    ...options.damping
+  });
+
+  const floorHeights = dynamicLevels.map(level => levels[level]);
+  const baseElevation = Math.min(...nodes.map(node => node.y));
+  const xs = nodes.map(node => node.x);
+  const width = Math.max(...xs) - Math.min(...xs) || 1;
+  const centerX = 0.5 * (Math.max(...xs) + Math.min(...xs));
+  const totalMass = levelMass.reduce((sum, mass) => sum + mass, 0);
+  const storyHeights = floorHeights.map((height, i) => height - (i > 0 ? floorHeights[i - 1] : baseElevation));
+
+  return {
+    massMatrix,
+    stiffnessMatrix: condensed,
+    dampingMatrix,
+    modalDampingRatios,
+    floorHeights: floorHeights.map(height => height - baseElevation),
+    nodeFloorIndex: nodes.map((_, node) => dynamicLevels.indexOf(levelOf(node))),
+    numDOFs: dynamicLevels.length,
+    nodeCoordinates: nodes.map(node => new THREE.Vector3(node.x - centerX, node.y - baseElevation, 0)),
+    elementConnectivity: elements.map(element => [...element.nodes]),
+    properties: {
+      numStories: dynamicLevels.length,
+      storyHeight: storyHeights.reduce((sum, h) => sum + h, 0) / storyHeights.length,
+      totalMass,
+      dampingRatio,
+      damping: options.damping,
+      modelType: 'frame',
+      floorDimensions: { width, depth: 1 }
+    },
+    frame: {
+      definition,
+      levels: floorHeights,
+      transformation: fullTransformation,
+      elementStiffness,
+      elementRotation: elementRotations,
+      elementLength
+    }
+  };
+}
+
+/**
+ * Recovers element end forces from floor displacements
+ * @param model Frame structure model
+ * @param floorDisplacement Lateral displacement of each model DOF (m)
+ * @returns Local end forces of each element
+ */
+export function frameElementForces(
+  model: FrameStructureModel,
+  floorDisplacement: number[]
+): ElementEndForces[] {
+  const { definition, transformation, elementStiffness, elementRotation: rotations } = model.frame;
+  const nodal = transformation.map(row => row.reduce((sum, t, j) => sum + t * floorDisplacement[j], 0));
+
+  return definition.elements.map((element, index) => {
+    const [i, j] = element.nodes;
+    const globalDisplacement = [3 * i, 3 * i + 1, 3 * i + 2, 3 * j, 3 * j + 1, 3 * j + 2].map(d => nodal[d]);
+    const local = rotations[index].map(row => row.reduce((sum, r, k) => sum + r * globalDisplacement[k], 0));
+    const forces = elementStiffness[index].map(row => row.reduce((sum, k, m) => sum + k * local[m], 0));
+
+    return {
+      element: index,
+      axialStart: forces[0],
+      shearStart: forces[1],
+      momentStart: forces[2],
+      axialEnd: forces[3],
+      shearEnd: forces[4],
+      momentEnd: forces[5]
+    };
+  });
+}
+
+/**
+ * Peak absolute element end forces over a time history
+ * @param model Frame structure model
+ * @param response Time-history response of the model
+ * @returns Envelope of local end forces of each element
+ */
+export function frameElementForceEnvelope(
+  model: FrameStructureModel,
+  response: StructuralResponse
+): ElementEndForces[] {
+  const envelope = model.frame.definition.elements.map((_, index) => ({
+    element: index,
+    axialStart: 0,
+    shearStart: 0,
+    momentStart: 0,
+    axialEnd: 0,
+    shearEnd: 0,
+    momentEnd: 0
+  }));
+  const keys = ['axialStart', 'shearStart', 'momentStart', 'axialEnd', 'shearEnd', 'momentEnd'] as const;
+
+  response.displacement.forEach(step => {
+    frameElementForces(model, step).forEach((forces, index) => {
+      keys.forEach(key => {
+        envelope[index][key] = Math.max(envelope[index][key], Math.abs(forces[key]));
+      });
+    });
+  });
+
+  return envelope;
+}
+
+/**
+ * Builds the definition of a regular moment frame with fixed (or pinned) bases
+ * @param params Stories, bays, dimensions, sections and floor mass
+ * @returns Frame definition (columns first, then beams, floor by floor)
+ */
+export function createRegularFrameDefinition(params: RegularFrameParams): FrameDefinition {
+  const { numStories, numBays, storyHeight, bayWidth, column, beam, floorMass, pinnedBase = false } = params;
+  const nodesPerFloor = numBays + 1;
+  const nodes: { x: number; y: number }[] = [];
+  const elements: FrameElement[] = [];
+  const nodalMasses: { node: number; mass: number }[] = [];
+
+  for (let floor = 0; floor <= numStories; floor++) {
+    for (let col = 0; col < nodesPerFloor; col++) {
+      nodes.push({ x: col * bayWidth, y: floor * storyHeight });
+      if (floor > 0) {
+        nodalMasses.push({ node: floor * nodesPerFloor + col, mass: floorMass / nodesPerFloor });
+      }
+    }
+  }
+
+  for (let floor = 1; floor <= numStories; floor++) {
+    for (let col = 0; col < nodesPerFloor; col++) {
+      elements.push({ nodes: [(floor - 1) * nodesPerFloor + col, floor * nodesPerFloor + col], section: 'column' });
+    }
+    for (let bay = 0; bay < numBays; bay++) {
+      elements.push({ nodes: [floor * nodesPerFloor + bay, floor * nodesPerFloor + bay + 1], section: 'beam' });
+    }
+  }
+
+  return {
+    nodes,
+    elements,
+    sections: { column, beam },
+    supports: Array.from({ length: nodesPerFloor }, (_, col) => ({ node: col, ux: true, uy: true, rz: !pinnedBase })),
+    nodalMasses
+  };
+}
+
+export default {
+  createFrameStructureModel,
+  frameElementForces,
+  frameElementForceEnvelope,
+  createRegularFrameDefinition
+};
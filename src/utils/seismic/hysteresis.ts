@@ -0,0 +1,320 @@
+/**
+ * Hysteretic force-deformation models for story springs
+ */
+export type HystereticModelType =
+  | 'elastic'
+  | 'elastic-perfectly-plastic'
+  | 'bilinear'
+  | 'bouc-wen'
+  | 'takeda';
+
+/**
+ * Bouc-Wen shape and degradation parameters (Baber-Noori degradation)
+ */
+export interface BoucWenParams {
+  A?: number;                 // Amplitude of the restoring force (default: 1)
+  beta?: number;              // Shape parameter (default: 0.5)
+  gamma?: number;             // Shape parameter (default: 0.5)
+  n?: number;                 // Smoothness of the elastic-plastic transition (default: 2)
+  deltaNu?: number;           // Strength degradation rate with dissipated energy (default: 0)
+  deltaEta?: number;          // Stiffness degradation rate with dissipated energy (default: 0)
+}
+
+/**
+ * Story spring parameters
+ */
+export interface StorySpringParams {
+  model: HystereticModelType;
+  initialStiffness?: number;  // k0 (N/m, default: elastic story stiffness of the model)
+  yieldStrength?: number;     // Story yield shear Fy (N)
+  yieldDriftRatio?: number;   // Yield drift over story height, used when yieldStrength is omitted (default: 0.005)
+  postYieldRatio?: number;    // Post-yield to initial stiffness ratio α (default: 0.05, 0 for EPP)
+  boucWen?: BoucWenParams;
+  unloadingExponent?: number; // Takeda unloading stiffness exponent, ku = k0·(dy/dmax)^β (default: 0.4)
+}
+
+/**
+ * Force and tangent stiffness of a spring at a trial deformation
+ */
+export interface SpringState {
+  force: number;
+  tangent: number;
+}
+
+/**
+ * Path-dependent spring: trial states are evaluated from the last committed state
+ */
+export interface HystereticSpring {
+  model: HystereticModelType;
+  initialStiffness: number;
+  yieldStrength: number;
+  yieldDeformation: number;
+  trial: (deformation: number) => SpringState;  // Evaluate a trial deformation
+  commit: () => void;                            // Accept the last trial state
+  reset: () => void;                             // Return to the virgin state
+  getDeformation: () => number;                  // Committed deformation
+  getForce: () => number;                        // Committed force
+}
+
+type SpringBehaviour = Pick<HystereticSpring, 'trial' | 'commit' | 'reset' | 'getDeformation' | 'getForce'>;
+
+/**
+ * Bilinear spring with kinematic hardening (return mapping); α = 0 gives elastic-perfectly-plastic
+ */
+function createBilinearSpring(k0: number, Fy: number, alpha: number): SpringBehaviour {
+  const H = alpha >= 1 ? Infinity : alpha * k0 / (1 - alpha);
+  const committed = { d: 0, plastic: 0, back: 0, force: 0 };
+  let trialState = { ...committed };
+
+  return {
+    trial: (d: number) => {
+      const forceTrial = k0 * (d - committed.plastic);
+      const xi = forceTrial - committed.back;
+      const yieldFunction = Math.abs(xi) - Fy;
+
+      if (yieldFunction <= 0 || H === Infinity) {
+        trialState = { d, plastic: committed.plastic, back: committed.back, force: forceTrial };
+        return { force: forceTrial, tangent: k0 };
+      }
+
+      const increment = yieldFunction / (k0 + H);
+      const sign = Math.sign(xi);
+      const plastic = committed.plastic + increment * sign;
+      const force = k0 * (d - plastic);
+
+      trialState = { d, plastic, back: committed.back + H * increment * sign, force };
+      return { force, tangent: alpha * k0 };
+    },
+    commit: () => { Object.assign(committed, trialState); },
+    reset: () => {
+      Object.assign(committed, { d: 0, plastic: 0, back: 0, force: 0 });
+      trialState = { ...committed };
+    },
+    getDeformation: () => committed.d,
+    getForce: () => committed.force
+  };
+}
+
+/**
+ * Bouc-Wen spring, F = α·k0·d + (1-α)·Fy·z, with the evolution of z integrated by RK4 substeps
+ */
+function createBoucWenSpring(k0: number, Fy: number, alpha: number, params: BoucWenParams): SpringBehaviour {
+  const { A = 1, beta = 0.5, gamma = 0.5, n = 2, deltaNu = 0, deltaEta = 0 } = params;
+  const dy = Fy / k0;
+  const committed = { d: 0, z: 0, energy: 0, force: 0 };
+  let trialState = { ...committed };
+
+  // dz/dd for a deformation increment of the given sign; energy is normalized by Fy·dy
+  const slope = (z: number, energy: number, direction: number) => {
+    const nu = 1 + deltaNu * energy;
+    const eta = 1 + deltaEta * energy;
+    const term = Math.pow(Math.abs(z), n) * (beta * Math.sign(direction * z) + gamma);
+    return (A - nu * term) / (eta * dy);
+  };
+
+  return {
+    trial: (d: number) => {
+      const delta = d - committed.d;
+      const direction = Math.sign(delta);
+      let { z, energy } = committed;
+
+      const steps = Math.min(200, Math.max(1, Math.ceil(Math.abs(delta) / (0.02 * dy))));
+      const h = delta / steps;
+
+      for (let i = 0; i < steps; i++) {
+        const k1 = slope(z, energy, direction);
+        const k2 = slope(z + 0.5 * h * k1, energy, direction);
+        const k3 = slope(z + 0.5 * h * k2, energy, direction);
+        const k4 = slope(z + h * k3, energy, direction);
+        const dz = (h / 6) * (k1 + 2 * k2 + 2 * k3 + k4);
+        energy += (1 - alpha) * (z + 0.5 * dz) * h / dy;
+        z += dz;
+      }
+
+      const force = alpha * k0 * d + (1 - alpha) * Fy * z;
+      trialState = { d, z, energy, force };
+
+      return {
+        force,
+        tangent: alpha * k0 + (1 - alpha) * Fy * slope(z, energy, direction || 1)
+      };
+    },
+    commit: () => { Object.assign(committed, trialState); },
+    reset: () => {
+      Object.assign(committed, { d: 0, z: 0, energy: 0, force: 0 });
+      trialState = { ...committed };
+    },
+    getDeformation: () => committed.d,
+    getForce: () => committed.force
+  };
+}
+
+type TakedaBranch =
+  | { type: 'backbone' }
+  | { type: 'unloading'; d0: number; f0: number; k: number }
+  | { type: 'reloading'; d0: number; f0: number; k: number; peakD: number };
+
+/**
+ * Takeda spring (Otani's bilinear form): degrading unloading stiffness and
+ * peak-oriented reloading towards the largest previous excursion
+ */
+function createTakedaSpring(k0: number, Fy: number, alpha: number, unloadingExponent: number): SpringBehaviour {
+  const dy = Fy / k0;
+  const backbone = (d: number) =>
+    (Math.abs(d) <= dy ? k0 * d : Math.sign(d) * (Fy + alpha * k0 * (Math.abs(d) - dy)));
+
+  const virgin = () => ({
+    d: 0,
+    force: 0,
+    direction: 0,
+    branch: { type: 'backbone' } as TakedaBranch,
+    peakPos: { d: dy, f: Fy },
+    peakNeg: { d: -dy, f: -Fy }
+  });
+  let committed = virgin();
+  let trialState = virgin();
+
+  const unloadingStiffness = (peakD: number) =>
+    k0 * Math.pow(dy / Math.max(Math.abs(peakD), dy), unloadingExponent);
+
+  const reloadTowards = (d0: number, f0: number, direction: number): TakedaBranch => {
+    const peak = direction > 0 ? trialState.peakPos : trialState.peakNeg;
+    const span = peak.d - d0;
+    const k = Math.abs(span) > 1e-12 * dy ? (peak.f - f0) / span : k0;
+    return { type: 'reloading', d0, f0, k: Math.max(k, alpha * k0, 1e-6 * k0), peakD: peak.d };
+  };
+
+  return {
+    trial: (d: number) => {
+      trialState = {
+        ...committed,
+        branch: committed.branch,
+        peakPos: { ...committed.peakPos },
+        peakNeg: { ...committed.peakNeg }
+      };
+      const direction = Math.sign(d - committed.d);
+      if (direction === 0) {
+        return { force: committed.force, tangent: k0 };
+      }
+
+      // Load reversal starts unloading (or reloading when the force already points the new way)
+      if (committed.direction !== 0 && direction !== committed.direction) {
+        const { d: dc, force: fc } = committed;
+        if (fc * direction < 0) {
+          const peakD = fc > 0 ? trialState.peakPos.d : trialState.peakNeg.d;
+          trialState.branch = { type: 'unloading', d0: dc, f0: fc, k: unloadingStiffness(peakD) };
+        } else {
+          trialState.branch = reloadTowards(dc, fc, direction);
+        }
+      }
+
+      let force = 0;
+      let tangent = k0;
+
+      // Walk through branch transitions until the trial deformation is reached
+      for (let guard = 0; guard < 4; guard++) {
+        const branch = trialState.branch;
+
+        if (branch.type === 'unloading') {
+          force = branch.f0 + branch.k * (d - branch.d0);
+          tangent = branch.k;
+          if (force * branch.f0 < 0) {
+            const zero = branch.d0 - branch.f0 / branch.k;
+            trialState.branch = reloadTowards(zero, 0, direction);
+            continue;
+          }
+          break;
+        }
+
+        if (branch.type === 'reloading') {
+          if ((d - branch.peakD) * direction <= 0) {
+            force = branch.f0 + branch.k * (d - branch.d0);
+            tangent = branch.k;
+            break;
+          }
+          trialState.branch = { type: 'backbone' };
+          continue;
+        }
+
+        force = backbone(d);
+        tangent = Math.abs(d) <= dy ? k0 : alpha * k0;
+        if (d > trialState.peakPos.d) trialState.peakPos = { d, f: force };
+        if (d < trialState.peakNeg.d) trialState.peakNeg = { d, f: force };
+        break;
+      }
+
+      trialState.d = d;
+      trialState.force = force;
+      trialState.direction = direction;
+      return { force, tangent };
+    },
+    commit: () => {
+      committed = trialState;
+    },
+    reset: () => {
+      committed = virgin();
+      trialState = virgin();
+    },
+    getDeformation: () => committed.d,
+    getForce: () => committed.force
+  };
+}
+
+/**
+ * Creates a hysteretic story spring
+ * @param params Spring model and strength parameters
+ * @param storyStiffness Elastic story stiffness (N/m), used when initialStiffness is omitted
+ * @param storyHeight Story height (m), used with yieldDriftRatio when yieldStrength is omitted
+ * @returns Spring with trial/commit state management
+ */
+export function createHystereticSpring(
+  params: StorySpringParams,
+  storyStiffness: number,
+  storyHeight: number
+): HystereticSpring {
+  const {
+    model,
+    initialStiffness = storyStiffness,
+    yieldDriftRatio = 0.005,
+    boucWen = {},
+    unloadingExponent = 0.4
+  } = params;
+  const k0 = initialStiffness;
+  const yieldStrength = params.yieldStrength ?? k0 * yieldDriftRatio * storyHeight;
+  const alpha = model === 'elastic-perfectly-plastic' ? 0 : (params.postYieldRatio ?? 0.05);
+
+  if (!(k0 > 0) || !(yieldStrength > 0)) {
+    throw new Error(`Story spring needs positive stiffness and yield strength, got k0=${k0}, Fy=${yieldStrength}`);
+  }
+
+  let behaviour: SpringBehaviour;
+  switch (model) {
+    case 'elastic':
+      behaviour = createBilinearSpring(k0, yieldStrength, 1);
+      break;
+    case 'elastic-perfectly-plastic':
+    case 'bilinear':
+      behaviour = createBilinearSpring(k0, yieldStrength, alpha);
+      break;
+    case 'bouc-wen':
+      behaviour = createBoucWenSpring(k0, yieldStrength, alpha, boucWen);
+      break;
+    case 'takeda':
+      behaviour = createTakedaSpring(k0, yieldStrength, alpha, unloadingExponent);
+      break;
+    default:
+      throw new Error(`Unknown hysteretic model: ${model}`);
+  }
+
+  return {
+    model,
+    initialStiffness: k0,
+    yieldStrength,
+    yieldDeformation: yieldStrength / k0,
+    ...behaviour
+  };
+}
+
+export default {
+  createHystereticSpring
+};
@@ -0,0 +1,456 @@
+import {
+  SeismicWaveform,
+  STANDARD_GRAVITY,
+  accelerationUnitScale,
+  calculateResponseSpectrum
+} from './dataProcessor';
+import { StructureModel, StructuralResponse, SolverOptions, solveResponseTimeHistory } from './simulationEngine';
+import { modalAnalysis } from './modalAnalysis';
+import { StructuralInstabilityError } from './pDelta';
+
+/**
+ * Engineering demand parameter extracted from a time-history response
+ * @param response Response of the model to the scaled record
+ * @param model Structure model
+ * @param record Scaled record in m/s²
+ * @returns EDP value
+ */
+export type EDPFunction = (response: StructuralResponse, model: StructureModel, record: SeismicWaveform) => number;
+
+/**
+ * Damage state defined by an EDP threshold
+ */
+export interface DamageState {
+  name: string;
+  edp: string;                        // Key of the EDP compared with the threshold
+  threshold: number;                  // EDP value at which the damage state is reached
+}
+
+/**
+ * Options for incremental dynamic analysis
+ */
+export interface IDAOptions {
+  period?: number;                    // T1 for the Sa(T1) intensity measure (default: model fundamental period)
+  dampingRatio?: number;              // Damping of the intensity measure spectrum (default: 0.05)
+  initialStep?: number;               // First Sa(T1) level in g (default: 0.1)
+  stepIncrement?: number;             // Growth of the hunting step between runs in g (default: 0.05)
+  maxIntensity?: number;              // Highest Sa(T1) tried in g (default: 5)
+  maxRuns?: number;                   // Analyses per record (default: 12)
+  collapseDriftRatio?: number;        // Peak story drift ratio taken as collapse (default: 0.1)
+  edps?: Record<string, EDPFunction>; // Extra EDPs collected with the built-in ones
+  damageStates?: DamageState[];       // Damage states fitted with fragility curves (default: collapse only)
+  dt?: number;                        // Integration time step (default: record interval)
+  solver?: SolverOptions;             // Integrator options of each analysis
+  onRun?: (record: number, run: IDARun) => void; // Called after each analysis
+}
+
+/**
+ * One analysis of a record at one intensity
+ */
+export interface IDARun {
+  intensity: number;                  // Sa(T1) in g
+  scaleFactor: number;                // Factor applied to the record
+  edps: Record<string, number>;       // maxDriftRatio, roofDriftRatio, peakFloorAcceleration (g), bearingDisplacement (m, isolated models) and custom EDPs
+  collapsed: boolean;                 // Drift beyond the collapse limit, P-Delta sidesway collapse or a non-finite response
+}
+
+/**
+ * IDA curve of one record, sorted by intensity for plotting
+ */
+export interface IDACurve {
+  record: number;                     // Index of the record in the suite
+  label: string;                      // Station or event of the record
+  unscaledIntensity: number;          // Sa(T1) of the record as given, in g
+  runs: IDARun[];                     // Analyses in increasing intensity
+  collapseIntensity: number | null;   // Lowest intensity that collapsed (null if none did)
+}
+
+/**
+ * Lognormal fragility curve P(DS | IM) = Φ(ln(IM/θ) / β)
+ */
+export interface FragilityCurve {
+  damageState: string;
+  median: number;                     // θ in g
+  dispersion: number;                 // β, logarithmic standard deviation
+  capacities: number[];               // Intensity at which each record reached the damage state (g)
+  censored: number;                   // Records that never reached the damage state (right-censored in the fit)
+  intensities: number[];              // Intensity grid for plotting (g)
+  probabilities: number[];            // Probability of reaching the damage state on the grid
+}
+
+/**
+ * Result of an incremental dynamic analysis
+ */
+export interface IDAResult {
+  period: number;                     // T1 of the intensity measure (s)
+  dampingRatio: number;
+  curves: IDACurve[];
+  fragility: FragilityCurve[];
+  totalRuns: number;
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26, |error| < 1.5e-7)
+ * @param x Standard normal variate
+ * @returns Φ(x)
+ */
+export function standardNormalCdf(x: number): number {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Fits a lognormal distribution to capacities by the method of moments of ln(x)
+ * @param capacities Positive capacity values
+ * @returns Median θ and dispersion β
+ */
+export function fitLognormal(capacities: number[]): { median: number; dispersion: number } {
+  const logs = capacities.filter(value => value > 0).map(Math.log);
+  if (logs.length === 0) {
+    return { median: NaN, dispersion: NaN };
+  }
+
+  const mean = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+  const variance = logs.length > 1
+    ? logs.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (logs.length - 1)
+    : 0;
+
+  return { median: Math.exp(mean), dispersion: Math.sqrt(variance) };
+}
+
+/**
+ * Log-likelihood of a lognormal fit to exact and right-censored observations
+ */
+function censoredLogLikelihood(logs: number[], censoredLogs: number[], mean: number, dispersion: number): number {
+  let likelihood = 0;
+  logs.forEach(value => {
+    const z = (value - mean) / dispersion;
+    likelihood += -0.5 * z * z - Math.log(dispersion);
+  });
+  censoredLogs.forEach(value => {
+    likelihood += Math.log(standardNormalCdf((mean - value) / dispersion));
+  });
+  return likelihood;
+}
+
+/**
+ * Fits a lognormal distribution by maximum likelihood to capacities and to
+ * right-censored observations (records that had not failed at the highest
+ * intensity analysed), maximized over (ln θ, ln β) by Nelder-Mead
+ * @param capacities Observed capacities
+ * @param censoredAt Intensities the censored records survived
+ * @returns Median θ and dispersion β (NaN when nothing was observed)
+ */
+export function fitCensoredLognormal(
+  capacities: number[],
+  censoredAt: number[]
+): { median: number; dispersion: number } {
+  const censoredLogs = censoredAt.filter(value => value > 0).map(Math.log);
+  const logs = capacities.filter(value => value > 0).map(Math.log);
+  if (censoredLogs.length === 0 || logs.length === 0) {
+    return fitLognormal(capacities);
+  }
+
+  const start = fitLognormal([...capacities, ...censoredAt]);
+  const objective = ([mean, logDispersion]: number[]) => {
+    const value = -censoredLogLikelihood(logs, censoredLogs, mean, Math.exp(logDispersion));
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  // Nelder-Mead simplex with standard coefficients
+  let simplex = [
+    [Math.log(start.median), Math.log(Math.max(start.dispersion, 0.3))],
+    [Math.log(start.median) + 0.5, Math.log(Math.max(start.dispersion, 0.3))],
+    [Math.log(start.median), Math.log(Math.max(start.dispersion, 0.3)) + 0.5]
+  ].map(point => ({ point, value: objective(point) }));
+
+  for (let iteration = 0; iteration < 500; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const [best, middle, worst] = simplex;
+    if (Math.abs(worst.value - best.value) <= 1e-12 * (1 + Math.abs(best.value)) &&
+        Math.hypot(worst.point[0] - best.point[0], worst.point[1] - best.point[1]) <= 1e-10) break;
+
+    const centroid = [0, 1].map(k => 0.5 * (best.point[k] + middle.point[k]));
+    const along = (factor: number) => {
+      const point = centroid.map((c, k) => c + factor * (worst.point[k] - c));
+      return { point, value: objective(point) };
+    };
+
+    const reflected = along(-1);
+    if (reflected.value < best.value) {
+      const expanded = along(-2);
+      simplex = [best, middle, expanded.value < reflected.value ? expanded : reflected];
+    } else if (reflected.value < middle.value) {
+      simplex = [best, middle, reflected];
+    } else {
+      const contracted = reflected.value < worst.value ? along(-0.5) : along(0.5);
+      if (contracted.value < Math.min(worst.value, reflected.value)) {
+        simplex = [best, middle, contracted];
+      } else {
+        simplex = simplex.map(vertex => {
+          if (vertex === best) return vertex;
+          const point = vertex.point.map((x, k) => best.point[k] + 0.5 * (x - best.point[k]));
+          return { point, value: objective(point) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  const [mean, logDispersion] = simplex[0].point;
+  return { median: Math.exp(mean), dispersion: Math.exp(logDispersion) };
+}
+
+/**
+ * Sa(T) of a record in g
+ * @param record Accelerogram
+ * @param period Period (s)
+ * @param dampingRatio Damping ratio
+ * @returns Pseudo-spectral acceleration in g
+ */
+export function spectralAccelerationAt(record: SeismicWaveform, period: number, dampingRatio: number = 0.05): number {
+  const spectrum = calculateResponseSpectrum(record, [period], dampingRatio);
+  return spectrum.pseudoAcceleration![0] * accelerationUnitScale(spectrum.units) / STANDARD_GRAVITY;
+}
+
+/**
+ * Built-in EDPs: peak story drift ratio, peak roof drift ratio and peak absolute floor acceleration in g.
+ * On base-isolated models (DOF 0 is the isolation layer) the drifts and accelerations cover the
+ * superstructure and the peak bearing displacement in m is reported as bearingDisplacement
+ */
+function builtInEDPs(response: StructuralResponse, model: StructureModel, record: SeismicWaveform): Record<string, number> {
+  const { numDOFs, properties } = model;
+  const floorHeights = model.floorHeights ??
+    Array.from({ length: numDOFs }, (_, i) => (i + 1) * properties.storyHeight);
+  const base = properties.modelType === 'base-isolated' ? 1 : 0;
+  const baseHeight = base > 0 ? floorHeights[0] : 0;
+  let maxDriftRatio = 0;
+  let roofDriftRatio = 0;
+  let peakFloorAcceleration = 0;
+  let bearingDisplacement = 0;
+
+  response.displacement.forEach((row, t) => {
+    const baseDisplacement = base > 0 ? row[0] : 0;
+    for (let i = base; i < numDOFs; i++) {
+      const storyHeight = floorHeights[i] - (i > 0 ? floorHeights[i - 1] : 0);
+      const drift = row[i] - (i > 0 ? row[i - 1] : 0);
+      maxDriftRatio = Math.max(maxDriftRatio, Math.abs(drift) / storyHeight);
+      const absolute = (response.acceleration?.[t][i] ?? 0) + record.amplitude[t];
+      peakFloorAcceleration = Math.max(peakFloorAcceleration, Math.abs(absolute));
+    }
+    roofDriftRatio = Math.max(roofDriftRatio,
+      Math.abs(row[numDOFs - 1] - baseDisplacement) / (floorHeights[numDOFs - 1] - baseHeight));
+    bearingDisplacement = Math.max(bearingDisplacement, Math.abs(baseDisplacement));
+  });
+
+  return {
+    maxDriftRatio,
+    roofDriftRatio,
+    peakFloorAcceleration: peakFloorAcceleration / STANDARD_GRAVITY,
+    ...(base > 0 ? { bearingDisplacement } : {})
+  };
+}
+
+/**
+ * Intensity at which an IDA curve first reaches an EDP threshold, interpolated
+ * between runs; collapsed runs count as exceeding every threshold
+ */
+function capacityIntensity(curve: IDACurve, state: DamageState): number | null {
+  let previous = { intensity: 0, value: 0 };
+
+  for (const run of curve.runs) {
+    const value = run.collapsed ? Infinity : run.edps[state.edp];
+    if (value === undefined) {
+      throw new Error(`Damage state ${state.name} uses unknown EDP ${state.edp}`);
+    }
+    if (value >= state.threshold) {
+      if (!Number.isFinite(value)) return run.intensity;
+      const w = (state.threshold - previous.value) / (value - previous.value || 1);
+      return previous.intensity + w * (run.intensity - previous.intensity);
+    }
+    previous = { intensity: run.intensity, value };
+  }
+
+  return null;
+}
+
+/**
+ * Runs an incremental dynamic analysis (Vamvatsikos and Cornell, 2002) with the
+ * hunt-and-fill tracing algorithm: each record is scaled in growing Sa(T1)
+ * steps until collapse, the collapse capacity is bracketed by bisection and
+ * the remaining runs fill the largest gaps of the non-collapse curve
+ * @param model Structure model
+ * @param records Ground motion suite
+ * @param options Intensity measure, tracing, EDP and damage state options
+ * @returns IDA curves and lognormal fragility curves of the damage states
+ */
+export function incrementalDynamicAnalysis(
+  model: StructureModel,
+  records: SeismicWaveform[],
+  options: IDAOptions = {}
+): IDAResult {
+  const {
+    dampingRatio = 0.05,
+    initialStep = 0.1,
+    stepIncrement = 0.05,
+    maxIntensity = 5,
+    maxRuns = 12,
+    collapseDriftRatio = 0.1,
+    edps = {},
+    dt,
+    solver = {},
+    onRun
+  } = options;
+  const period = options.period ?? modalAnalysis(model, { numModes: 1 }).periods[0];
+  const damageStates = options.damageStates ??
+    [{ name: 'Collapse', edp: 'maxDriftRatio', threshold: collapseDriftRatio }];
+
+  if (records.length === 0) {
+    throw new Error('Incremental dynamic analysis needs at least one record');
+  }
+  if (!(initialStep > 0) || !(maxRuns >= 2)) {
+    throw new Error('IDA needs a positive initial step and at least two runs per record');
+  }
+
+  let totalRuns = 0;
+
+  const curves: IDACurve[] = records.map((record, index) => {
+    const unitScale = accelerationUnitScale(record.metadata?.units);
+    const unscaledIntensity = spectralAccelerationAt(record, period, dampingRatio);
+    if (!(unscaledIntensity > 0)) {
+      throw new Error(`Record ${index} has no spectral acceleration at T = ${period} s`);
+    }
+
+    const runs: IDARun[] = [];
+
+    // Analyse the record scaled to the given Sa(T1); the engine works in m/s²
+    const analyse = (intensity: number): IDARun => {
+      const scaleFactor = intensity / unscaledIntensity;
+      const scaled: SeismicWaveform = {
+        ...record,
+        amplitude: record.amplitude.map(a => a * unitScale * scaleFactor),
+        metadata: { ...record.metadata, units: 'm/s^2' }
+      };
+
+      let values: Record<string, number>;
+      let sidesway = false;
+      try {
+        const response = solveResponseTimeHistory(model, scaled, dt, solver);
+        sidesway = Boolean(response.sideswayCollapse);
+        values = builtInEDPs(response, model, scaled);
+        Object.entries(edps).forEach(([name, edp]) => {
+          values[name] = edp(response, model, scaled);
+        });
+      } catch (error) {
+        // Only buckling under gravity counts as a collapse run; anything else is a real error
+        if (!(error instanceof StructuralInstabilityError)) throw error;
+        values = { maxDriftRatio: Infinity, roofDriftRatio: Infinity, peakFloorAcceleration: Infinity };
+        if (model.properties.modelType === 'base-isolated') values.bearingDisplacement = Infinity;
+      }
+
+      const collapsed = sidesway || !Number.isFinite(values.maxDriftRatio) || values.maxDriftRatio >= collapseDriftRatio;
+      const run = { intensity, scaleFactor, edps: values, collapsed };
+      runs.push(run);
+      totalRuns++;
+      onRun?.(index, run);
+      return run;
+    };
+
+    // Hunt: grow the step until the first collapse
+    let lastSafe = 0;
+    let firstCollapse: number | null = null;
+    let intensity = initialStep;
+    let step = initialStep;
+
+    while (runs.length < maxRuns && intensity <= maxIntensity) {
+      if (analyse(intensity).collapsed) {
+        firstCollapse = intensity;
+        break;
+      }
+      lastSafe = intensity;
+      step += stepIncrement;
+      intensity += step;
+    }
+
+    // Bracket: bisect between the last non-collapse and the first collapse intensity
+    // until the gap is no wider than the largest step of the non-collapse curve
+    const fillBudget = Math.floor((maxRuns - runs.length) / 2);
+    let bracketRuns = 0;
+    while (firstCollapse !== null && runs.length < maxRuns && bracketRuns < Math.max(1, fillBudget)) {
+      const middle = 0.5 * (lastSafe + firstCollapse);
+      if (analyse(middle).collapsed) {
+        firstCollapse = middle;
+      } else {
+        lastSafe = middle;
+      }
+      bracketRuns++;
+    }
+
+    // Fill: halve the widest gap between non-collapse runs
+    while (runs.length < maxRuns) {
+      const safe = [0, ...runs.filter(run => !run.collapsed).map(run => run.intensity)].sort((a, b) => a - b);
+      let gap = 0;
+      let at = 0;
+      for (let i = 1; i < safe.length; i++) {
+        if (safe[i] - safe[i - 1] > gap) {
+          gap = safe[i] - safe[i - 1];
+          at = i;
+        }
+      }
+      if (gap <= 0) break;
+      analyse(0.5 * (safe[at - 1] + safe[at]));
+    }
+
+    runs.sort((a, b) => a.intensity - b.intensity);
+    const collapse = runs.find(run => run.collapsed);
+
+    return {
+      record: index,
+      label: record.metadata?.station ?? record.metadata?.event ?? `Record ${index + 1}`,
+      unscaledIntensity,
+      runs,
+      collapseIntensity: collapse ? collapse.intensity : null
+    };
+  });
+
+  // Fragility: lognormal fit of the intensities at which each record reaches each damage state;
+  // records that never reached it are right-censored at their highest intensity
+  const highest = Math.max(...curves.flatMap(curve => curve.runs.map(run => run.intensity)));
+  const grid = Array.from({ length: 101 }, (_, i) => (i / 100) * highest * 1.5);
+
+  const fragility: FragilityCurve[] = damageStates.map(state => {
+    const results = curves.map(curve => capacityIntensity(curve, state));
+    const capacities = results.filter((value): value is number => value !== null);
+    const censoredAt = curves
+      .filter((_, i) => results[i] === null)
+      .map(curve => Math.max(...curve.runs.map(run => run.intensity)));
+    const { median, dispersion } = fitCensoredLognormal(capacities, censoredAt);
+
+    return {
+      damageState: state.name,
+      median,
+      dispersion,
+      capacities,
+      censored: results.length - capacities.length,
+      intensities: grid,
+      probabilities: grid.map(im => {
+        if (!(im > 0) || !Number.isFinite(median)) return 0;
+        if (dispersion === 0) return im >= median ? 1 : 0;
+        return standardNormalCdf(Math.log(im / median) / dispersion);
+      })
+    };
+  });
+
+  return { period, dampingRatio, curves, fragility, totalRuns };
+}
+
+export default {
+  standardNormalCdf,
+  fitLognormal,
+  fitCensoredLognormal,
+  spectralAccelerationAt,
+  incrementalDynamicAnalysis
+};
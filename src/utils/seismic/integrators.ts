@@ -0,0 +1,643 @@
+import { generalizedEigen } from './linearAlgebra';
+import {
+  BandedMatrix,
+  bandedCholesky,
+  bandedCholeskySolve,
+  bandedMultiply,
+  halfBandwidth,
+  toBandedMatrix
+} from './bandedMatrix';
+
+/**
+ * Built-in direct time integration schemes
+ */
+export type IntegratorType =
+  | 'newmark-average'
+  | 'newmark-linear'
+  | 'central-difference'
+  | 'wilson-theta'
+  | 'hht-alpha'
+  | 'generalized-alpha';
+
+/**
+ * Displacement, velocity and acceleration at one instant
+ */
+export interface IntegrationState {
+  u: Float64Array;
+  v: Float64Array;
+  a: Float64Array;
+}
+
+/**
+ * Linear system M·a + C·v + K·u = p(t)
+ */
+export interface LinearSystem {
+  massMatrix: number[][];
+  dampingMatrix: number[][];
+  stiffnessMatrix: number[][];
+}
+
+/**
+ * Advances the state in place by one step, given the load at the start and end of the step
+ */
+export type IntegratorStep = (state: IntegrationState, load: Float64Array, nextLoad: Float64Array) => void;
+
+/**
+ * Pluggable time integrator
+ */
+export interface TimeIntegrator {
+  name: string;
+  criticalTimeStep: (maxCircularFrequency: number) => number; // Infinity when unconditionally stable
+  newmarkParameters?: { beta: number; gamma: number };        // Set for the Newmark family
+  create: (system: LinearSystem, dt: number) => IntegratorStep; // Factorizes once for a fixed step
+}
+
+/**
+ * Integrator selection and parameters
+ */
+export interface IntegratorOptions {
+  integrator?: IntegratorType | TimeIntegrator; // Default: 'newmark-average'
+  beta?: number;              // Newmark β override
+  gamma?: number;             // Newmark γ override
+  theta?: number;             // Wilson θ (default: 1.4, at least 1.37)
+  alpha?: number;             // HHT α in [-1/3, 0] (default: -0.05)
+  rhoInfinity?: number;       // Generalized-α spectral radius at infinite frequency in [0, 1] (default: 0.8)
+  substeps?: number;          // Integration steps per output sample (default: from the requested dt)
+}
+
+/**
+ * How a time history was integrated
+ */
+export interface IntegrationReport {
+  integrator: string;
+  timeStep: number;           // Integration step (s)
+  outputTimeStep: number;     // Sample interval of the excitation and the response (s)
+  substeps: number;           // Integration steps per output sample
+  criticalTimeStep: number;   // Stability limit (s), Infinity when unconditionally stable
+  highestModePeriod: number;  // Shortest natural period (s); a lower bound when the mass matrix is diagonal
+  warnings: string[];
+}
+
+/**
+ * Fills the load vector of an output sample
+ */
+export type LoadFunction = (sample: number, out: Float64Array) => void;
+
+/**
+ * Response histories in flat buffers, value [step·numDOFs + dof]
+ */
+export interface ResponseBuffers {
+  numSteps: number;
+  numDOFs: number;
+  displacement: Float64Array;
+  velocity: Float64Array;
+  acceleration: Float64Array;
+}
+
+/**
+ * Nonlinear system M·a + C·v + f(u, v) = p(t). The resisting force adds f to
+ * force and ∂f/∂u, ∂f/∂v to the tangents, all zeroed by the caller, and returns
+ * false when an element's own state determination did not converge.
+ */
+export interface NonlinearSystem {
+  massMatrix: number[][];
+  dampingMatrix: number[][];  // Linear viscous damping
+  bandwidth: number;          // Half-bandwidth of the resisting force tangents
+  resistingForce: (u: Float64Array, v: Float64Array, force: Float64Array, stiffness: BandedMatrix, damping: BandedMatrix) => boolean;
+  commit: () => void;         // Accepts the state of the last resisting force evaluation
+}
+
+/**
+ * Response buffers of a nonlinear integration with its equilibrium report
+ */
+export interface NonlinearResponseBuffers extends ResponseBuffers {
+  nonConvergedSteps: number;  // Steps where Newton-Raphson hit its iteration limit or an element did not converge
+}
+
+/**
+ * Mass, damping and stiffness on a common band, with combinations for effective matrices
+ */
+function bandedSystem(system: LinearSystem) {
+  const { massMatrix: M, dampingMatrix: C, stiffnessMatrix: K } = system;
+  const bandwidth = Math.max(halfBandwidth(M), halfBandwidth(C), halfBandwidth(K));
+  const mass = toBandedMatrix(M, bandwidth);
+  const damping = toBandedMatrix(C, bandwidth);
+  const stiffness = toBandedMatrix(K, bandwidth);
+
+  return {
+    size: M.length,
+    mass,
+    damping,
+    stiffness,
+    // Cholesky factor of m·M + c·C + k·K
+    factorize: (m: number, c: number, k: number): BandedMatrix => {
+      const data = mass.data.map((value, i) => m * value + c * damping.data[i] + k * stiffness.data[i]);
+      return bandedCholesky({ size: M.length, bandwidth, data });
+    }
+  };
+}
+
+/**
+ * Generalized-α family (Chung & Hulbert, 1993): Newmark has αm = αf = 0 and HHT αm = 0
+ */
+function generalizedAlphaIntegrator(
+  name: string,
+  params: { alphaM: number; alphaF: number; beta: number; gamma: number }
+): TimeIntegrator {
+  const { alphaM, alphaF, beta, gamma } = params;
+
+  return {
+    name,
+    newmarkParameters: alphaM === 0 && alphaF === 0 ? { beta, gamma } : undefined,
+    criticalTimeStep: (omega: number) => {
+      if (2 * beta >= gamma && gamma >= 0.5) return Infinity;
+      return 1 / Math.sqrt(gamma / 2 - beta) / omega;
+    },
+    create: (system, h) => {
+      const { size, mass, damping, stiffness, factorize } = bandedSystem(system);
+      const c0 = 1 / (beta * h * h);
+      const c1 = gamma / (beta * h);
+      const factor = factorize((1 - alphaM) * c0, (1 - alphaF) * c1, 1 - alphaF);
+
+      // History coefficients on u, v and a for the inertia and damping terms
+      const mu = (1 - alphaM) * c0;
+      const mv = (1 - alphaM) / (beta * h);
+      const ma = (1 - alphaM) * (1 / (2 * beta) - 1) - alphaM;
+      const cu = (1 - alphaF) * c1;
+      const cv = -(1 - alphaF) * (1 - gamma / beta) - alphaF;
+      const ca = -(1 - alphaF) * h * (1 - gamma / (2 * beta));
+
+      const inertia = new Float64Array(size);
+      const viscous = new Float64Array(size);
+      const inertiaForce = new Float64Array(size);
+      const dampingForce = new Float64Array(size);
+      const elasticForce = new Float64Array(size);
+      const next = new Float64Array(size);
+
+      return ({ u, v, a }, load, nextLoad) => {
+        for (let i = 0; i < size; i++) {
+          inertia[i] = mu * u[i] + mv * v[i] + ma * a[i];
+          viscous[i] = cu * u[i] + cv * v[i] + ca * a[i];
+        }
+        bandedMultiply(mass, inertia, inertiaForce);
+        bandedMultiply(damping, viscous, dampingForce);
+        bandedMultiply(stiffness, u, elasticForce);
+
+        for (let i = 0; i < size; i++) {
+          next[i] = (1 - alphaF) * nextLoad[i] + alphaF * load[i] +
+            inertiaForce[i] + dampingForce[i] - alphaF * elasticForce[i];
+        }
+        bandedCholeskySolve(factor, next, next);
+
+        for (let i = 0; i < size; i++) {
+          const nextAcceleration = c0 * (next[i] - u[i]) - v[i] / (beta * h) - (1 / (2 * beta) - 1) * a[i];
+          v[i] += h * ((1 - gamma) * a[i] + gamma * nextAcceleration);
+          a[i] = nextAcceleration;
+          u[i] = next[i];
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Explicit central difference in Newmark form (β = 0, γ = ½), stable for Δt ≤ 2/ωmax
+ */
+function centralDifferenceIntegrator(): TimeIntegrator {
+  return {
+    name: 'central-difference',
+    criticalTimeStep: (omega: number) => 2 / omega,
+    create: (system, h) => {
+      const { size, damping, stiffness, factorize } = bandedSystem(system);
+      const factor = factorize(1, 0.5 * h, 0);
+      const elasticForce = new Float64Array(size);
+      const dampingForce = new Float64Array(size);
+
+      return ({ u, v, a }, _load, nextLoad) => {
+        for (let i = 0; i < size; i++) {
+          u[i] += h * v[i] + 0.5 * h * h * a[i];
+          v[i] += 0.5 * h * a[i];
+        }
+        bandedMultiply(stiffness, u, elasticForce);
+        bandedMultiply(damping, v, dampingForce);
+
+        for (let i = 0; i < size; i++) {
+          a[i] = nextLoad[i] - elasticForce[i] - dampingForce[i];
+        }
+        bandedCholeskySolve(factor, a, a);
+
+        for (let i = 0; i < size; i++) {
+          v[i] += 0.5 * h * a[i];
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Wilson-θ: linear acceleration over an extended step θ·Δt
+ */
+function wilsonThetaIntegrator(theta: number): TimeIntegrator {
+  if (theta < 1.37) {
+    throw new Error(`Wilson-θ needs θ ≥ 1.37 for unconditional stability, got ${theta}`);
+  }
+
+  return {
+    name: 'wilson-theta',
+    criticalTimeStep: () => Infinity,
+    create: (system, h) => {
+      const { size, mass, damping, factorize } = bandedSystem(system);
+      const tau = theta * h;
+      const factor = factorize(6 / (tau * tau), 3 / tau, 1);
+      const inertia = new Float64Array(size);
+      const viscous = new Float64Array(size);
+      const inertiaForce = new Float64Array(size);
+      const dampingForce = new Float64Array(size);
+      const extended = new Float64Array(size);
+
+      return ({ u, v, a }, load, nextLoad) => {
+        for (let i = 0; i < size; i++) {
+          inertia[i] = 6 / (tau * tau) * u[i] + 6 / tau * v[i] + 2 * a[i];
+          viscous[i] = 3 / tau * u[i] + 2 * v[i] + tau / 2 * a[i];
+        }
+        bandedMultiply(mass, inertia, inertiaForce);
+        bandedMultiply(damping, viscous, dampingForce);
+
+        for (let i = 0; i < size; i++) {
+          extended[i] = load[i] + theta * (nextLoad[i] - load[i]) + inertiaForce[i] + dampingForce[i];
+        }
+        bandedCholeskySolve(factor, extended, extended);
+
+        for (let i = 0; i < size; i++) {
+          const extendedAcceleration = 6 / (tau * tau) * (extended[i] - u[i]) - 6 / tau * v[i] - 2 * a[i];
+          const nextAcceleration = a[i] + (extendedAcceleration - a[i]) / theta;
+          u[i] += h * v[i] + h * h / 6 * (nextAcceleration + 2 * a[i]);
+          v[i] += 0.5 * h * (a[i] + nextAcceleration);
+          a[i] = nextAcceleration;
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Creates a time integrator
+ * @param options Integrator type or custom integrator, with its parameters
+ * @returns Integrator
+ */
+export function createIntegrator(options: IntegratorOptions = {}): TimeIntegrator {
+  const { integrator = 'newmark-average' } = options;
+  if (typeof integrator !== 'string') {
+    return integrator;
+  }
+
+  switch (integrator) {
+    case 'newmark-average':
+    case 'newmark-linear': {
+      const beta = options.beta ?? (integrator === 'newmark-average' ? 0.25 : 1 / 6);
+      return generalizedAlphaIntegrator(integrator, { alphaM: 0, alphaF: 0, beta, gamma: options.gamma ?? 0.5 });
+    }
+    case 'central-difference':
+      return centralDifferenceIntegrator();
+    case 'wilson-theta':
+      return wilsonThetaIntegrator(options.theta ?? 1.4);
+    case 'hht-alpha': {
+      const alpha = options.alpha ?? -0.05;
+      if (alpha < -1 / 3 || alpha > 0) {
+        throw new Error(`HHT α must be in [-1/3, 0], got ${alpha}`);
+      }
+      return generalizedAlphaIntegrator(integrator, {
+        alphaM: 0,
+        alphaF: -alpha,
+        beta: (1 - alpha) * (1 - alpha) / 4,
+        gamma: 0.5 - alpha
+      });
+    }
+    case 'generalized-alpha': {
+      const rho = options.rhoInfinity ?? 0.8;
+      if (rho < 0 || rho > 1) {
+        throw new Error(`Generalized-α ρ∞ must be in [0, 1], got ${rho}`);
+      }
+      const alphaM = (2 * rho - 1) / (rho + 1);
+      const alphaF = rho / (rho + 1);
+      return generalizedAlphaIntegrator(integrator, {
+        alphaM,
+        alphaF,
+        beta: 0.25 * Math.pow(1 - alphaM + alphaF, 2),
+        gamma: 0.5 - alphaM + alphaF
+      });
+    }
+    default:
+      throw new Error(`Unknown integrator: ${integrator}`);
+  }
+}
+
+/**
+ * Largest eigenvalue of K·φ = λ·M·φ: the Gershgorin bound max Σ|Kij|/Mii for
+ * a diagonal mass matrix, otherwise the full eigen-solution
+ */
+function highestEigenvalue({ massMatrix: M, stiffnessMatrix: K }: LinearSystem): number {
+  const diagonal = M.every((row, i) => row.every((value, j) => i === j || value === 0));
+  if (!diagonal) {
+    const { values } = generalizedEigen(K, M);
+    return values[values.length - 1];
+  }
+
+  return K.reduce((max, row, i) =>
+    Math.max(max, row.reduce((sum, value) => sum + Math.abs(value), 0) / M[i][i]), 0);
+}
+
+/**
+ * Chooses the integration step for an output sample interval: the requested
+ * step is met by substepping, conditionally stable schemes are substepped
+ * further to stay below their stability limit, and a warning is raised when
+ * the step exceeds a tenth of the highest mode period.
+ * @param system Mass, damping and stiffness matrices
+ * @param integrator Time integrator
+ * @param outputTimeStep Sample interval of the excitation (s)
+ * @param requestedTimeStep Requested integration step (default: outputTimeStep)
+ * @param substeps Fixed number of substeps (overrides requestedTimeStep)
+ * @returns Integration report with the chosen step and any warnings
+ */
+export function planTimeStep(
+  system: LinearSystem,
+  integrator: TimeIntegrator,
+  outputTimeStep: number,
+  requestedTimeStep: number = outputTimeStep,
+  substeps?: number
+): IntegrationReport {
+  const warnings: string[] = [];
+  const omegaMax = Math.sqrt(Math.max(highestEigenvalue(system), 0));
+  const highestModePeriod = omegaMax > 0 ? 2 * Math.PI / omegaMax : Infinity;
+  const criticalTimeStep = omegaMax > 0 ? integrator.criticalTimeStep(omegaMax) : Infinity;
+
+  if (requestedTimeStep > outputTimeStep * (1 + 1e-9) && substeps === undefined) {
+    warnings.push(`Requested step ${requestedTimeStep} s is coarser than the record sample interval ${outputTimeStep} s; integrating at the sample interval`);
+  }
+
+  let count = Math.max(1, Math.round(substeps ?? Math.ceil(outputTimeStep / requestedTimeStep - 1e-9)));
+
+  if (outputTimeStep / count > criticalTimeStep) {
+    const stable = Math.ceil(outputTimeStep / (0.9 * criticalTimeStep));
+    warnings.push(`Step ${outputTimeStep / count} s exceeds the ${integrator.name} stability limit ${criticalTimeStep.toPrecision(3)} s; using ${stable} substeps`);
+    count = stable;
+  }
+
+  const timeStep = outputTimeStep / count;
+  if (timeStep > highestModePeriod / 10) {
+    warnings.push(`Step ${timeStep} s is coarser than T/10 of the highest mode (T = ${highestModePeriod.toPrecision(3)} s); its response will be distorted`);
+  }
+
+  return {
+    integrator: integrator.name,
+    timeStep,
+    outputTimeStep,
+    substeps: count,
+    criticalTimeStep,
+    highestModePeriod,
+    warnings
+  };
+}
+
+/**
+ * Integrates a linear system from rest, substepping between output samples
+ * with linearly interpolated loads. The effective matrix is factorized once
+ * and the state lives in preallocated typed arrays.
+ * @param system Mass, damping and stiffness matrices
+ * @param load Fills the load vector of each output sample
+ * @param numSteps Number of output samples
+ * @param outputTimeStep Sample interval of the load (s)
+ * @param integrator Time integrator
+ * @param substeps Integration steps per sample (default: 1)
+ * @param onSample Called after each output sample with the number of samples filled
+ * @returns Displacement, velocity and acceleration at each output sample
+ */
+export function integrateLinearSystem(
+  system: LinearSystem,
+  load: LoadFunction,
+  numSteps: number,
+  outputTimeStep: number,
+  integrator: TimeIntegrator = createIntegrator(),
+  substeps: number = 1,
+  onSample?: (completed: number, buffers: ResponseBuffers) => void
+): ResponseBuffers {
+  const n = system.massMatrix.length;
+  const step = integrator.create(system, outputTimeStep / substeps);
+  const buffers: ResponseBuffers = {
+    numSteps,
+    numDOFs: n,
+    displacement: new Float64Array(numSteps * n),
+    velocity: new Float64Array(numSteps * n),
+    acceleration: new Float64Array(numSteps * n)
+  };
+  if (numSteps === 0) return buffers;
+
+  const state: IntegrationState = { u: new Float64Array(n), v: new Float64Array(n), a: new Float64Array(n) };
+  const start = new Float64Array(n);
+  const end = new Float64Array(n);
+  const current = new Float64Array(n);
+  const next = new Float64Array(n);
+
+  // Initial acceleration from the initial load with the structure at rest
+  load(0, start);
+  bandedCholeskySolve(bandedCholesky(toBandedMatrix(system.massMatrix)), start, state.a);
+
+  const record = (sample: number) => {
+    buffers.displacement.set(state.u, sample * n);
+    buffers.velocity.set(state.v, sample * n);
+    buffers.acceleration.set(state.a, sample * n);
+    onSample?.(sample + 1, buffers);
+  };
+  record(0);
+
+  for (let t = 0; t < numSteps - 1; t++) {
+    load(t + 1, end);
+    for (let sub = 0; sub < substeps; sub++) {
+      for (let i = 0; i < n; i++) {
+        current[i] = start[i] + (end[i] - start[i]) * sub / substeps;
+        next[i] = start[i] + (end[i] - start[i]) * (sub + 1) / substeps;
+      }
+      step(state, current, next);
+    }
+    record(t + 1);
+    start.set(end);
+  }
+
+  return buffers;
+}
+
+/**
+ * Integrates a nonlinear system from rest by a Newmark-family method with
+ * Newton-Raphson equilibrium iterations, substepping between output samples
+ * with linearly interpolated loads. Tangents are assembled into banded
+ * storage and factorized in place; the state lives in preallocated typed arrays.
+ * @param system Mass and damping matrices and the resisting force
+ * @param load Fills the load vector of each output sample
+ * @param numSteps Number of output samples
+ * @param outputTimeStep Sample interval of the load (s)
+ * @param integrator Newmark-family time integrator
+ * @param substeps Integration steps per sample (default: 1)
+ * @param onSample Called after each output sample with the number of samples filled and the state;
+ * returning true ends the integration there
+ * @returns Displacement, velocity and acceleration up to the last output sample, and the non-converged steps
+ */
+export function integrateNonlinearSystem(
+  system: NonlinearSystem,
+  load: LoadFunction,
+  numSteps: number,
+  outputTimeStep: number,
+  integrator: TimeIntegrator = createIntegrator(),
+  substeps: number = 1,
+  onSample?: (completed: number, buffers: ResponseBuffers, state: IntegrationState) => boolean | void
+): NonlinearResponseBuffers {
+  if (!integrator.newmarkParameters) {
+    throw new Error(`Nonlinear systems need a Newmark integrator, got ${integrator.name}`);
+  }
+
+  const { beta, gamma } = integrator.newmarkParameters;
+  const { massMatrix, dampingMatrix, resistingForce } = system;
+  const n = massMatrix.length;
+  const h = outputTimeStep / substeps;
+  const maxIterations = 25;
+  const buffers: NonlinearResponseBuffers = {
+    numSteps,
+    numDOFs: n,
+    displacement: new Float64Array(numSteps * n),
+    velocity: new Float64Array(numSteps * n),
+    acceleration: new Float64Array(numSteps * n),
+    nonConvergedSteps: 0
+  };
+  if (numSteps === 0) return buffers;
+
+  const bandwidth = Math.max(system.bandwidth, halfBandwidth(massMatrix), halfBandwidth(dampingMatrix));
+  const mass = toBandedMatrix(massMatrix, bandwidth);
+  const damping = toBandedMatrix(dampingMatrix, bandwidth);
+  const banded = () => ({ size: n, bandwidth, data: new Float64Array(n * (bandwidth + 1)) });
+  const tangentStiffness = banded();
+  const tangentDamping = banded();
+  const tangent = banded();
+
+  const state: IntegrationState = { u: new Float64Array(n), v: new Float64Array(n), a: new Float64Array(n) };
+  const next: IntegrationState = { u: new Float64Array(n), v: new Float64Array(n), a: new Float64Array(n) };
+  const start = new Float64Array(n);
+  const end = new Float64Array(n);
+  const stepLoad = new Float64Array(n);
+  const force = new Float64Array(n);
+  const dampingForce = new Float64Array(n);
+  const inertiaForce = new Float64Array(n);
+  const residual = new Float64Array(n);
+
+  // Newmark velocity and acceleration at the trial displacement
+  const kinematics = () => {
+    for (let i = 0; i < n; i++) {
+      const du = next.u[i] - state.u[i];
+      next.v[i] = gamma / (beta * h) * du + (1 - gamma / beta) * state.v[i] + h * (1 - gamma / (2 * beta)) * state.a[i];
+      next.a[i] = du / (beta * h * h) - state.v[i] / (beta * h) - (1 / (2 * beta) - 1) * state.a[i];
+    }
+  };
+
+  // Resisting and viscous forces with their tangents at the trial state
+  const evaluate = (): boolean => {
+    force.fill(0);
+    tangentStiffness.data.fill(0);
+    tangentDamping.data.fill(0);
+    const elementsConverged = resistingForce(next.u, next.v, force, tangentStiffness, tangentDamping);
+    bandedMultiply(damping, next.v, dampingForce);
+    for (let i = 0; i < n; i++) force[i] += dampingForce[i];
+    return elementsConverged;
+  };
+
+  // Initial acceleration from the initial load with the structure at rest
+  load(0, start);
+  bandedCholeskySolve(bandedCholesky(mass), start, state.a);
+
+  const record = (sample: number) => {
+    buffers.displacement.set(state.u, sample * n);
+    buffers.velocity.set(state.v, sample * n);
+    buffers.acceleration.set(state.a, sample * n);
+    return onSample?.(sample + 1, buffers, state) === true;
+  };
+
+  let completed = numSteps;
+  if (record(0)) {
+    completed = 1;
+  } else {
+    for (let t = 0; t < numSteps - 1; t++) {
+      load(t + 1, end);
+      for (let sub = 1; sub <= substeps; sub++) {
+        for (let i = 0; i < n; i++) stepLoad[i] = start[i] + (end[i] - start[i]) * sub / substeps;
+        next.u.set(state.u);
+        kinematics();
+        let elementsConverged = evaluate();
+        let converged = false;
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+          bandedMultiply(mass, next.a, inertiaForce);
+          for (let i = 0; i < n; i++) residual[i] = stepLoad[i] - inertiaForce[i] - force[i];
+
+          // Effective tangent M/(βh²) + γ/(βh)·(C + Ct) + Kt
+          for (let k = 0; k < tangent.data.length; k++) {
+            tangent.data[k] = mass.data[k] / (beta * h * h) +
+              gamma / (beta * h) * (damping.data[k] + tangentDamping.data[k]) + tangentStiffness.data[k];
+          }
+          bandedCholeskySolve(bandedCholesky(tangent, tangent), residual, residual);
+
+          let correctionNorm = 0;
+          let displacementNorm = 0;
+          for (let i = 0; i < n; i++) {
+            next.u[i] += residual[i];
+            correctionNorm += residual[i] * residual[i];
+            displacementNorm += next.u[i] * next.u[i];
+          }
+          kinematics();
+          elementsConverged = evaluate();
+
+          if (Math.sqrt(correctionNorm) <= 1e-10 + 1e-8 * Math.sqrt(displacementNorm)) {
+            converged = true;
+            break;
+          }
+        }
+
+        if (!converged || !elementsConverged) buffers.nonConvergedSteps++;
+        system.commit();
+        state.u.set(next.u);
+        state.v.set(next.v);
+        state.a.set(next.a);
+      }
+      start.set(end);
+
+      if (record(t + 1)) {
+        completed = t + 2;
+        break;
+      }
+    }
+  }
+
+  if (completed === numSteps) return buffers;
+  return {
+    ...buffers,
+    numSteps: completed,
+    displacement: buffers.displacement.subarray(0, completed * n),
+    velocity: buffers.velocity.subarray(0, completed * n),
+    acceleration: buffers.acceleration.subarray(0, completed * n)
+  };
+}
+
+/**
+ * Expands a flat response buffer into rows [step][dof]
+ * @param buffer Flat buffer from integrateLinearSystem
+ * @param numDOFs Values per step
+ * @returns Nested rows
+ */
+export function bufferRows(buffer: Float64Array, numDOFs: number): number[][] {
+  const numSteps = numDOFs > 0 ? buffer.length / numDOFs : 0;
+  return Array.from({ length: numSteps }, (_, t) => Array.from(buffer.subarray(t * numDOFs, (t + 1) * numDOFs)));
+}
+
+export default {
+  createIntegrator,
+  planTimeStep,
+  integrateLinearSystem,
+  integrateNonlinearSystem,
+  bufferRows
+};
@@ -0,0 +1,300 @@
+import {
+  SeismicWaveform,
+  AccelerogramProcessingOptions,
+  STANDARD_GRAVITY,
+  GroundMotionHistories,
+  accelerationUnitScale,
+  getTimeStep,
+  processAccelerogram,
+  calculateResponseSpectrum
+} from './dataProcessor';
+import { realFourierTransform } from './fft';
+
+/**
+ * Ground-motion intensity measures of a single record
+ */
+export interface IntensityMeasures {
+  pga: number;                  // Peak ground acceleration (record units)
+  pgv: number;                  // Peak ground velocity (lengthUnit/s)
+  pgd: number;                  // Peak ground displacement (lengthUnit)
+  ariasIntensity: number;       // Arias intensity (m/s)
+  significantDuration575: number; // D5-75 (s)
+  significantDuration595: number; // D5-95 (s)
+  cav: number;                  // Cumulative absolute velocity (m/s)
+  rmsAcceleration: number;      // RMS acceleration over D5-95 (record units)
+  housnerIntensity: number;     // Housner spectrum intensity, 5% PSV over 0.1-2.5 s (m)
+  meanPeriod: number;           // Rathje et al. (1998) mean period (s)
+  predominantPeriod: number;    // Period of peak 5%-damped spectral acceleration (s)
+  units: {
+    acceleration: string;
+    velocity: string;
+    displacement: string;
+  };
+}
+
+/**
+ * Options for intensity measure calculations
+ */
+export interface IntensityMeasureOptions {
+  processing?: AccelerogramProcessingOptions; // Baseline/filter settings used to derive PGV and PGD
+  histories?: Pick<GroundMotionHistories, 'velocity' | 'displacement'>; // Already processed velocity and displacement (skips processing)
+  spectrumPeriods?: number[];   // Periods used for the predominant period (default: 0.02-4 s)
+}
+
+/**
+ * Husid plot: normalized cumulative Arias intensity over time
+ */
+export interface HusidCurve {
+  time: number[];
+  normalized: number[];         // Cumulative fraction of total Arias intensity (0-1)
+  cumulative: number[];         // Cumulative Arias intensity (m/s)
+}
+
+/**
+ * Acceleration samples of a waveform converted to m/s²
+ */
+function accelerationInSI(waveform: SeismicWaveform): number[] {
+  const scale = accelerationUnitScale(waveform.metadata?.units);
+  return waveform.amplitude.map(a => a * scale);
+}
+
+/**
+ * Gets the time at which a monotonic curve first reaches a level, interpolating between samples
+ */
+function crossingTime(time: number[], curve: number[], level: number): number {
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i] >= level) {
+      const span = curve[i] - curve[i - 1];
+      const ratio = span > 0 ? (level - curve[i - 1]) / span : 0;
+      return time[i - 1] + ratio * (time[i] - time[i - 1]);
+    }
+  }
+  return time[time.length - 1];
+}
+
+/**
+ * Computes the Husid curve of an accelerogram
+ * @param waveform Acceleration waveform
+ * @returns Cumulative and normalized Arias intensity over time
+ */
+export function husidCurve(waveform: SeismicWaveform): HusidCurve {
+  const { time } = waveform;
+  const acceleration = accelerationInSI(waveform);
+  const factor = Math.PI / (2 * STANDARD_GRAVITY);
+  const cumulative = [0];
+
+  for (let i = 1; i < acceleration.length; i++) {
+    const dt = time[i] - time[i - 1];
+    const a0 = acceleration[i - 1];
+    const a1 = acceleration[i];
+    cumulative.push(cumulative[i - 1] + factor * 0.5 * (a0 * a0 + a1 * a1) * dt);
+  }
+
+  const total = cumulative[cumulative.length - 1];
+
+  return {
+    time,
+    cumulative,
+    normalized: cumulative.map(value => (total > 0 ? value / total : 0))
+  };
+}
+
+/**
+ * Computes the Arias intensity of an accelerogram
+ * @param waveform Acceleration waveform
+ * @returns Arias intensity in m/s
+ */
+export function ariasIntensity(waveform: SeismicWaveform): number {
+  const { cumulative } = husidCurve(waveform);
+  return cumulative[cumulative.length - 1];
+}
+
+/**
+ * Computes the significant duration between two fractions of Arias intensity
+ * @param waveform Acceleration waveform
+ * @param start Starting fraction (default: 0.05)
+ * @param end Ending fraction (default: 0.95)
+ * @returns Duration in seconds
+ */
+export function significantDuration(
+  waveform: SeismicWaveform,
+  start: number = 0.05,
+  end: number = 0.95
+): number {
+  if (!(start >= 0 && end <= 1 && start < end)) {
+    throw new Error(`Significant duration bounds must satisfy 0 <= start < end <= 1, got ${start}-${end}`);
+  }
+
+  const { time, normalized } = husidCurve(waveform);
+  return crossingTime(time, normalized, end) - crossingTime(time, normalized, start);
+}
+
+/**
+ * Computes the cumulative absolute velocity of an accelerogram
+ * @param waveform Acceleration waveform
+ * @returns CAV in m/s
+ */
+export function cumulativeAbsoluteVelocity(waveform: SeismicWaveform): number {
+  const { time } = waveform;
+  const acceleration = accelerationInSI(waveform);
+  let cav = 0;
+
+  for (let i = 1; i < acceleration.length; i++) {
+    cav += 0.5 * (Math.abs(acceleration[i]) + Math.abs(acceleration[i - 1])) * (time[i] - time[i - 1]);
+  }
+
+  return cav;
+}
+
+/**
+ * Computes the root-mean-square acceleration over the D5-95 significant duration
+ * @param waveform Acceleration waveform
+ * @returns RMS acceleration in the record's units
+ */
+export function rmsAcceleration(waveform: SeismicWaveform): number {
+  const { time, normalized } = husidCurve(waveform);
+  const t5 = crossingTime(time, normalized, 0.05);
+  const t95 = crossingTime(time, normalized, 0.95);
+  let sum = 0;
+  let count = 0;
+
+  for (let i = 0; i < time.length; i++) {
+    if (time[i] >= t5 && time[i] <= t95) {
+      sum += waveform.amplitude[i] * waveform.amplitude[i];
+      count++;
+    }
+  }
+
+  return count > 0 ? Math.sqrt(sum / count) : 0;
+}
+
+/**
+ * Computes the Housner spectrum intensity: the integral of 5%-damped
+ * pseudo-velocity between 0.1 and 2.5 s
+ * @param waveform Acceleration waveform
+ * @param step Period increment for the integration (default: 0.02 s)
+ * @returns Spectrum intensity in m
+ */
+export function housnerIntensity(waveform: SeismicWaveform, step: number = 0.02): number {
+  const count = Math.round((2.5 - 0.1) / step);
+  const periods = Array.from({ length: count + 1 }, (_, i) => 0.1 + i * step);
+  const { pseudoVelocity = [] } = calculateResponseSpectrum(waveform, periods, 0.05);
+  let intensity = 0;
+
+  for (let i = 1; i < periods.length; i++) {
+    intensity += 0.5 * (pseudoVelocity[i] + pseudoVelocity[i - 1]) * (periods[i] - periods[i - 1]);
+  }
+
+  return intensity;
+}
+
+/**
+ * Computes the mean period of Rathje et al. (1998) from Fourier amplitudes between 0.25 and 20 Hz
+ * @param waveform Acceleration waveform
+ * @returns Mean period in seconds
+ */
+export function meanPeriod(waveform: SeismicWaveform): number {
+  const dt = getTimeStep(waveform);
+  const { frequencies, re, im } = realFourierTransform(waveform.amplitude, dt);
+  let weighted = 0;
+  let total = 0;
+
+  for (let k = 1; k < frequencies.length; k++) {
+    const f = frequencies[k];
+    if (f < 0.25 || f > 20) continue;
+
+    const squared = re[k] * re[k] + im[k] * im[k];
+    weighted += squared / f;
+    total += squared;
+  }
+
+  return total > 0 ? weighted / total : 0;
+}
+
+/**
+ * Computes the predominant period: the period of peak 5%-damped spectral acceleration
+ * @param waveform Acceleration waveform
+ * @param periods Periods searched (default: 0.02-4 s)
+ * @returns Predominant period in seconds
+ */
+export function predominantPeriod(
+  waveform: SeismicWaveform,
+  periods: number[] = Array.from({ length: 200 }, (_, i) => 0.02 * (i + 1))
+): number {
+  const { acceleration } = calculateResponseSpectrum(waveform, periods, 0.05);
+  let peakIndex = 0;
+
+  for (let i = 1; i < acceleration.length; i++) {
+    if (acceleration[i] > acceleration[peakIndex]) {
+      peakIndex = i;
+    }
+  }
+
+  return periods[peakIndex];
+}
+
+/**
+ * Computes all intensity measures of an accelerogram
+ * @param waveform Acceleration waveform
+ * @param options Processing and spectrum options
+ * @returns Intensity measures
+ */
+export function computeIntensityMeasures(
+  waveform: SeismicWaveform,
+  options: IntensityMeasureOptions = {}
+): IntensityMeasures {
+  const { processing = {}, spectrumPeriods } = options;
+  const histories = options.histories ?? processAccelerogram(waveform, processing);
+  const peak = (series: SeismicWaveform) =>
+    series.amplitude.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+
+  const { time, normalized } = husidCurve(waveform);
+  const t5 = crossingTime(time, normalized, 0.05);
+  const t75 = crossingTime(time, normalized, 0.75);
+  const t95 = crossingTime(time, normalized, 0.95);
+
+  return {
+    pga: peak(waveform),
+    pgv: peak(histories.velocity),
+    pgd: peak(histories.displacement),
+    ariasIntensity: ariasIntensity(waveform),
+    significantDuration575: t75 - t5,
+    significantDuration595: t95 - t5,
+    cav: cumulativeAbsoluteVelocity(waveform),
+    rmsAcceleration: rmsAcceleration(waveform),
+    housnerIntensity: housnerIntensity(waveform),
+    meanPeriod: meanPeriod(waveform),
+    predominantPeriod: predominantPeriod(waveform, spectrumPeriods),
+    units: {
+      acceleration: waveform.metadata?.units || 'm/s^2',
+      velocity: histories.velocity.metadata?.units || 'm/s',
+      displacement: histories.displacement.metadata?.units || 'm'
+    }
+  };
+}
+
+/**
+ * Computes intensity measures for a suite of records
+ * @param waveforms Acceleration waveforms
+ * @param options Processing and spectrum options
+ * @returns Intensity measures in the order of waveforms
+ */
+export function computeIntensityMeasuresBatch(
+  waveforms: SeismicWaveform[],
+  options: IntensityMeasureOptions = {}
+): IntensityMeasures[] {
+  return waveforms.map(waveform => computeIntensityMeasures(waveform, options));
+}
+
+export default {
+  husidCurve,
+  ariasIntensity,
+  significantDuration,
+  cumulativeAbsoluteVelocity,
+  rmsAcceleration,
+  housnerIntensity,
+  meanPeriod,
+  predominantPeriod,
+  computeIntensityMeasures,
+  computeIntensityMeasuresBatch
+};
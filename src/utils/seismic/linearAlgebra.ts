@@ -0,0 +1,438 @@
+/**
+ * Dense linear algebra helpers for structural matrices (row-major number[][])
+ */
+
+/**
+ * Creates a rows × cols matrix of zeros
+ * @param rows Number of rows
+ * @param cols Number of columns (default: rows)
+ * @returns Zero matrix
+ */
+export function zeros(rows: number, cols: number = rows): number[][] {
+  return Array.from({ length: rows }, () => new Array(cols).fill(0));
+}
+
+/**
+ * Creates an identity matrix
+ * @param n Size
+ * @returns Identity matrix
+ */
+export function identity(n: number): number[][] {
+  const matrix = zeros(n);
+  for (let i = 0; i < n; i++) {
+    matrix[i][i] = 1;
+  }
+  return matrix;
+}
+
+/**
+ * Multiplies a matrix by a vector
+ * @param A Matrix
+ * @param x Vector
+ * @returns A·x
+ */
+export function matVec(A: number[][], x: number[]): number[] {
+  return A.map(row => row.reduce((sum, value, j) => sum + value * x[j], 0));
+}
+
+/**
+ * Multiplies two matrices
+ * @param A Left matrix
+ * @param B Right matrix
+ * @returns A·B
+ */
+export function matMul(A: number[][], B: number[][]): number[][] {
+  const cols = B[0]?.length ?? 0;
+  return A.map(row => {
+    const result = new Array(cols).fill(0);
+    row.forEach((value, k) => {
+      if (value === 0) return;
+      const other = B[k];
+      for (let j = 0; j < cols; j++) {
+        result[j] += value * other[j];
+      }
+    });
+    return result;
+  });
+}
+
+/**
+ * Transposes a matrix
+ * @param A Matrix
+ * @returns Aᵀ
+ */
+export function transpose(A: number[][]): number[][] {
+  const cols = A[0]?.length ?? 0;
+  return Array.from({ length: cols }, (_, j) => A.map(row => row[j]));
+}
+
+/**
+ * Dot product of two vectors
+ */
+export function dot(a: number[], b: number[]): number {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+/**
+ * Solves A·x = b by Gaussian elimination with partial pivoting
+ * @param A Square matrix (not modified)
+ * @param b Right-hand side
+ * @returns Solution vector
+ */
+export function solveLinearSystem(A: number[][], b: number[]): number[] {
+  const n = A.length;
+  const augmented = A.map((row, i) => [...row, b[i]]);
+
+  for (let i = 0; i < n; i++) {
+    let pivot = i;
+    for (let j = i + 1; j < n; j++) {
+      if (Math.abs(augmented[j][i]) > Math.abs(augmented[pivot][i])) {
+        pivot = j;
+      }
+    }
+
+    if (Math.abs(augmented[pivot][i]) < 1e-300) {
+      throw new Error('Singular matrix in linear solve');
+    }
+
+    if (pivot !== i) {
+      [augmented[i], augmented[pivot]] = [augmented[pivot], augmented[i]];
+    }
+
+    for (let j = i + 1; j < n; j++) {
+      const factor = augmented[j][i] / augmented[i][i];
+      if (factor === 0) continue;
+      for (let k = i; k <= n; k++) {
+        augmented[j][k] -= factor * augmented[i][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = augmented[i][n];
+    for (let j = i + 1; j < n; j++) {
+      sum -= augmented[i][j] * x[j];
+    }
+    x[i] = sum / augmented[i][i];
+  }
+
+  return x;
+}
+
+/**
+ * LU factorization with partial pivoting, for repeated solves with the same matrix
+ */
+export interface LUFactorization {
+  lu: number[][];             // L (unit diagonal, below) and U (on and above the diagonal)
+  pivots: number[];           // Row of A used for each row of the factors
+}
+
+/**
+ * Factorizes A = P·L·U by Gaussian elimination with partial pivoting
+ * @param A Square matrix (not modified)
+ * @returns Factors for luSolve
+ */
+export function luFactorize(A: number[][]): LUFactorization {
+  const n = A.length;
+  const lu = A.map(row => [...row]);
+  const pivots = Array.from({ length: n }, (_, i) => i);
+
+  for (let i = 0; i < n; i++) {
+    let pivot = i;
+    for (let j = i + 1; j < n; j++) {
+      if (Math.abs(lu[j][i]) > Math.abs(lu[pivot][i])) {
+        pivot = j;
+      }
+    }
+
+    if (Math.abs(lu[pivot][i]) < 1e-300) {
+      throw new Error('Singular matrix in LU factorization');
+    }
+
+    if (pivot !== i) {
+      [lu[i], lu[pivot]] = [lu[pivot], lu[i]];
+      [pivots[i], pivots[pivot]] = [pivots[pivot], pivots[i]];
+    }
+
+    for (let j = i + 1; j < n; j++) {
+      const factor = lu[j][i] / lu[i][i];
+      lu[j][i] = factor;
+      if (factor === 0) continue;
+      for (let k = i + 1; k < n; k++) {
+        lu[j][k] -= factor * lu[i][k];
+      }
+    }
+  }
+
+  return { lu, pivots };
+}
+
+/**
+ * Solves A·x = b with the LU factors of A
+ * @param factorization Factors from luFactorize
+ * @param b Right-hand side
+ * @returns Solution vector
+ */
+export function luSolve(factorization: LUFactorization, b: number[]): number[] {
+  const { lu, pivots } = factorization;
+  const n = lu.length;
+  const x = pivots.map(row => b[row]);
+
+  for (let i = 1; i < n; i++) {
+    let sum = x[i];
+    for (let k = 0; k < i; k++) {
+      sum -= lu[i][k] * x[k];
+    }
+    x[i] = sum;
+  }
+
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = x[i];
+    for (let k = i + 1; k < n; k++) {
+      sum -= lu[i][k] * x[k];
+    }
+    x[i] = sum / lu[i][i];
+  }
+
+  return x;
+}
+
+/**
+ * Cholesky factorization A = L·Lᵀ of a symmetric positive definite matrix
+ * @param A Symmetric positive definite matrix
+ * @returns Lower triangular factor L
+ */
+export function choleskyDecomposition(A: number[][]): number[][] {
+  const n = A.length;
+  const L = zeros(n);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= L[i][k] * L[j][k];
+      }
+
+      if (i === j) {
+        if (sum <= 0) {
+          throw new Error(`Matrix is not positive definite (pivot ${i} = ${sum})`);
+        }
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+
+  return L;
+}
+
+/**
+ * Eigen-decomposition of a symmetric matrix by the cyclic Jacobi method
+ * @param A Symmetric matrix (not modified)
+ * @param tolerance Convergence tolerance on the off-diagonal norm relative to the matrix norm
+ * @param maxSweeps Maximum number of sweeps (default: 100)
+ * @returns Eigenvalues in ascending order and eigenvectors as vectors[mode][component]
+ */
+export function symmetricEigen(
+  A: number[][],
+  tolerance: number = 1e-12,
+  maxSweeps: number = 100
+): { values: number[]; vectors: number[][] } {
+  const n = A.length;
+  const a = A.map(row => [...row]);
+  const v = identity(n);
+
+  const norm = Math.sqrt(a.reduce((sum, row) => sum + row.reduce((s, x) => s + x * x, 0), 0)) || 1;
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        offDiagonal += a[p][q] * a[p][q];
+      }
+    }
+    if (Math.sqrt(offDiagonal) <= tolerance * norm) break;
+
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) <= 1e-300) continue;
+
+        // Rotation angle that annihilates a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+
+  return {
+    values: order.map(i => a[i][i]),
+    vectors: order.map(i => v.map(row => row[i]))
+  };
+}
+
+/**
+ * Solves the generalized symmetric eigenproblem K·φ = λ·M·φ by Cholesky
+ * reduction of M to a standard problem
+ * @param K Symmetric stiffness matrix
+ * @param M Symmetric positive definite mass matrix
+ * @returns Eigenvalues in ascending order and M-orthonormal eigenvectors (φᵀMφ = 1)
+ */
+export function generalizedEigen(
+  K: number[][],
+  M: number[][]
+): { values: number[]; vectors: number[][] } {
+  const n = K.length;
+  const L = choleskyDecomposition(M);
+
+  // Forward substitution of each column: X = L⁻¹·K
+  const forward = (B: number[][]): number[][] => {
+    const X = zeros(n, B[0].length);
+    for (let col = 0; col < B[0].length; col++) {
+      for (let i = 0; i < n; i++) {
+        let sum = B[i][col];
+        for (let k = 0; k < i; k++) {
+          sum -= L[i][k] * X[k][col];
+        }
+        X[i][col] = sum / L[i][i];
+      }
+    }
+    return X;
+  };
+
+  // A = L⁻¹·K·L⁻ᵀ, symmetric
+  const A = transpose(forward(transpose(forward(K))));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) {
+      const average = 0.5 * (A[i][j] + A[j][i]);
+      A[i][j] = average;
+      A[j][i] = average;
+    }
+  }
+
+  const { values, vectors } = symmetricEigen(A);
+
+  // Back substitution φ = L⁻ᵀ·y
+  const modes = vectors.map(y => {
+    const phi = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+      let sum = y[i];
+      for (let k = i + 1; k < n; k++) {
+        sum -= L[k][i] * phi[k];
+      }
+      phi[i] = sum / L[i][i];
+    }
+    return phi;
+  });
+
+  return { values, vectors: modes };
+}
+
+/**
+ * Statically condenses a stiffness matrix onto retained DOFs,
+ * K* = Krr - Krc·Kcc⁻¹·Kcr
+ * @param K Full stiffness matrix
+ * @param retained Indices of the retained DOFs
+ * @returns Condensed matrix and the transformation T (full DOFs = T·retained DOFs)
+ */
+export function staticCondensation(
+  K: number[][],
+  retained: number[]
+): { condensed: number[][]; transformation: number[][] } {
+  const n = K.length;
+  const retainedSet = new Set(retained);
+  const condensedDOFs = Array.from({ length: n }, (_, i) => i).filter(i => !retainedSet.has(i));
+
+  // Each retained unit displacement with the condensed DOFs in equilibrium
+  const Kcc = condensedDOFs.map(i => condensedDOFs.map(j => K[i][j]));
+  const transformation = zeros(n, retained.length);
+
+  retained.forEach((r, col) => {
+    transformation[r][col] = 1;
+    if (condensedDOFs.length > 0) {
+      const response = solveLinearSystem(Kcc, condensedDOFs.map(i => -K[i][r]));
+      condensedDOFs.forEach((c, k) => { transformation[c][col] = response[k]; });
+    }
+  });
+
+  const condensed = matMul(transpose(transformation), matMul(K, transformation));
+  for (let i = 0; i < retained.length; i++) {
+    for (let j = 0; j < i; j++) {
+      const average = 0.5 * (condensed[i][j] + condensed[j][i]);
+      condensed[i][j] = average;
+      condensed[j][i] = average;
+    }
+  }
+
+  return { condensed, transformation };
+}
+
+/**
+ * Places a superstructure matrix A, which acts on floor displacements relative
+ * to the base, on a base DOF inserted at index 0. The expanded matrix acts on
+ * the base and floor displacements relative to the ground:
+ * [1ᵀA1 + baseTerm, -1ᵀA; -A1, A]
+ * @param matrix Symmetric superstructure matrix
+ * @param baseTerm Coefficient of the isolation layer at the base DOF
+ * @returns Matrix of the base and floor DOFs
+ */
+export function embedOnBase(matrix: number[][], baseTerm: number): number[][] {
+  const n = matrix.length + 1;
+  const expanded = zeros(n);
+  let total = 0;
+
+  matrix.forEach((row, i) => {
+    let rowSum = 0;
+    row.forEach((value, j) => {
+      expanded[i + 1][j + 1] = value;
+      rowSum += value;
+    });
+    expanded[i + 1][0] = -rowSum;
+    expanded[0][i + 1] = -rowSum;
+    total += rowSum;
+  });
+  expanded[0][0] = total + baseTerm;
+
+  return expanded;
+}
+
+export default {
+  zeros,
+  identity,
+  matVec,
+  matMul,
+  transpose,
+  dot,
+  solveLinearSystem,
+  luFactorize,
+  luSolve,
+  choleskyDecomposition,
+  symmetricEigen,
+  generalizedEigen,
+  staticCondensation,
+  embedOnBase
+};
@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { StructureModel, StructuralResponse, createResponseAnimation } from './simulationEngine';
+import { generalizedEigen, matVec, dot } from './linearAlgebra';
+
+/**
+ * Natural modes of a structure model
+ */
+export interface ModalAnalysisResult {
+  numModes: number;                   // Number of modes returned
+  circularFrequencies: number[];      // ω (rad/s), ascending
+  frequencies: number[];              // f (Hz)
+  periods: number[];                  // T (s)
+  modeShapes: number[][];             // Mass-normalized shapes φᵀMφ = 1 [mode][dof]
+  influenceVector: number[];          // Ground motion influence vector r
+  participationFactors: number[];     // Γ = φᵀMr
+  effectiveMasses: number[];          // Γ² (kg)
+  effectiveMassRatios: number[];      // Γ² / rᵀMr
+  cumulativeMassRatios: number[];     // Running sum of effective mass ratios
+  totalMass: number;                  // rᵀMr (kg)
+}
+
+/**
+ * Options for modal analysis
+ */
+export interface ModalAnalysisOptions {
+  numModes?: number;                  // Number of modes kept (default: all)
+  influenceVector?: number[];         // Ground motion influence vector (default: all ones)
+}
+
+/**
+ * Options for mode shape animation
+ */
+export interface ModeAnimationOptions {
+  cycleDuration?: number;             // Animation seconds per cycle, independent of the period (default: 2)
+  stepsPerCycle?: number;             // Samples per cycle (default: 48)
+  amplitude?: number;                 // Peak displacement of the largest DOF in m (default: 1)
+}
+
+/**
+ * Solves the generalized eigenproblem K·φ = ω²·M·φ of a structure model
+ * @param model Structure model
+ * @param options Number of modes and influence vector
+ * @returns Periods, mass-normalized mode shapes, participation factors and effective masses
+ */
+export function modalAnalysis(
+  model: StructureModel,
+  options: ModalAnalysisOptions = {}
+): ModalAnalysisResult {
+  const { massMatrix, stiffnessMatrix, numDOFs } = model;
+  const numModes = Math.min(options.numModes ?? numDOFs, numDOFs);
+  const influenceVector = options.influenceVector ?? new Array(numDOFs).fill(1);
+
+  if (influenceVector.length !== numDOFs) {
+    throw new Error(`Influence vector has ${influenceVector.length} entries for ${numDOFs} DOFs`);
+  }
+
+  const { values, vectors } = generalizedEigen(stiffnessMatrix, massMatrix);
+  const Mr = matVec(massMatrix, influenceVector);
+  const totalMass = dot(influenceVector, Mr);
+
+  const circularFrequencies: number[] = [];
+  const modeShapes: number[][] = [];
+  const participationFactors: number[] = [];
+
+  for (let mode = 0; mode < numModes; mode++) {
+    const omega = Math.sqrt(Math.max(values[mode], 0));
+    const shape = [...vectors[mode]];
+
+    // Sign convention: the largest component of each mode is positive
+    let largest = 0;
+    shape.forEach((value, i) => {
+      if (Math.abs(value) > Math.abs(shape[largest])) largest = i;
+    });
+    if (shape[largest] < 0) {
+      shape.forEach((value, i) => { shape[i] = -value; });
+    }
+
+    circularFrequencies.push(omega);
+    modeShapes.push(shape);
+    participationFactors.push(dot(shape, Mr));
+  }
+
+  const effectiveMasses = participationFactors.map(gamma => gamma * gamma);
+  const effectiveMassRatios = effectiveMasses.map(mass => (totalMass > 0 ? mass / totalMass : 0));
+  let cumulative = 0;
+
+  return {
+    numModes,
+    circularFrequencies,
+    frequencies: circularFrequencies.map(omega => omega / (2 * Math.PI)),
+    periods: circularFrequencies.map(omega => (omega > 0 ? 2 * Math.PI / omega : Infinity)),
+    modeShapes,
+    influenceVector,
+    participationFactors,
+    effectiveMasses,
+    effectiveMassRatios,
+    cumulativeMassRatios: effectiveMassRatios.map(ratio => (cumulative += ratio)),
+    totalMass
+  };
+}
+
+/**
+ * Gets the number of modes needed to reach a cumulative effective mass ratio
+ * @param modal Modal analysis result
+ * @param target Required ratio (default: 0.9)
+ * @returns Number of modes, or numModes if the target is not reached
+ */
+export function modesForMassParticipation(modal: ModalAnalysisResult, target: number = 0.9): number {
+  const index = modal.cumulativeMassRatios.findIndex(ratio => ratio >= target - 1e-9);
+  return index === -1 ? modal.numModes : index + 1;
+}
+
+/**
+ * Builds a harmonic response of a single mode, u(t) = φ·sin(2πt/T), for display
+ * @param modal Modal analysis result
+ * @param modeIndex Zero-based mode index
+ * @param options Cycle duration, sampling and amplitude
+ * @returns One cycle of response on the animation time scale
+ */
+export function modeShapeResponse(
+  modal: ModalAnalysisResult,
+  modeIndex: number,
+  options: ModeAnimationOptions = {}
+): StructuralResponse {
+  const { cycleDuration = 2, stepsPerCycle = 48, amplitude = 1 } = options;
+  const shape = modal.modeShapes[modeIndex];
+
+  if (!shape) {
+    throw new Error(`Mode ${modeIndex + 1} is not available (${modal.numModes} modes computed)`);
+  }
+
+  const peak = shape.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+  const scaled = shape.map(value => value * amplitude / peak);
+  const time: number[] = [];
+  const displacement: number[][] = [];
+
+  for (let i = 0; i <= stepsPerCycle; i++) {
+    const phase = Math.sin(2 * Math.PI * i / stepsPerCycle);
+    time.push(cycleDuration * i / stepsPerCycle);
+    displacement.push(scaled.map(value => value * phase));
+  }
+
+  return {
+    time,
+    displacement,
+    maxDisplacement: amplitude
+  };
+}
+
+/**
+ * Creates an animation that oscillates the building in a selected mode shape
+ * @param model Structure model
+ * @param modal Modal analysis result of the model
+ * @param modeIndex Zero-based mode index
+ * @param buildingObject THREE.js object from createBuildingVisualization
+ * @param deformationScale Scale factor for visual deformation
+ * @param options Cycle duration, sampling and amplitude
+ * @returns Animation update function that accepts a time parameter
+ */
+export function createModeShapeAnimation(
+  model: StructureModel,
+  modal: ModalAnalysisResult,
+  modeIndex: number,
+  buildingObject: THREE.Object3D,
+  deformationScale: number = 1,
+  options: ModeAnimationOptions = {}
+): (time: number) => void {
+  const response = modeShapeResponse(modal, modeIndex, options);
+  return createResponseAnimation(model, response, buildingObject, deformationScale);
+}
+
+export default {
+  modalAnalysis,
+  modesForMassParticipation,
+  modeShapeResponse,
+  createModeShapeAnimation
+};
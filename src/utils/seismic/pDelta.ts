@@ -0,0 +1,330 @@
+import type { StructureModel } from './simulationEngine';
+import { STANDARD_GRAVITY } from './dataProcessor';
+import { createHystereticSpring } from './hysteresis';
+import { matVec, solveLinearSystem } from './linearAlgebra';
+
+/**
+ * Gravity loads on the floors: a load per floor DOF (N), one load for every
+ * floor, or 'self-weight' for the floor masses times g
+ */
+export type GravityLoadDefinition = number | number[] | 'self-weight';
+
+/**
+ * Code limits for the stability coefficient
+ */
+export interface StabilityCoefficientOptions {
+  lateralForces?: number[];           // Lateral floor forces (default: ∝ m·h, the ASCE 7 pattern for k = 1)
+  deflectionAmplification?: number;   // Cd, dividing θ (default: 1 for elastic drifts)
+  importanceFactor?: number;          // Ie, multiplying θ (default: 1)
+  shearCapacityRatio?: number;        // β, story shear demand over capacity for θmax (default: 1)
+}
+
+/**
+ * Stability coefficient of each story (ASCE 7-22 §12.8.7, EC8 §4.4.2.2)
+ */
+export interface StabilityCoefficients {
+  axialLoad: number[];                // Gravity load carried by each story (N)
+  drift: number[];                    // First-order story drift under the lateral forces (m)
+  shear: number[];                    // Story shear of the lateral forces (N)
+  theta: number[];                    // θ = P·Δ·Ie / (V·h·Cd)
+  amplification: number[];            // 1 / (1 - θ), Infinity at or beyond θ = 1
+  thetaMax: number;                   // 0.5 / (β·Cd) ≤ 0.25
+  classification: ('negligible' | 'amplified' | 'exceeds-limit' | 'unstable')[]; // θ ≤ 0.1, ≤ θmax, < 1, ≥ 1
+  criticalStory: number;              // Story with the largest θ
+}
+
+/**
+ * First- and second-order static response to lateral forces
+ */
+export interface SecondOrderStaticResult {
+  firstOrder: number[];               // Floor displacements without P-Delta (m)
+  secondOrder: number[];              // Floor displacements with P-Delta (m)
+  driftAmplification: number[];       // Second- over first-order story drift
+  stable: boolean;                    // False when K + KG is not positive definite
+}
+
+/**
+ * Error raised when K + KG is not positive definite: the structure buckles
+ * under its gravity loads
+ */
+export class StructuralInstabilityError extends Error {
+  theta: number;
+  story: number;
+
+  constructor(theta: number, story: number) {
+    super(
+      `Structure is unstable under its gravity loads (K + KG is not positive definite, ` +
+      `θ = ${theta.toFixed(2)} at story ${story + 1})`
+    );
+    this.name = 'StructuralInstabilityError';
+    this.theta = theta;
+    this.story = story;
+    // Keep instanceof working when compiled to ES5
+    Object.setPrototypeOf(this, StructuralInstabilityError.prototype);
+  }
+}
+
+/**
+ * Resolves a gravity load definition into a load per floor DOF
+ * @param model Structure model whose DOFs are the floor displacements
+ * @param loads Gravity load definition
+ * @returns Gravity load at each floor (N)
+ */
+export function resolveGravityLoads(model: StructureModel, loads: GravityLoadDefinition): number[] {
+  const { numDOFs, massMatrix } = model;
+
+  if (loads === 'self-weight') {
+    return massMatrix.map(row => row.reduce((sum, m) => sum + m, 0) * STANDARD_GRAVITY);
+  }
+  if (typeof loads === 'number') {
+    return new Array(numDOFs).fill(loads);
+  }
+  if (loads.length !== numDOFs) {
+    throw new Error(`Expected ${numDOFs} gravity loads, got ${loads.length}`);
+  }
+  return [...loads];
+}
+
+/**
+ * Returns a copy of a structure model carrying gravity loads, so that analyses
+ * include P-Delta effects
+ * @param model Structure model
+ * @param loads Gravity load definition (default: self-weight)
+ * @returns Model with gravityLoads
+ */
+export function withGravityLoads(model: StructureModel, loads: GravityLoadDefinition = 'self-weight'): StructureModel {
+  return { ...model, gravityLoads: resolveGravityLoads(model, loads) };
+}
+
+/**
+ * Story heights of a model from its floor heights
+ */
+function storyHeights(model: StructureModel): number[] {
+  const { numDOFs, properties } = model;
+  const floorHeights = model.floorHeights ??
+    Array.from({ length: numDOFs }, (_, i) => (i + 1) * properties.storyHeight);
+  return floorHeights.map((height, i) => height - (i > 0 ? floorHeights[i - 1] : 0));
+}
+
+/**
+ * Gravity load carried by each story: the loads of its floor and all floors above
+ * @param model Structure model with gravity loads
+ * @returns Axial load of each story (N)
+ */
+export function storyAxialLoads(model: StructureModel): number[] {
+  const loads = model.gravityLoads ?? new Array(model.numDOFs).fill(0);
+  const axial = new Array(loads.length).fill(0);
+  for (let i = loads.length - 1; i >= 0; i--) {
+    axial[i] = loads[i] + (i < loads.length - 1 ? axial[i + 1] : 0);
+  }
+  return axial;
+}
+
+/**
+ * Geometric stiffness of the story chain, -P/h on each story drift (leaning
+ * column); applies to shear buildings and to frames with rigid floors
+ * @param model Structure model whose DOFs are the floor displacements
+ * @returns KG, zero when the model has no gravity loads
+ */
+export function geometricStiffnessMatrix(model: StructureModel): number[][] {
+  const { numDOFs } = model;
+  const KG: number[][] = Array.from({ length: numDOFs }, () => new Array(numDOFs).fill(0));
+  if (!model.gravityLoads) return KG;
+
+  const axial = storyAxialLoads(model);
+  const heights = storyHeights(model);
+
+  for (let i = 0; i < numDOFs; i++) {
+    const kg = -axial[i] / heights[i];
+    KG[i][i] += kg;
+    if (i > 0) {
+      KG[i - 1][i - 1] += kg;
+      KG[i][i - 1] -= kg;
+      KG[i - 1][i] -= kg;
+    }
+  }
+
+  return KG;
+}
+
+/**
+ * Elastic stiffness including P-Delta, K + KG
+ * @param model Structure model
+ * @returns Second-order stiffness matrix (the elastic matrix when there are no gravity loads)
+ */
+export function secondOrderStiffness(model: StructureModel): number[][] {
+  if (!model.gravityLoads) return model.stiffnessMatrix;
+  const KG = geometricStiffnessMatrix(model);
+  return model.stiffnessMatrix.map((row, i) => row.map((k, j) => k + KG[i][j]));
+}
+
+/**
+ * Whether a symmetric matrix is positive definite (Cholesky succeeds)
+ */
+function isPositiveDefinite(A: number[][]): boolean {
+  const n = A.length;
+  const L: number[][] = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 0) return false;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns the model with its stiffness replaced by K + KG for linear analyses
+ * @param model Structure model
+ * @returns Model with the second-order stiffness (the model itself without gravity loads)
+ */
+export function secondOrderModel(model: StructureModel): StructureModel {
+  if (!model.gravityLoads) return model;
+  const stiffnessMatrix = secondOrderStiffness(model);
+
+  if (!isPositiveDefinite(stiffnessMatrix)) {
+    const { theta, criticalStory } = stabilityCoefficients(model);
+    throw new StructuralInstabilityError(theta[criticalStory], criticalStory);
+  }
+  return { ...model, stiffnessMatrix };
+}
+
+/**
+ * Default lateral forces ∝ m·h
+ */
+function defaultLateralForces(model: StructureModel): number[] {
+  const heights = storyHeights(model);
+  let height = 0;
+  return model.massMatrix.map((row, i) => {
+    height += heights[i];
+    return row.reduce((sum, m) => sum + m, 0) * height;
+  });
+}
+
+/**
+ * Solves the elastic static response to lateral forces with and without P-Delta
+ * @param model Structure model with gravity loads
+ * @param lateralForces Floor forces (N, default: ∝ m·h with a unit base shear)
+ * @returns First- and second-order displacements and story drift amplification
+ */
+export function secondOrderStaticAnalysis(model: StructureModel, lateralForces?: number[]): SecondOrderStaticResult {
+  const forces = lateralForces ?? defaultLateralForces(model);
+  const drifts = (u: number[]) => u.map((value, i) => value - (i > 0 ? u[i - 1] : 0));
+  const firstOrder = solveLinearSystem(model.stiffnessMatrix, forces);
+  const stiffness = secondOrderStiffness(model);
+  const stable = isPositiveDefinite(stiffness);
+  const secondOrder = stable ? solveLinearSystem(stiffness, forces) : firstOrder.map(() => Infinity);
+  const firstDrift = drifts(firstOrder);
+  const secondDrift = drifts(secondOrder);
+
+  return {
+    firstOrder,
+    secondOrder,
+    driftAmplification: firstDrift.map((drift, i) => (drift !== 0 ? secondDrift[i] / drift : 1)),
+    stable
+  };
+}
+
+/**
+ * Stability coefficient θ of each story from a first-order elastic analysis
+ * under lateral forces; θ does not depend on the force magnitude
+ * @param model Structure model with gravity loads
+ * @param options Lateral forces and code factors
+ * @returns θ, amplification 1/(1 - θ) and classification of each story against θmax
+ */
+export function stabilityCoefficients(model: StructureModel, options: StabilityCoefficientOptions = {}): StabilityCoefficients {
+  const {
+    deflectionAmplification = 1,
+    importanceFactor = 1,
+    shearCapacityRatio = 1
+  } = options;
+  const forces = options.lateralForces ?? defaultLateralForces(model);
+  const axialLoad = storyAxialLoads(model);
+  const heights = storyHeights(model);
+  const displacement = solveLinearSystem(model.stiffnessMatrix, forces);
+  const drift = displacement.map((value, i) => value - (i > 0 ? displacement[i - 1] : 0));
+  const shear = new Array(forces.length).fill(0);
+  for (let i = forces.length - 1; i >= 0; i--) {
+    shear[i] = forces[i] + (i < forces.length - 1 ? shear[i + 1] : 0);
+  }
+
+  const theta = drift.map((d, i) =>
+    shear[i] !== 0 ? Math.abs(axialLoad[i] * d * importanceFactor / (shear[i] * heights[i] * deflectionAmplification)) : 0);
+  const thetaMax = Math.min(0.25, 0.5 / (shearCapacityRatio * deflectionAmplification));
+
+  return {
+    axialLoad,
+    drift,
+    shear,
+    theta,
+    amplification: theta.map(value => (value < 1 ? 1 / (1 - value) : Infinity)),
+    thetaMax,
+    classification: theta.map(value => {
+      if (value >= 1) return 'unstable';
+      if (value > thetaMax) return 'exceeds-limit';
+      return value > 0.1 ? 'amplified' : 'negligible';
+    }),
+    criticalStory: theta.indexOf(Math.max(...theta))
+  };
+}
+
+/**
+ * Story drift at which the P-Delta moment cancels the story resistance: beyond
+ * it the story has no lateral strength left and sways to collapse. Elastic stories
+ * are unstable at zero drift when P/h exceeds their stiffness and never otherwise.
+ * @param model Structure model with gravity loads (shear buildings with story springs)
+ * @returns Collapse drift of each story (m, Infinity when the story never loses its strength)
+ */
+export function sideswayCollapseDrift(model: StructureModel): number[] {
+  const axial = storyAxialLoads(model);
+  const heights = storyHeights(model);
+  const storyStiffness = model.storyStiffness ?? [];
+
+  return heights.map((height, i) => {
+    const geometric = axial[i] / height;
+    const params = model.storySprings?.[i];
+    const k0 = params?.initialStiffness ?? storyStiffness[i];
+
+    if (!params || params.model === 'elastic' || k0 === undefined) {
+      return k0 !== undefined && geometric >= k0 ? 0 : Infinity;
+    }
+
+    const spring = createHystereticSpring(params, k0, model.properties.storyHeight);
+    const postYield = params.model === 'elastic-perfectly-plastic' ? 0 : (params.postYieldRatio ?? 0.05) * k0;
+    if (geometric >= k0) return 0;
+    if (geometric <= postYield) return Infinity;
+
+    // Fy + αk0·(d - dy) = P·d/h
+    return (spring.yieldStrength - postYield * spring.yieldDeformation) / (geometric - postYield);
+  });
+}
+
+/**
+ * P-Delta restoring forces KG·u
+ * @param model Structure model
+ * @param u Floor displacements
+ * @returns Geometric forces (zero without gravity loads)
+ */
+export function geometricForces(model: StructureModel, u: number[]): number[] {
+  return model.gravityLoads ? matVec(geometricStiffnessMatrix(model), u) : new Array(u.length).fill(0);
+}
+
+export default {
+  resolveGravityLoads,
+  withGravityLoads,
+  storyAxialLoads,
+  geometricStiffnessMatrix,
+  secondOrderStiffness,
+  secondOrderModel,
+  secondOrderStaticAnalysis,
+  stabilityCoefficients,
+  sideswayCollapseDrift,
+  geometricForces
+};
@@ -0,0 +1,612 @@
+import { SeismicResponseSpectrum, accelerationUnitScale } from './dataProcessor';
+import { DesignResponseSpectrum, dampingCorrection } from './designSpectra';
+import { StructureModel, createStoryRestoringForce } from './simulationEngine';
+import { HystereticSpring } from './hysteresis';
+import { modalAnalysis } from './modalAnalysis';
+import { secondOrderStiffness } from './pDelta';
+import { interpolateSpectrum } from './responseSpectrumAnalysis';
+import { dot, matVec, solveLinearSystem } from './linearAlgebra';
+
+/**
+ * Lateral load patterns: uniform (∝ m), first mode (∝ m·φ1), code triangular
+ * (∝ m·h^k with the ASCE 7 exponent k) or explicit floor forces
+ */
+export type PushoverLoadPattern = 'uniform' | 'first-mode' | 'triangular' | number[];
+
+/**
+ * Options for pushover analysis
+ */
+export interface PushoverOptions {
+  loadPattern?: PushoverLoadPattern;  // Default: 'first-mode'
+  controlDOF?: number;                // Displacement-controlled DOF (default: roof, the last DOF)
+  targetDisplacement?: number;        // Final control displacement in m (default: 4% of the roof height)
+  numSteps?: number;                  // Displacement increments (default: 100)
+  tolerance?: number;                 // Residual force tolerance relative to the base shear (default: 1e-6)
+  maxIterations?: number;             // Newton-Raphson iterations per step (default: 25)
+  strengthLossLimit?: number;         // Stop once the base shear drops by this fraction of the peak (default: 0.2)
+}
+
+/**
+ * Bilinear idealization of a capacity curve
+ */
+export interface BilinearIdealization {
+  yieldDisplacement: number;          // m
+  yieldForce: number;                 // N
+  ultimateDisplacement: number;       // m
+  ultimateForce: number;              // N
+  elasticStiffness: number;           // N/m
+  postYieldRatio: number;             // Post-yield over elastic stiffness
+}
+
+/**
+ * Equivalent SDOF system of a pushover analysis (EC8 Annex B)
+ */
+export interface EquivalentSDOF {
+  shape: number[];                    // Displacement shape Φ with F = M·Φ, normalized to 1 at the control DOF
+  participationFactor: number;        // Γ = m* / ΦᵀMΦ
+  effectiveMass: number;              // m* = 1ᵀMΦ (kg)
+  displacement: number[];             // d* = d / Γ at each step (m)
+  force: number[];                    // F* = V / Γ at each step (N)
+  idealization: BilinearIdealization; // Elastic-perfectly-plastic idealization of F*-d* up to the mechanism (N2 re-idealizes at dt*)
+  period: number;                     // T* = 2π·sqrt(m*·dy* / Fy*) (s)
+}
+
+/**
+ * First yielding of a story during the pushover
+ */
+export interface StoryYieldEvent {
+  story: number;                      // Zero-based story index
+  step: number;                       // Capacity curve point where the story first yields
+  roofDisplacement: number;           // Control displacement at that point (m)
+  baseShear: number;                  // N
+}
+
+/**
+ * Result of a pushover analysis
+ */
+export interface PushoverResult {
+  loadPattern: PushoverLoadPattern;
+  lateralForces: number[];            // Load pattern normalized to a unit base shear
+  controlDOF: number;
+  roofDisplacement: number[];         // Control displacement at each step (m)
+  baseShear: number[];                // N
+  loadFactor: number[];               // Multiplier of the lateral forces at each step
+  floorDisplacement: number[][];      // [step][dof] (m)
+  storyDrift: number[][];             // [step][story] (m)
+  storyShear: number[][];             // [step][story] (N)
+  converged: boolean;                 // False when a step hit the iteration limit
+  nonConvergedSteps: number;
+  bilinear: BilinearIdealization;     // Equal-area bilinear idealization of the base shear-roof displacement curve
+  sdof: EquivalentSDOF;
+  yieldSequence: StoryYieldEvent[];   // Stories in the order they yield
+  plasticDrift: number[];             // Plastic drift of each story at the end of the analysis (m)
+  mechanismStory: number | null;      // Story with the largest plastic drift (null while elastic)
+  mechanismConcentration: number;     // Largest over total plastic drift: 1 for a single-story mechanism
+}
+
+/**
+ * Demand spectrum options shared by the N2 method and the capacity spectrum method
+ */
+export interface PerformancePointOptions {
+  cornerPeriod?: number;              // Tc between the constant acceleration and velocity branches (default: from the spectrum)
+  spectrumDampingRatio?: number;      // Damping of the demand spectrum (default: spectrum, then 0.05)
+}
+
+/**
+ * Performance point on the capacity curve
+ */
+export interface PerformancePoint {
+  method: 'N2' | 'CSM';
+  roofDisplacement: number;           // Target roof displacement (m)
+  baseShear: number;                  // Base shear of the capacity curve at the target (N)
+  spectralDisplacement: number;       // SDOF displacement d* (m)
+  spectralAcceleration: number;       // SDOF acceleration F*/m* at the target (m/s²)
+  period: number;                     // T* (N2) or the secant period (CSM) in s
+  effectiveDamping: number;           // Damping ratio of the demand spectrum used
+  ductility: number;                  // d* over the SDOF yield displacement
+  withinCapacity: boolean;            // False when the demand exceeds the end of the capacity curve
+  storyDrift: number[];               // Story drifts interpolated at the target (m)
+}
+
+/**
+ * Area under a piecewise linear curve up to the given point
+ */
+function curveArea(displacement: number[], force: number[], end: number = displacement.length - 1): number {
+  let area = 0;
+  for (let i = 1; i <= end; i++) {
+    area += 0.5 * (force[i] + force[i - 1]) * (displacement[i] - displacement[i - 1]);
+  }
+  return area;
+}
+
+/**
+ * Yield force of the bilinear curve with elastic stiffness Ke through (dm, Fm)
+ * that encloses the given area
+ */
+function equalAreaYieldForce(area: number, dm: number, Fm: number, Ke: number): number {
+  const denominator = dm - Fm / Ke;
+  if (denominator <= 0) return Fm;
+  return Math.min(Fm, Math.max(0, (2 * area - Fm * dm) / denominator));
+}
+
+/**
+ * Linear interpolation of y at x along a monotonic x
+ */
+function interpolateCurve(x: number[], y: number[], value: number): number {
+  if (value <= x[0]) return y[0];
+  for (let i = 1; i < x.length; i++) {
+    if (x[i] >= value) {
+      const w = (value - x[i - 1]) / (x[i] - x[i - 1] || 1);
+      return y[i - 1] + w * (y[i] - y[i - 1]);
+    }
+  }
+  return y[y.length - 1];
+}
+
+/**
+ * Equal-area bilinear idealization of a capacity curve (ASCE 41-17 §7.4.3.2.4):
+ * the elastic branch is the secant through 0.6·Vy, the post-yield branch ends
+ * at the last point of the curve
+ * @param displacement Control displacements (m), starting at zero
+ * @param force Base shears (N)
+ * @returns Yield point, elastic stiffness and post-yield stiffness ratio
+ */
+export function bilinearIdealization(displacement: number[], force: number[]): BilinearIdealization {
+  const last = displacement.length - 1;
+  const dm = displacement[last];
+  const Fm = force[last];
+  const area = curveArea(displacement, force);
+  const initialStiffness = displacement[1] > 0 ? force[1] / displacement[1] : 0;
+
+  if (!(initialStiffness > 0) || !(dm > 0)) {
+    throw new Error('Capacity curve needs at least one loaded point with positive displacement');
+  }
+
+  let yieldForce = Math.max(...force);
+  let elasticStiffness = initialStiffness;
+
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const secantForce = 0.6 * yieldForce;
+    const index = force.findIndex(value => value >= secantForce);
+    const secantDisplacement = index > 0 ? interpolateCurve(force.slice(0, index + 1), displacement.slice(0, index + 1), secantForce) : 0;
+    elasticStiffness = secantDisplacement > 0 ? secantForce / secantDisplacement : initialStiffness;
+
+    const next = equalAreaYieldForce(area, dm, Fm, elasticStiffness);
+    if (Math.abs(next - yieldForce) <= 1e-9 * Math.abs(yieldForce)) {
+      yieldForce = next;
+      break;
+    }
+    yieldForce = next;
+  }
+
+  const yieldDisplacement = yieldForce / elasticStiffness;
+  const postYieldStiffness = dm > yieldDisplacement ? (Fm - yieldForce) / (dm - yieldDisplacement) : 0;
+
+  return {
+    yieldDisplacement,
+    yieldForce,
+    ultimateDisplacement: dm,
+    ultimateForce: Fm,
+    elasticStiffness,
+    postYieldRatio: postYieldStiffness / elasticStiffness
+  };
+}
+
+/**
+ * Elastic-perfectly-plastic idealization of an SDOF capacity curve (EC8 Annex B.3)
+ * up to a target displacement dm*: Fy* is the force at dm* and dy* = 2·(dm* - Em* / Fy*)
+ * equates the deformation energy Em* of the curve up to dm*
+ * @param displacement SDOF displacements (m), starting at zero
+ * @param force SDOF forces (N)
+ * @param targetDisplacement dm* (default: end of the curve)
+ * @returns Idealization ending at dm*
+ */
+function elasticPlasticIdealization(
+  displacement: number[],
+  force: number[],
+  targetDisplacement: number = displacement[displacement.length - 1]
+): BilinearIdealization {
+  const dm = Math.min(targetDisplacement, displacement[displacement.length - 1]);
+  const end = displacement.findIndex(value => value >= dm);
+  const last = end > 0 ? end : displacement.length - 1;
+  const truncatedDisplacement = [...displacement.slice(0, last), dm];
+  const truncatedForce = [...force.slice(0, last), interpolateCurve(displacement, force, dm)];
+
+  const yieldForce = truncatedForce[truncatedForce.length - 1];
+  const initialStiffness = force[1] / displacement[1];
+  const energy = curveArea(truncatedDisplacement, truncatedForce);
+  const yieldDisplacement = Math.max(2 * (dm - energy / yieldForce), yieldForce / initialStiffness);
+
+  return {
+    yieldDisplacement,
+    yieldForce,
+    ultimateDisplacement: dm,
+    ultimateForce: yieldForce,
+    elasticStiffness: yieldForce / yieldDisplacement,
+    postYieldRatio: 0
+  };
+}
+
+/**
+ * Lateral floor forces of a load pattern, normalized to a unit base shear
+ * @param model Structure model whose DOFs are the floor displacements from the first floor up
+ * @param pattern Load pattern
+ * @returns Force at each DOF
+ */
+export function lateralLoadPattern(model: StructureModel, pattern: PushoverLoadPattern): number[] {
+  const { massMatrix, numDOFs, properties } = model;
+  const masses = matVec(massMatrix, new Array(numDOFs).fill(1));
+  let forces: number[];
+
+  if (Array.isArray(pattern)) {
+    if (pattern.length !== numDOFs) {
+      throw new Error(`Load pattern has ${pattern.length} entries for ${numDOFs} DOFs`);
+    }
+    forces = [...pattern];
+  } else if (pattern === 'uniform') {
+    forces = masses;
+  } else if (pattern === 'first-mode' || pattern === 'triangular') {
+    const modal = modalAnalysis(model, { numModes: 1 });
+
+    if (pattern === 'first-mode') {
+      const shape = modal.modeShapes[0];
+      const sign = Math.sign(shape[numDOFs - 1]) || 1;
+      forces = matVec(massMatrix, shape).map(value => value * sign);
+    } else {
+      // ASCE 7-22 §12.8.3: k = 1 for T ≤ 0.5 s, 2 for T ≥ 2.5 s, linear in between
+      const period = modal.periods[0];
+      const k = Math.min(2, Math.max(1, 1 + (period - 0.5) / 2));
+      const floorHeights = model.floorHeights ??
+        Array.from({ length: numDOFs }, (_, i) => (i + 1) * properties.storyHeight);
+      forces = masses.map((mass, i) => mass * Math.pow(floorHeights[i], k));
+    }
+  } else {
+    throw new Error(`Unknown load pattern: ${pattern}`);
+  }
+
+  const total = forces.reduce((sum, value) => sum + value, 0);
+  if (!(total > 0)) {
+    throw new Error('Load pattern must have a positive base shear');
+  }
+  return forces.map(value => value / total);
+}
+
+/**
+ * Runs a displacement-controlled pushover analysis of a building model whose
+ * DOFs are the lateral floor displacements. Shear buildings with story springs
+ * follow their hysteretic models; other models respond linearly. Gravity loads
+ * on the model reduce the base shear by P-Delta.
+ * @param model Structure model
+ * @param options Load pattern, control displacement and solver options
+ * @returns Capacity curve, bilinear idealization, equivalent SDOF and mechanism story
+ */
+export function pushoverAnalysis(model: StructureModel, options: PushoverOptions = {}): PushoverResult {
+  const { massMatrix, numDOFs, properties } = model;
+  const {
+    loadPattern = 'first-mode',
+    controlDOF = numDOFs - 1,
+    numSteps = 100,
+    tolerance = 1e-6,
+    maxIterations = 25,
+    strengthLossLimit = 0.2
+  } = options;
+  const floorHeights = model.floorHeights ??
+    Array.from({ length: numDOFs }, (_, i) => (i + 1) * properties.storyHeight);
+  const targetDisplacement = options.targetDisplacement ?? 0.04 * floorHeights[numDOFs - 1];
+
+  if (controlDOF < 0 || controlDOF >= numDOFs) {
+    throw new Error(`Control DOF ${controlDOF} is outside the model (${numDOFs} DOFs)`);
+  }
+  if (!(targetDisplacement > 0) || !(numSteps >= 1)) {
+    throw new Error('Pushover needs a positive target displacement and at least one step');
+  }
+
+  const lateralForces = lateralLoadPattern(model, loadPattern);
+
+  // Internal forces and tangent: story springs when present, K·u otherwise, both with P-Delta under gravity loads
+  const stiffnessMatrix = secondOrderStiffness(model);
+  let springs: HystereticSpring[] = [];
+  let restoring = (u: number[]) => ({ force: matVec(stiffnessMatrix, u), tangent: stiffnessMatrix });
+  if (model.storySprings) {
+    ({ springs, restoring } = createStoryRestoringForce(model));
+  }
+
+  const storyDrifts = (u: number[]) => u.map((value, i) => value - (i > 0 ? u[i - 1] : 0));
+  const storyShears = (force: number[]) => {
+    const shear = new Array(numDOFs).fill(0);
+    for (let i = numDOFs - 1; i >= 0; i--) {
+      shear[i] = force[i] + (i < numDOFs - 1 ? shear[i + 1] : 0);
+    }
+    return shear;
+  };
+
+  const borderedMatrix = (tangent: number[][]) => [
+    ...tangent.map((row, i) => [...row, -lateralForces[i]]),
+    Array.from({ length: numDOFs + 1 }, (_, j) => (j === controlDOF ? 1 : 0))
+  ];
+
+  const roofDisplacement = [0];
+  const baseShear = [0];
+  const loadFactor = [0];
+  const floorDisplacement = [new Array(numDOFs).fill(0)];
+  const storyDrift = [new Array(numDOFs).fill(0)];
+  const storyShear = [new Array(numDOFs).fill(0)];
+  const yieldSequence: StoryYieldEvent[] = [];
+  const yielded = new Array(numDOFs).fill(false);
+
+  let u = new Array(numDOFs).fill(0);
+  let lambda = 0;
+  let nonConvergedSteps = 0;
+  let peakShear = 0;
+  const increment = targetDisplacement / numSteps;
+
+  for (let step = 1; step <= numSteps; step++) {
+    const target = step * increment;
+    const next = [...u];
+    let nextLambda = lambda;
+    let state = restoring(next);
+    let converged = false;
+
+    // Newton-Raphson on the bordered system [Kt  -F; eᵀ 0]·[δu; δλ] = [R; Δuc]
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const residual = lateralForces.map((f, i) => nextLambda * f - state.force[i]);
+      const controlError = target - next[controlDOF];
+      const scale = Math.max(Math.abs(nextLambda), 1e-12);
+
+      if (iteration > 0 && Math.max(...residual.map(Math.abs)) <= tolerance * scale &&
+          Math.abs(controlError) <= 1e-12 * targetDisplacement) {
+        converged = true;
+        break;
+      }
+
+      // A trial with several stories on a zero-stiffness plateau is singular: iterate with the elastic stiffness
+      const rhs = [...residual, controlError];
+      let correction: number[];
+      try {
+        correction = solveLinearSystem(borderedMatrix(state.tangent), rhs);
+      } catch {
+        correction = solveLinearSystem(borderedMatrix(stiffnessMatrix), rhs);
+      }
+
+      for (let i = 0; i < numDOFs; i++) next[i] += correction[i];
+      nextLambda += correction[numDOFs];
+      state = restoring(next);
+    }
+
+    if (!converged) nonConvergedSteps++;
+    springs.forEach(spring => spring.commit());
+    u = next;
+    lambda = nextLambda;
+
+    const shear = storyShears(state.force);
+    const drift = storyDrifts(u);
+    roofDisplacement.push(u[controlDOF]);
+    baseShear.push(shear[0]);
+    loadFactor.push(lambda);
+    floorDisplacement.push([...u]);
+    storyDrift.push(drift);
+    storyShear.push(shear);
+
+    springs.forEach((spring, i) => {
+      if (!yielded[i] && spring.model !== 'elastic' && Math.abs(drift[i]) >= spring.yieldDeformation) {
+        yielded[i] = true;
+        yieldSequence.push({ story: i, step, roofDisplacement: u[controlDOF], baseShear: shear[0] });
+      }
+    });
+
+    peakShear = Math.max(peakShear, shear[0]);
+    if (shear[0] < (1 - strengthLossLimit) * peakShear) break;
+  }
+
+  // Mechanism: plastic drift d - V/k0 left in each story at the end of the analysis
+  const finalDrift = storyDrift[storyDrift.length - 1];
+  const plasticDrift = springs.length
+    ? springs.map((spring, i) =>
+      spring.model === 'elastic' ? 0 : Math.max(0, Math.abs(finalDrift[i]) - Math.abs(spring.getForce()) / spring.initialStiffness))
+    : new Array(numDOFs).fill(0);
+  const totalPlastic = plasticDrift.reduce((sum, value) => sum + value, 0);
+  const largestPlastic = Math.max(...plasticDrift);
+  const mechanismStory = totalPlastic > 1e-12 * targetDisplacement ? plasticDrift.indexOf(largestPlastic) : null;
+
+  // Equivalent SDOF with the displacement shape implied by the load pattern, F = M·Φ
+  const rawShape = solveLinearSystem(massMatrix, lateralForces);
+  const shape = rawShape.map(value => value / rawShape[controlDOF]);
+  const effectiveMass = dot(new Array(numDOFs).fill(1), matVec(massMatrix, shape));
+  const participationFactor = effectiveMass / dot(shape, matVec(massMatrix, shape));
+  const sdofDisplacement = roofDisplacement.map(d => d / participationFactor);
+  const sdofForce = baseShear.map(V => V / participationFactor);
+  // Idealized up to the formation of the mechanism: the last story to yield (the whole curve while elastic)
+  const mechanismStep = yieldSequence.length ? yieldSequence[yieldSequence.length - 1].step : sdofDisplacement.length - 1;
+  const sdofIdealization = elasticPlasticIdealization(sdofDisplacement, sdofForce, sdofDisplacement[mechanismStep]);
+
+  return {
+    loadPattern,
+    lateralForces,
+    controlDOF,
+    roofDisplacement,
+    baseShear,
+    loadFactor,
+    floorDisplacement,
+    storyDrift,
+    storyShear,
+    converged: nonConvergedSteps === 0,
+    nonConvergedSteps,
+    bilinear: bilinearIdealization(roofDisplacement, baseShear),
+    sdof: {
+      shape,
+      participationFactor,
+      effectiveMass,
+      displacement: sdofDisplacement,
+      force: sdofForce,
+      idealization: sdofIdealization,
+      period: 2 * Math.PI * Math.sqrt(effectiveMass * sdofIdealization.yieldDisplacement / sdofIdealization.yieldForce)
+    },
+    yieldSequence,
+    plasticDrift,
+    mechanismStory,
+    mechanismConcentration: totalPlastic > 0 ? largestPlastic / totalPlastic : 0
+  };
+}
+
+/**
+ * Corner period between the constant acceleration and constant velocity
+ * branches: from the options, the design code parameters, or 2π·max(Sv)/max(Sa)
+ */
+function spectrumCornerPeriod(spectrum: SeismicResponseSpectrum, options: PerformancePointOptions): number {
+  const parameters = (spectrum as Partial<DesignResponseSpectrum>).parameters;
+  const cornerPeriod = options.cornerPeriod ?? parameters?.Tc ?? parameters?.Ts;
+  if (cornerPeriod !== undefined) return cornerPeriod;
+
+  const { periods, acceleration } = spectrum;
+  const peakVelocity = Math.max(...periods.map((T, i) => acceleration[i] * T / (2 * Math.PI)));
+  return 2 * Math.PI * peakVelocity / Math.max(...acceleration);
+}
+
+/**
+ * Performance point at a given SDOF displacement: maps back to the roof and
+ * interpolates the capacity curve
+ */
+function performanceAt(
+  pushover: PushoverResult,
+  method: PerformancePoint['method'],
+  spectralDisplacement: number,
+  period: number,
+  effectiveDamping: number,
+  yieldDisplacement: number = pushover.sdof.idealization.yieldDisplacement
+): PerformancePoint {
+  const { sdof, roofDisplacement, baseShear, storyDrift } = pushover;
+  const target = spectralDisplacement * sdof.participationFactor;
+  const last = roofDisplacement.length - 1;
+  const drift = storyDrift[0].map((_, story) =>
+    interpolateCurve(roofDisplacement, storyDrift.map(row => row[story]), target));
+
+  return {
+    method,
+    roofDisplacement: target,
+    baseShear: interpolateCurve(roofDisplacement, baseShear, target),
+    spectralDisplacement,
+    spectralAcceleration: interpolateCurve(sdof.displacement, sdof.force, spectralDisplacement) / sdof.effectiveMass,
+    period,
+    effectiveDamping,
+    ductility: spectralDisplacement / yieldDisplacement,
+    withinCapacity: target <= roofDisplacement[last],
+    storyDrift: drift
+  };
+}
+
+/**
+ * Target displacement by the N2 method (EC8 Annex B) for an elastic demand spectrum,
+ * re-idealizing the capacity curve up to the target until it converges
+ * @param pushover Pushover analysis result
+ * @param spectrum Elastic demand spectrum (acceleration in its units, e.g. a code design spectrum in g)
+ * @param options Corner period and spectrum damping
+ * @returns Performance point at the target roof displacement
+ */
+export function n2PerformancePoint(
+  pushover: PushoverResult,
+  spectrum: SeismicResponseSpectrum,
+  options: PerformancePointOptions = {}
+): PerformancePoint {
+  const { sdof } = pushover;
+  const cornerPeriod = spectrumCornerPeriod(spectrum, options);
+  const unitScale = accelerationUnitScale(spectrum.units);
+  const curveEnd = sdof.displacement[sdof.displacement.length - 1];
+
+  // Target displacement dt* of an idealization (EC8 B.5-B.6)
+  const targetOf = (idealization: BilinearIdealization) => {
+    const period = 2 * Math.PI * Math.sqrt(sdof.effectiveMass * idealization.yieldDisplacement / idealization.yieldForce);
+    const Se = interpolateSpectrum(spectrum, period) * unitScale;
+    const elasticDisplacement = Se * Math.pow(period / (2 * Math.PI), 2);
+
+    let displacement = elasticDisplacement;
+    if (period < cornerPeriod && idealization.yieldForce / sdof.effectiveMass < Se) {
+      // Short periods: equal displacement no longer holds, dt* = det*/qu·(1 + (qu - 1)·Tc/T*)
+      const qu = Se * sdof.effectiveMass / idealization.yieldForce;
+      displacement = Math.min(
+        3 * elasticDisplacement,
+        Math.max(elasticDisplacement, elasticDisplacement / qu * (1 + (qu - 1) * cornerPeriod / period))
+      );
+    }
+    return { period, displacement };
+  };
+
+  // Iterate the idealization with dm* = dt* until the target settles (EC8 B.5)
+  let idealization = sdof.idealization;
+  let target = targetOf(idealization);
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const next = elasticPlasticIdealization(sdof.displacement, sdof.force, Math.min(target.displacement, curveEnd));
+    const nextTarget = targetOf(next);
+    const settled = Math.abs(nextTarget.displacement - target.displacement) <= 1e-6 * Math.max(target.displacement, 1e-12);
+    idealization = next;
+    target = nextTarget;
+    if (settled) break;
+  }
+
+  const dampingRatio = options.spectrumDampingRatio ?? spectrum.dampingRatio ?? 0.05;
+  return performanceAt(pushover, 'N2', target.displacement, target.period, dampingRatio, idealization.yieldDisplacement);
+}
+
+/**
+ * Performance point by the capacity spectrum method (ATC-40 procedure A with
+ * κ = 1): the demand spectrum is reduced by the EC8 damping factor for the
+ * equivalent damping of the bilinear capacity spectrum at each trial point,
+ * until the demand and capacity displacements coincide
+ * @param pushover Pushover analysis result
+ * @param spectrum Elastic demand spectrum (acceleration in its units, e.g. a code design spectrum in g)
+ * @param options Spectrum damping
+ * @returns Performance point (withinCapacity is false when the demand exceeds the capacity curve)
+ */
+export function capacitySpectrumPerformancePoint(
+  pushover: PushoverResult,
+  spectrum: SeismicResponseSpectrum,
+  options: PerformancePointOptions = {}
+): PerformancePoint {
+  const { sdof } = pushover;
+  const unitScale = accelerationUnitScale(spectrum.units);
+  const spectrumDamping = options.spectrumDampingRatio ?? spectrum.dampingRatio ?? 0.05;
+  const Sd = sdof.displacement;
+  const Sa = sdof.force.map(F => F / sdof.effectiveMass);
+  const elasticStiffness = Sa[1] / Sd[1];
+
+  // Demand minus capacity displacement at a point of the capacity spectrum
+  const evaluate = (dp: number, ap: number, area: number) => {
+    const ay = equalAreaYieldForce(area, dp, ap, elasticStiffness);
+    const dy = ay / elasticStiffness;
+    const hysteretic = dp > dy && ap > 0 ? (2 / Math.PI) * (ay * dp - dy * ap) / (ap * dp) : 0;
+    const effectiveDamping = spectrumDamping + Math.max(0, hysteretic);
+    const period = 2 * Math.PI * Math.sqrt(dp / ap);
+    const reduction = dampingCorrection(effectiveDamping) / dampingCorrection(spectrumDamping);
+    const demand = reduction * interpolateSpectrum(spectrum, period) * unitScale * Math.pow(period / (2 * Math.PI), 2);
+    return { gap: demand - dp, period, effectiveDamping };
+  };
+
+  // Demand below the elastic branch: the structure stays elastic
+  let previous = evaluate(Sd[1], Sa[1], curveArea(Sd, Sa, 1));
+  if (previous.gap <= 0) {
+    return performanceAt(pushover, 'CSM', Sd[1] + previous.gap, previous.period, previous.effectiveDamping);
+  }
+
+  for (let i = 2; i < Sd.length; i++) {
+    const current = evaluate(Sd[i], Sa[i], curveArea(Sd, Sa, i));
+    if (current.gap <= 0) {
+      const w = previous.gap / (previous.gap - current.gap);
+      const dp = Sd[i - 1] + w * (Sd[i] - Sd[i - 1]);
+      const ap = Sa[i - 1] + w * (Sa[i] - Sa[i - 1]);
+      const area = curveArea(Sd, Sa, i - 1) + 0.5 * (Sa[i - 1] + ap) * (dp - Sd[i - 1]);
+      const point = evaluate(dp, ap, area);
+      return performanceAt(pushover, 'CSM', dp, point.period, point.effectiveDamping);
+    }
+    previous = current;
+  }
+
+  // Demand beyond the end of the capacity curve
+  return performanceAt(pushover, 'CSM', Sd[Sd.length - 1] + previous.gap, previous.period, previous.effectiveDamping);
+}
+
+export default {
+  lateralLoadPattern,
+  pushoverAnalysis,
+  bilinearIdealization,
+  n2PerformancePoint,
+  capacitySpectrumPerformancePoint
+};
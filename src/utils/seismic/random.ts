@@ -0,0 +1,92 @@
+/**
+ * Seedable pseudo-random number generator shared by all synthetic ground-motion code
+ */
+export interface RandomGenerator {
+  seed: number;                                  // Resolved 32-bit seed
+  next: () => number;                            // Uniform in [0, 1)
+  uniform: (min?: number, max?: number) => number;
+  normal: (mean?: number, stdDev?: number) => number;
+  lognormal: (mu?: number, sigma?: number) => number;
+}
+
+/**
+ * Hashes a numeric or string seed to a 32-bit unsigned integer (xmur3 mixing)
+ * @param seed Seed value; numbers and strings with the same text give the same hash
+ * @returns 32-bit seed
+ */
+export function hashSeed(seed: number | string): number {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Creates a seeded random generator (mulberry32) with uniform, normal and lognormal draws
+ * @param seed Seed value; the same seed always yields the same sequence
+ * @returns Random generator
+ */
+export function createRandom(seed: number | string = 0): RandomGenerator {
+  const resolvedSeed = hashSeed(seed);
+  let state = resolvedSeed;
+  let spareNormal: number | null = null;
+
+  const next = (): number => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const uniform = (min: number = 0, max: number = 1): number => min + (max - min) * next();
+
+  // Box-Muller transform, caching the second variate
+  const normal = (mean: number = 0, stdDev: number = 1): number => {
+    if (spareNormal !== null) {
+      const value = spareNormal;
+      spareNormal = null;
+      return mean + stdDev * value;
+    }
+
+    let u = 0;
+    while (u === 0) {
+      u = next();
+    }
+    const v = next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spareNormal = radius * Math.sin(2 * Math.PI * v);
+    return mean + stdDev * radius * Math.cos(2 * Math.PI * v);
+  };
+
+  const lognormal = (mu: number = 0, sigma: number = 1): number => Math.exp(normal(mu, sigma));
+
+  return {
+    seed: resolvedSeed,
+    next,
+    uniform,
+    normal,
+    lognormal
+  };
+}
+
+/**
+ * Draws a fresh seed for callers that do not supply one
+ * @returns Integer seed that can be stored to reproduce a record
+ */
+export function randomSeed(): number {
+  return Math.floor(Math.random() * 2147483647);
+}
+
+export default {
+  hashSeed,
+  createRandom,
+  randomSeed
+};
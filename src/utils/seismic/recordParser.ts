@@ -0,0 +1,585 @@
+import { SeismicWaveform } from './dataProcessor';
+
+/**
+ * Strong-motion record formats understood by the parser
+ */
+export type RecordFormat = 'peer-at2' | 'cosmos' | 'knet' | 'esm' | 'csv';
+
+/**
+ * Options for parsing delimited text records
+ */
+export interface CsvRecordOptions {
+  delimiter?: string;               // Column delimiter (default: auto-detect ',', ';', tab or whitespace)
+  skipRows?: number;                // Rows to skip before the data (default: auto-skip non-numeric rows)
+  timeColumn?: number | string;     // Time column index or header name (omit for evenly sampled data)
+  amplitudeColumn?: number | string; // Acceleration column index or header name (default: last column)
+  sampleRate?: number;              // Sample rate in Hz, required when there is no time column
+  units?: string;                   // Acceleration units (default: 'g')
+  scale?: number;                   // Factor applied to every amplitude value (default: 1)
+  station?: string;
+  component?: 'N-S' | 'E-W' | 'Z';
+  event?: string;
+}
+
+/**
+ * Error raised when a record file cannot be parsed
+ */
+export class RecordParseError extends Error {
+  format: RecordFormat;
+  line?: number;
+
+  constructor(format: RecordFormat, message: string, line?: number) {
+    super(`${format.toUpperCase()} record${line !== undefined ? ` (line ${line})` : ''}: ${message}`);
+    this.name = 'RecordParseError';
+    this.format = format;
+    this.line = line;
+    // Keep instanceof working when compiled to ES5
+    Object.setPrototypeOf(this, RecordParseError.prototype);
+  }
+}
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eEdD][+-]?\d+)?$/;
+
+/**
+ * Parses a Fortran-style number (accepts D exponents)
+ */
+function parseNumber(token: string): number {
+  return NUMBER_PATTERN.test(token) ? Number(token.replace(/[dD]/, 'e')) : NaN;
+}
+
+/**
+ * Splits text into lines, dropping a trailing empty line
+ */
+function splitLines(text: string): string[] {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  if (lines.length && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Reads whitespace-separated numbers from a block of lines
+ */
+function readFreeFormatValues(
+  lines: string[],
+  startLine: number,
+  format: RecordFormat,
+  count?: number
+): number[] {
+  const values: number[] = [];
+
+  for (let i = startLine; i < lines.length; i++) {
+    if (count !== undefined && values.length >= count) break;
+
+    const tokens = lines[i].trim().split(/[\s,]+/).filter(Boolean);
+    for (const token of tokens) {
+      const value = parseNumber(token);
+      if (Number.isNaN(value)) {
+        throw new RecordParseError(format, `unexpected token "${token}" in data block`, i + 1);
+      }
+      values.push(value);
+    }
+  }
+
+  if (count !== undefined && values.length < count) {
+    throw new RecordParseError(format, `expected ${count} samples but found ${values.length}`);
+  }
+
+  return count !== undefined ? values.slice(0, count) : values;
+}
+
+/**
+ * Reads fixed-width numeric fields described by a Fortran format such as (8F10.5)
+ */
+function readFixedWidthValues(
+  lines: string[],
+  startLine: number,
+  count: number,
+  fortranFormat: string,
+  format: RecordFormat
+): { values: number[]; nextLine: number } {
+  const match = fortranFormat.match(/\(\s*(\d+)\s*[A-Z]+\s*(\d+)/i);
+  if (!match) {
+    throw new RecordParseError(format, `unsupported data format "${fortranFormat}"`, startLine + 1);
+  }
+
+  const perLine = Number(match[1]);
+  const width = Number(match[2]);
+  const values: number[] = [];
+  let line = startLine;
+
+  while (values.length < count) {
+    if (line >= lines.length) {
+      throw new RecordParseError(format, `expected ${count} values but file ended after ${values.length}`);
+    }
+
+    const text = lines[line];
+    for (let field = 0; field < perLine && values.length < count; field++) {
+      const token = text.slice(field * width, (field + 1) * width).trim();
+      const value = parseNumber(token);
+      if (Number.isNaN(value)) {
+        throw new RecordParseError(format, `invalid numeric field "${token}"`, line + 1);
+      }
+      values.push(value);
+    }
+    line++;
+  }
+
+  return { values, nextLine: line };
+}
+
+/**
+ * Builds an evenly sampled waveform
+ */
+function buildWaveform(
+  amplitude: number[],
+  dt: number,
+  metadata: SeismicWaveform['metadata']
+): SeismicWaveform {
+  return {
+    time: amplitude.map((_, i) => i * dt),
+    amplitude,
+    metadata: {
+      ...metadata,
+      sampleRate: 1 / dt
+    }
+  };
+}
+
+/**
+ * Maps a component label or azimuth to the waveform component convention
+ */
+function toComponent(label?: string): 'N-S' | 'E-W' | 'Z' | undefined {
+  if (!label) return undefined;
+
+  const normalized = label.trim().toUpperCase();
+  const azimuth = Number(normalized.replace(/DEG.*$/, '').trim());
+
+  if (normalized !== '' && !Number.isNaN(azimuth)) {
+    const wrapped = ((azimuth % 180) + 180) % 180;
+    if (wrapped === 0) return 'N-S';
+    if (wrapped === 90) return 'E-W';
+    return undefined;
+  }
+
+  if (/^(UP|DOWN|U-?D|V|VER|VERT|Z)\d*$/.test(normalized) || /(UP|DWN|VER)$/.test(normalized)) return 'Z';
+  if (/^(N-?S|N|NS)\d*$/.test(normalized) || /^(NOR|SOU)/.test(normalized)) return 'N-S';
+  if (/^(E-?W|E|EW)\d*$/.test(normalized) || /^(EAS|WES)/.test(normalized)) return 'E-W';
+  if (/[HBE][HNLG]Z$/.test(normalized)) return 'Z';
+  if (/[HBE][HNLG][N1]$/.test(normalized)) return 'N-S';
+  if (/[HBE][HNLG][E2]$/.test(normalized)) return 'E-W';
+
+  return undefined;
+}
+
+/**
+ * Normalizes an acceleration unit label to the form used in waveform metadata
+ */
+function toUnits(label: string): string | undefined {
+  const normalized = label.trim().toLowerCase().replace(/\s+/g, '');
+
+  if (/^g$|^units?ofg$|^\(?g\)?$/.test(normalized)) return 'g';
+  if (/^(cm\/s(ec)?(\^?2|²)|cm\/s\/s|gal)$/.test(normalized)) return 'cm/s^2';
+  if (/^(m\/s(ec)?(\^?2|²)|m\/s\/s)$/.test(normalized)) return 'm/s^2';
+  if (/^(mm\/s(ec)?(\^?2|²)|mm\/s\/s)$/.test(normalized)) return 'mm/s^2';
+
+  return undefined;
+}
+
+/**
+ * Parses a PEER NGA strong-motion record (.AT2)
+ * @param text File contents
+ * @returns Acceleration waveform in g
+ */
+export function parsePeerAt2(text: string): SeismicWaveform {
+  const lines = splitLines(text);
+
+  if (lines.length < 5) {
+    throw new RecordParseError('peer-at2', 'file is shorter than the four-line header');
+  }
+
+  // Line 4 carries NPTS and DT, either as "NPTS= 4000, DT= .0050 SEC" (NGA-West2)
+  // or as "4000 .0050 NPTS, DT" (original NGA database)
+  const sizeLine = lines[3];
+  const keyed = sizeLine.match(/NPTS\s*=\s*(\d+)\s*,?\s*DT\s*=\s*([-+.\dEe]+)/i);
+  const positional = sizeLine.match(/^\s*(\d+)\s+([-+.\dEe]+)\s+NPTS/i);
+  const sizeMatch = keyed || positional;
+
+  if (!sizeMatch) {
+    throw new RecordParseError('peer-at2', `cannot find NPTS and DT in "${sizeLine.trim()}"`, 4);
+  }
+
+  const npts = Number(sizeMatch[1]);
+  const dt = parseNumber(sizeMatch[2]);
+  if (!(dt > 0)) {
+    throw new RecordParseError('peer-at2', `invalid time step ${sizeMatch[2]}`, 4);
+  }
+
+  // Line 2: "Event, date, station, component"
+  const descriptor = lines[1].split(',').map(part => part.trim());
+  const unitsMatch = lines[2].match(/UNITS\s+OF\s+(\S+)/i);
+  const units = unitsMatch ? toUnits(unitsMatch[1]) : 'g';
+
+  if (!units) {
+    throw new RecordParseError('peer-at2', `unsupported units "${unitsMatch?.[1]}"`, 3);
+  }
+
+  const amplitude = readFreeFormatValues(lines, 4, 'peer-at2', npts);
+
+  return buildWaveform(amplitude, dt, {
+    event: descriptor.length > 1 ? `${descriptor[0]}, ${descriptor[1]}` : descriptor[0] || undefined,
+    station: descriptor[2] || undefined,
+    component: toComponent(descriptor[3]),
+    units
+  });
+}
+
+/**
+ * Parses a COSMOS V1 or V2 record. For V2 files holding acceleration,
+ * velocity and displacement, only the acceleration block is returned.
+ * @param text File contents
+ * @returns Acceleration waveform in the file's units
+ */
+export function parseCosmos(text: string): SeismicWaveform {
+  const lines = splitLines(text);
+  const format: RecordFormat = 'cosmos';
+
+  const textCountMatch = lines[0]?.match(/with\s+(\d+)\s+text\s+lines/i);
+  if (!textCountMatch) {
+    throw new RecordParseError(format, 'first line does not declare the number of text header lines', 1);
+  }
+
+  const textLines = Number(textCountMatch[1]);
+  const textHeader = lines.slice(0, textLines);
+  let line = textLines;
+
+  // Integer and real headers: "N Integer-header values follow on M lines, Format= (10I8)"
+  const readHeader = (kind: 'Integer' | 'Real'): number[] => {
+    const match = lines[line]?.match(new RegExp(`(\\d+)\\s+${kind}-header values follow on\\s+(\\d+)\\s+lines.*Format\\s*=\\s*(\\([^)]*\\))`, 'i'));
+    if (!match) {
+      throw new RecordParseError(format, `missing ${kind.toLowerCase()} header declaration`, line + 1);
+    }
+    const { values, nextLine } = readFixedWidthValues(lines, line + 1, Number(match[1]), match[3], format);
+    line = nextLine;
+    return values;
+  };
+
+  const integerHeader = readHeader('Integer');
+  const realHeader = readHeader('Real');
+
+  const commentMatch = lines[line]?.match(/(\d+)\s+Comment line/i);
+  if (commentMatch) {
+    line += 1 + Number(commentMatch[1]);
+  }
+
+  // Data block: "8000 acceleration pts, approx 40 secs, units=cm/sec2 (04), Format=(8F10.5)"
+  const dataPattern = /(\d+)\s+acceleration\s+pts.*units\s*=\s*([^\s(,]+).*Format\s*=\s*(\([^)]*\))/i;
+  while (line < lines.length && !dataPattern.test(lines[line])) {
+    line++;
+  }
+
+  const dataMatch = lines[line]?.match(dataPattern);
+  if (!dataMatch) {
+    throw new RecordParseError(format, 'no acceleration data block found');
+  }
+
+  const units = toUnits(dataMatch[2]);
+  if (!units) {
+    throw new RecordParseError(format, `unsupported units "${dataMatch[2]}"`, line + 1);
+  }
+
+  const { values } = readFixedWidthValues(lines, line + 1, Number(dataMatch[1]), dataMatch[3], format);
+
+  // Real header 62 holds the sample interval; -999 marks undefined entries
+  const defined = (value?: number) => (value !== undefined && value !== -999 ? value : undefined);
+  const dt = defined(realHeader[61]);
+  if (!dt || dt <= 0) {
+    throw new RecordParseError(format, 'sample interval (real header 62) is missing');
+  }
+
+  // Text header line 5 carries the station; line 6 the channel orientation
+  const stationMatch = textHeader[4]?.match(/Code:\s*\S+\s+\S+\s+(.+)$/i);
+  const orientationMatch = textHeader[5]?.match(/Chan\s+\d+\s*:\s*(\S+)(\s+deg)?/i);
+
+  return buildWaveform(values, dt, {
+    event: textHeader[1]?.trim() || undefined,
+    station: stationMatch ? stationMatch[1].trim() : undefined,
+    component: toComponent(orientationMatch?.[1]) ?? toComponent(String(defined(integerHeader[52]) ?? '')),
+    magnitude: defined(realHeader[11]),
+    depth: defined(realHeader[9]),
+    distance: defined(realHeader[16]),
+    units
+  });
+}
+
+/**
+ * Parses a K-NET or KiK-net ASCII record. Counts are converted to gal with
+ * the scale factor in the header and the mean of the whole record is removed
+ * (the NIED convention; the header does not give the trigger sample).
+ * @param text File contents
+ * @returns Acceleration waveform in cm/s²
+ */
+export function parseKnet(text: string): SeismicWaveform {
+  const lines = splitLines(text);
+  const format: RecordFormat = 'knet';
+  const header: Record<string, string> = {};
+  let line = 0;
+
+  // Header fields are a key padded to 18 columns followed by the value; "Memo." ends the header
+  for (; line < lines.length && /^[A-Za-z]/.test(lines[line]); line++) {
+    const key = lines[line].slice(0, 18).trim();
+    header[key] = lines[line].slice(18).trim();
+    if (key.startsWith('Memo')) {
+      line++;
+      break;
+    }
+  }
+
+  const required = ['Sampling Freq(Hz)', 'Scale Factor'];
+  for (const key of required) {
+    if (!(key in header)) {
+      throw new RecordParseError(format, `missing "${key}" header field`);
+    }
+  }
+
+  const sampleRate = parseFloat(header['Sampling Freq(Hz)']);
+  const scaleMatch = header['Scale Factor'].match(/([\d.]+)\s*\(gal\)\s*\/\s*([\d.]+)/i);
+  if (!(sampleRate > 0) || !scaleMatch) {
+    throw new RecordParseError(format, 'invalid sampling frequency or scale factor');
+  }
+
+  const scale = Number(scaleMatch[1]) / Number(scaleMatch[2]);
+  const counts = readFreeFormatValues(lines, line, format);
+  if (counts.length === 0) {
+    throw new RecordParseError(format, 'no data samples after the header');
+  }
+
+  const gal = counts.map(count => count * scale);
+  const mean = gal.reduce((sum, value) => sum + value, 0) / gal.length;
+
+  const origin = header['Origin Time'];
+  const magnitude = parseFloat(header['Mag.']);
+  const depth = parseFloat(header['Depth. (km)']);
+
+  return buildWaveform(gal.map(value => value - mean), 1 / sampleRate, {
+    event: origin ? `${origin} M${header['Mag.'] || '?'}` : undefined,
+    station: header['Station Code'],
+    component: toComponent(header['Dir.']),
+    magnitude: Number.isNaN(magnitude) ? undefined : magnitude,
+    depth: Number.isNaN(depth) ? undefined : depth,
+    units: 'cm/s^2'
+  });
+}
+
+/**
+ * Parses an ESM (Engineering Strong Motion database) ASCII record
+ * @param text File contents
+ * @returns Acceleration waveform in the file's units
+ */
+export function parseEsm(text: string): SeismicWaveform {
+  const lines = splitLines(text);
+  const format: RecordFormat = 'esm';
+  const header: Record<string, string> = {};
+  let line = 0;
+
+  for (; line < lines.length; line++) {
+    const match = lines[line].match(/^([A-Z0-9_]+)\s*:\s*(.*)$/);
+    if (!match) break;
+    header[match[1]] = match[2].trim();
+  }
+
+  const dt = parseFloat(header.SAMPLING_INTERVAL_S);
+  if (!(dt > 0)) {
+    throw new RecordParseError(format, 'missing or invalid SAMPLING_INTERVAL_S header field');
+  }
+
+  if (header.DATA_TYPE && !/ACCELERATION/i.test(header.DATA_TYPE)) {
+    throw new RecordParseError(format, `expected acceleration data but file holds ${header.DATA_TYPE}`);
+  }
+
+  const units = toUnits(header.UNITS || 'cm/s^2');
+  if (!units) {
+    throw new RecordParseError(format, `unsupported units "${header.UNITS}"`);
+  }
+
+  const npts = parseInt(header.NDATA, 10);
+  const amplitude = readFreeFormatValues(lines, line, format, Number.isNaN(npts) ? undefined : npts);
+  const magnitude = parseFloat(header.MAGNITUDE_W || header.MAGNITUDE_L);
+  const depth = parseFloat(header.EVENT_DEPTH_KM);
+  const distance = parseFloat(header.EPICENTRAL_DISTANCE_KM);
+
+  return buildWaveform(amplitude, dt, {
+    event: header.EVENT_NAME || header.EVENT_ID || undefined,
+    station: [header.NETWORK, header.STATION_CODE].filter(Boolean).join('.') || undefined,
+    component: toComponent(header.STREAM),
+    magnitude: Number.isNaN(magnitude) ? undefined : magnitude,
+    depth: Number.isNaN(depth) ? undefined : depth,
+    distance: Number.isNaN(distance) ? undefined : distance,
+    units
+  });
+}
+
+/**
+ * Parses a delimited text record (CSV, TSV or whitespace-separated columns)
+ * @param text File contents
+ * @param options Column layout and metadata
+ * @returns Acceleration waveform
+ */
+export function parseCsvRecord(text: string, options: CsvRecordOptions = {}): SeismicWaveform {
+  const format: RecordFormat = 'csv';
+  const lines = splitLines(text);
+  const {
+    units = 'g',
+    scale = 1,
+    timeColumn,
+    sampleRate
+  } = options;
+
+  const normalizedUnits = toUnits(units);
+  if (!normalizedUnits) {
+    throw new RecordParseError(format, `unsupported units "${units}"`);
+  }
+
+  const firstDataLike = lines.find(row => row.trim() !== '') || '';
+  const delimiter = options.delimiter ??
+    (firstDataLike.includes(',') ? ',' : firstDataLike.includes(';') ? ';' : firstDataLike.includes('\t') ? '\t' : undefined);
+  const split = (row: string) => (delimiter ? row.split(delimiter) : row.trim().split(/\s+/)).map(cell => cell.trim());
+
+  // Skip the requested rows, or any leading rows that are not entirely numeric
+  let start = options.skipRows ?? 0;
+  if (options.skipRows === undefined) {
+    while (start < lines.length && split(lines[start]).some(cell => Number.isNaN(parseNumber(cell)))) {
+      start++;
+    }
+
+    if (start === lines.length && lines.some(row => row.trim() !== '')) {
+      // Name the cell that kept the last row from being read as data (an empty time cell, a stray label)
+      let last = lines.length - 1;
+      while (last > 0 && lines[last].trim() === '') last--;
+      const cells = split(lines[last] ?? '');
+      const column = cells.findIndex(cell => Number.isNaN(parseNumber(cell)));
+      throw new RecordParseError(
+        format,
+        `no row has a number in every column (column ${column} is "${cells[column] ?? ''}"); ` +
+        'pass skipRows and the column options for files with gaps',
+        last + 1
+      );
+    }
+  }
+
+  const headerRow = start > 0 ? split(lines[start - 1]) : [];
+  const resolveColumn = (column: number | string | undefined, fallback: number): number => {
+    if (column === undefined) return fallback;
+    if (typeof column === 'number') return column;
+    const index = headerRow.findIndex(name => name.toLowerCase() === column.toLowerCase());
+    if (index < 0) {
+      throw new RecordParseError(format, `column "${column}" not found in header`, start);
+    }
+    return index;
+  };
+
+  const rows = lines.slice(start).map((row, offset) => ({ cells: split(row), line: start + offset + 1 }))
+    .filter(row => row.cells.some(cell => cell !== ''));
+
+  if (rows.length < 2) {
+    throw new RecordParseError(format, 'fewer than two data rows');
+  }
+
+  const amplitudeIndex = resolveColumn(options.amplitudeColumn, rows[0].cells.length - 1);
+  const timeIndex = timeColumn !== undefined ? resolveColumn(timeColumn, 0) : undefined;
+
+  if (timeIndex === undefined && !(sampleRate && sampleRate > 0)) {
+    throw new RecordParseError(format, 'a sampleRate is required when there is no time column');
+  }
+
+  const cellValue = (row: { cells: string[]; line: number }, index: number) => {
+    const value = parseNumber(row.cells[index] ?? '');
+    if (Number.isNaN(value)) {
+      throw new RecordParseError(format, `invalid value "${row.cells[index] ?? ''}" in column ${index}`, row.line);
+    }
+    return value;
+  };
+
+  const amplitude = rows.map(row => cellValue(row, amplitudeIndex) * scale);
+  const metadata = {
+    station: options.station,
+    component: options.component,
+    event: options.event,
+    units: normalizedUnits
+  };
+
+  if (timeIndex === undefined) {
+    return buildWaveform(amplitude, 1 / (sampleRate as number), metadata);
+  }
+
+  const time = rows.map(row => cellValue(row, timeIndex));
+  for (let i = 1; i < time.length; i++) {
+    if (!(time[i] > time[i - 1])) {
+      throw new RecordParseError(format, 'time column must be strictly increasing', rows[i].line);
+    }
+  }
+
+  return {
+    time,
+    amplitude,
+    metadata: {
+      ...metadata,
+      sampleRate: (time.length - 1) / (time[time.length - 1] - time[0])
+    }
+  };
+}
+
+/**
+ * Guesses the format of a record from its contents
+ * @param text File contents
+ * @returns Detected format
+ */
+export function detectRecordFormat(text: string): RecordFormat {
+  const head = splitLines(text.slice(0, 4000));
+
+  if (/PEER\s+NGA/i.test(head[0] || '') || /NPTS\s*[=,]/i.test(head[3] || '')) return 'peer-at2';
+  if (/with\s+\d+\s+text\s+lines/i.test(head[0] || '')) return 'cosmos';
+  if (/^Origin Time\s{2,}/.test(head[0] || '')) return 'knet';
+  if (/^EVENT_NAME\s*:/.test(head[0] || '')) return 'esm';
+
+  return 'csv';
+}
+
+/**
+ * Parses an accelerogram in any supported format
+ * @param text File contents
+ * @param format Record format, detected from the contents if omitted
+ * @param csvOptions Layout options when the record is delimited text
+ * @returns Acceleration waveform with metadata filled from the header
+ */
+export function parseRecord(
+  text: string,
+  format: RecordFormat | 'auto' = 'auto',
+  csvOptions: CsvRecordOptions = {}
+): SeismicWaveform {
+  const resolved = format === 'auto' ? detectRecordFormat(text) : format;
+
+  switch (resolved) {
+    case 'peer-at2':
+      return parsePeerAt2(text);
+    case 'cosmos':
+      return parseCosmos(text);
+    case 'knet':
+      return parseKnet(text);
+    case 'esm':
+      return parseEsm(text);
+    case 'csv':
+      return parseCsvRecord(text, csvOptions);
+  }
+}
+
+export default {
+  parsePeerAt2,
+  parseCosmos,
+  parseKnet,
+  parseEsm,
+  parseCsvRecord,
+  detectRecordFormat,
+  parseRecord
+};
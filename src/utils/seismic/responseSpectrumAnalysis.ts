@@ -0,0 +1,229 @@
+import { SeismicResponseSpectrum, accelerationUnitScale } from './dataProcessor';
+import { StructureModel } from './simulationEngine';
+import { ModalAnalysisResult, modalAnalysis, modesForMassParticipation } from './modalAnalysis';
+import { matVec } from './linearAlgebra';
+
+/**
+ * Modal combination rules
+ */
+export type ModalCombinationRule = 'SRSS' | 'CQC';
+
+/**
+ * Options for response spectrum analysis
+ */
+export interface ResponseSpectrumAnalysisOptions {
+  combination?: ModalCombinationRule; // Default: 'CQC'
+  numModes?: number;                  // Modes combined (default: all)
+  dampingRatio?: number;              // Modal damping for CQC (default: spectrum, then model damping)
+  influenceVector?: number[];         // Ground motion influence vector (default: all ones)
+  floorHeights?: number[];            // Height of each floor DOF above the base (default: model floor heights)
+  massParticipationTarget?: number;   // Ratio used for modesRequired (default: 0.9)
+  modal?: ModalAnalysisResult;        // Precomputed modal analysis of the model
+}
+
+/**
+ * Peak response of a single mode
+ */
+export interface ModalPeakResponse {
+  mode: number;                       // One-based mode number
+  period: number;                     // s
+  spectralAcceleration: number;       // Sa(T) in m/s²
+  spectralDisplacement: number;       // Sd = Sa/ω² (m)
+  displacement: number[];             // Floor displacements (m)
+  drift: number[];                    // Story drifts (m)
+  storyShear: number[];               // Story shears (N)
+  overturningMoment: number[];        // Overturning moments at each story base (N·m)
+}
+
+/**
+ * Combined peak response of a response spectrum analysis
+ */
+export interface ResponseSpectrumAnalysisResult {
+  combination: ModalCombinationRule;
+  modal: ModalAnalysisResult;
+  modesUsed: number;                  // Modes included in the combination
+  modesRequired: number;              // Modes needed to reach the mass participation target
+  massParticipation: number;          // Cumulative effective mass ratio of the modes used
+  displacement: number[];             // Peak floor displacements (m)
+  drift: number[];                    // Peak story drifts (m)
+  driftRatio: number[];               // Peak story drift over story height
+  storyShear: number[];               // Peak story shears (N)
+  overturningMoment: number[];        // Peak overturning moments at each story base (N·m)
+  baseShear: number;                  // N
+  baseMoment: number;                 // N·m
+  modalResponses: ModalPeakResponse[];
+}
+
+/**
+ * Interpolates a spectral ordinate linearly in period, holding the end values outside the range
+ * @param spectrum Response spectrum
+ * @param period Period in seconds
+ * @returns Spectral acceleration in the spectrum's units
+ */
+export function interpolateSpectrum(spectrum: SeismicResponseSpectrum, period: number): number {
+  const { periods, acceleration } = spectrum;
+
+  if (period <= periods[0]) return acceleration[0];
+  if (period >= periods[periods.length - 1]) return acceleration[acceleration.length - 1];
+
+  let i = 1;
+  while (periods[i] < period) i++;
+  const w = (period - periods[i - 1]) / (periods[i] - periods[i - 1]);
+  return acceleration[i - 1] * (1 - w) + acceleration[i] * w;
+}
+
+/**
+ * Der Kiureghian (1981) CQC correlation coefficient between two modes
+ * @param omegaI Circular frequency of mode i
+ * @param omegaJ Circular frequency of mode j
+ * @param zetaI Damping ratio of mode i
+ * @param zetaJ Damping ratio of mode j (default: zetaI)
+ * @returns Correlation coefficient ρij
+ */
+export function cqcCorrelation(
+  omegaI: number,
+  omegaJ: number,
+  zetaI: number,
+  zetaJ: number = zetaI
+): number {
+  if (omegaI === omegaJ && zetaI === zetaJ) return 1;
+
+  const r = omegaJ / omegaI;
+  const numerator = 8 * Math.sqrt(zetaI * zetaJ) * (zetaI + r * zetaJ) * Math.pow(r, 1.5);
+  const denominator = Math.pow(1 - r * r, 2) +
+    4 * zetaI * zetaJ * r * (1 + r * r) +
+    4 * (zetaI * zetaI + zetaJ * zetaJ) * r * r;
+
+  return denominator > 0 ? numerator / denominator : 1;
+}
+
+/**
+ * Combines peak modal values of one response quantity
+ * @param values Peak value of the quantity in each mode (signed)
+ * @param rule Combination rule
+ * @param correlation CQC correlation matrix (required for CQC)
+ * @returns Combined peak value
+ */
+export function combineModalValues(
+  values: number[],
+  rule: ModalCombinationRule,
+  correlation?: number[][]
+): number {
+  if (rule === 'SRSS' || !correlation) {
+    return Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  }
+
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    for (let j = 0; j < values.length; j++) {
+      sum += correlation[i][j] * values[i] * values[j];
+    }
+  }
+  return Math.sqrt(Math.max(sum, 0));
+}
+
+/**
+ * Runs a modal response spectrum analysis of a building model whose DOFs
+ * are the lateral floor displacements, ordered from the first floor up
+ * @param model Structure model
+ * @param spectrum Response spectrum (acceleration in its units, e.g. a code design spectrum in g)
+ * @param options Combination rule, modes and geometry options
+ * @returns Combined peak floor displacements, drifts, story shears and overturning moments
+ */
+export function responseSpectrumAnalysis(
+  model: StructureModel,
+  spectrum: SeismicResponseSpectrum,
+  options: ResponseSpectrumAnalysisOptions = {}
+): ResponseSpectrumAnalysisResult {
+  const {
+    combination = 'CQC',
+    massParticipationTarget = 0.9,
+    influenceVector
+  } = options;
+  const { massMatrix, numDOFs, properties } = model;
+  const modal = options.modal ?? modalAnalysis(model, { influenceVector });
+  const modesUsed = Math.min(options.numModes ?? modal.numModes, modal.numModes);
+  const dampingRatio = options.dampingRatio ?? spectrum.dampingRatio ?? properties.dampingRatio ?? 0.05;
+  const unitScale = accelerationUnitScale(spectrum.units);
+  const floorHeights = options.floorHeights ?? model.floorHeights ??
+    Array.from({ length: numDOFs }, (_, i) => (i + 1) * properties.storyHeight);
+
+  if (floorHeights.length !== numDOFs) {
+    throw new Error(`Expected ${numDOFs} floor heights, got ${floorHeights.length}`);
+  }
+
+  const storyHeights = floorHeights.map((height, i) => height - (i > 0 ? floorHeights[i - 1] : 0));
+  const modalResponses: ModalPeakResponse[] = [];
+
+  for (let n = 0; n < modesUsed; n++) {
+    const omega = modal.circularFrequencies[n];
+    const period = modal.periods[n];
+    const shape = modal.modeShapes[n];
+    const gamma = modal.participationFactors[n];
+    const Sa = interpolateSpectrum(spectrum, period) * unitScale;
+    const Sd = omega > 0 ? Sa / (omega * omega) : 0;
+
+    const displacement = shape.map(value => value * gamma * Sd);
+    const drift = displacement.map((value, i) => value - (i > 0 ? displacement[i - 1] : 0));
+
+    // Equivalent static floor forces f = M·φ·Γ·Sa
+    const forces = matVec(massMatrix, shape).map(value => value * gamma * Sa);
+    const storyShear = new Array(numDOFs).fill(0);
+    const overturningMoment = new Array(numDOFs).fill(0);
+
+    for (let i = numDOFs - 1; i >= 0; i--) {
+      storyShear[i] = forces[i] + (i < numDOFs - 1 ? storyShear[i + 1] : 0);
+      const base = i > 0 ? floorHeights[i - 1] : 0;
+      for (let j = i; j < numDOFs; j++) {
+        overturningMoment[i] += forces[j] * (floorHeights[j] - base);
+      }
+    }
+
+    modalResponses.push({
+      mode: n + 1,
+      period,
+      spectralAcceleration: Sa,
+      spectralDisplacement: Sd,
+      displacement,
+      drift,
+      storyShear,
+      overturningMoment
+    });
+  }
+
+  const correlation = combination === 'CQC'
+    ? modalResponses.map((_, i) => modalResponses.map((__, j) =>
+      cqcCorrelation(modal.circularFrequencies[i], modal.circularFrequencies[j], dampingRatio)))
+    : undefined;
+
+  const combine = (key: 'displacement' | 'drift' | 'storyShear' | 'overturningMoment') =>
+    Array.from({ length: numDOFs }, (_, i) =>
+      combineModalValues(modalResponses.map(response => response[key][i]), combination, correlation));
+
+  const drift = combine('drift');
+  const storyShear = combine('storyShear');
+  const overturningMoment = combine('overturningMoment');
+
+  return {
+    combination,
+    modal,
+    modesUsed,
+    modesRequired: modesForMassParticipation(modal, massParticipationTarget),
+    massParticipation: modesUsed > 0 ? modal.cumulativeMassRatios[modesUsed - 1] : 0,
+    displacement: combine('displacement'),
+    drift,
+    driftRatio: drift.map((value, i) => value / storyHeights[i]),
+    storyShear,
+    overturningMoment,
+    baseShear: storyShear[0] ?? 0,
+    baseMoment: overturningMoment[0] ?? 0,
+    modalResponses
+  };
+}
+
+export default {
+  interpolateSpectrum,
+  cqcCorrelation,
+  combineModalValues,
+  responseSpectrumAnalysis
+};
@@ -0,0 +1,14 @@
+import { SimulationMessage, SimulationRequest, runSimulationRequest } from './simulationRunner';
+
+/**
+ * Web Worker entry: solves each posted SimulationRequest off the main thread.
+ * Cancellation is done by terminating the worker.
+ */
+const worker = self as unknown as {
+  onmessage: ((event: MessageEvent<SimulationRequest>) => void) | null;
+  postMessage: (message: SimulationMessage) => void;
+};
+
+worker.onmessage = event => {
+  runSimulationRequest(event.data, message => worker.postMessage(message));
+};
@@ -1,5 +1,35 @@
 import * as THREE from 'three';
-import { SeismicWaveform } from './dataProcessor';
+import { SeismicWaveform, getTimeStep } from './dataProcessor';
+import { DampingOptions, buildDampingMatrix } from './damping';
+import { StorySpringParams, HystereticSpring, createHystereticSpring } from './hysteresis';
+import { generalizedEigen } from './linearAlgebra';
+import {
+  GravityLoadDefinition,
+  geometricStiffnessMatrix,
+  resolveGravityLoads,
+  secondOrderModel,
+  sideswayCollapseDrift
+} from './pDelta';
+import { EnergyBalance, computeEnergyBalance } from './energyBalance';
+import { DamageIndexOptions, StoryDamageIndices, computeDamageIndices } from './damageIndices';
+import {
+  IntegrationReport,
+  IntegratorOptions,
+  TimeIntegrator,
+  bufferRows,
+  createIntegrator,
+  integrateLinearSystem,
+  integrateNonlinearSystem,
+  planTimeStep
+} from './integrators';
+import {
+  BandedMatrix,
+  bandedAdd,
+  bandedAddElement,
+  bandedMultiply,
+  toBandedMatrix,
+  toDenseMatrix
+} from './bandedMatrix';
 
 /**
  * Types of building structure models
@@ -15,9 +45,12 @@ export interface BuildingStructureParams {
   totalMass: number;          // Total mass of the building in kg
   fundamentalPeriod?: number; // Fundamental period in seconds (if known)
   dampingRatio?: number;      // Critical damping ratio (typically 0.02-0.05)
+  damping?: DampingOptions;   // Damping formulation (default: Rayleigh at modes 1 and 3 with dampingRatio)
   modelType?: StructureModelType; // Type of structural model
   stiffnessProfile?: 'uniform' | 'linear' | 'custom'; // Stiffness distribution along height
   customStiffness?: number[]; // Custom stiffness values for each story
+  storySprings?: StorySpringParams | StorySpringParams[]; // Nonlinear story springs (one for all stories or one per story)
+  gravityLoads?: GravityLoadDefinition; // Floor gravity loads for P-Delta (N per floor, one value for all, or 'self-weight')
   floorDimensions?: {         // Floor plan dimensions
     width: number;           // Width in meters
     depth: number;           // Depth in meters
@@ -25,7 +58,11 @@ export interface BuildingStructureParams {
   baseIsolation?: {           // Parameters for base isolation (if applicable)
     period: number;          // Isolation period in seconds
     damping: number;         // Isolation damping ratio
+    baseMass?: number;       // Mass of the base slab in kg (default: one floor mass)
+    height?: number;         // Height of the isolation layer in meters (default: 0.5)
   };
+  lateralStiffnessRatio?: number; // Coupled beam α = H·sqrt(GA/EI): 0 flexural, large values shear (default: 6)
+  beamColumnStiffnessRatio?: number; // Moment frame ρ = Σ(EI/L) beams / Σ(EI/h) columns (default: 0.125)
 }
 
 /**
@@ -40,6 +77,43 @@ export interface StructuralResponse {
   maxDrift?: number[];                // Maximum story drift at each time point
   maxDisplacement?: number;           // Maximum absolute displacement
   maxAcceleration?: number;           // Maximum absolute acceleration
+  storyHysteresis?: StoryHysteresis[]; // Story drift-shear loops (nonlinear models)
+  ductilityDemand?: number[];         // Peak drift over yield drift for each story (nonlinear models)
+  residualDrift?: number[];           // Story drift at the end of the record (nonlinear models)
+  nonConvergedSteps?: number;         // Time steps where Newton-Raphson hit its iteration limit
+  sideswayCollapse?: { story: number; time: number } | null; // First story to pass its P-Delta collapse drift (nonlinear models with gravity loads)
+  energy?: EnergyBalance;             // Energy balance over time (when requested)
+  damageIndices?: StoryDamageIndices[]; // Cumulative damage of each story (when requested, nonlinear models)
+  integration?: IntegrationReport;    // Integrator, step size and step warnings
+}
+
+/**
+ * Partial response reported while a time history is being solved
+ */
+export interface SimulationProgress {
+  completed: number;                  // Output samples solved so far
+  total: number;                      // Output samples in the record
+  time: number[];                     // Time points solved since the previous report
+  displacement: number[][];           // Displacement rows solved since the previous report [time][dof]
+}
+
+/**
+ * Time-history solver options
+ */
+export interface SolverOptions extends IntegratorOptions {
+  onProgress?: (progress: SimulationProgress) => void; // Called with each new block of samples
+  progressInterval?: number;          // Output samples between reports (default: 2% of the record)
+  energy?: boolean;                   // Add the energy balance to the response
+  damageIndices?: boolean | DamageIndexOptions; // Add story damage indices (needs story springs)
+}
+
+/**
+ * Drift and shear histories of one story spring
+ */
+export interface StoryHysteresis {
+  drift: number[];                    // Story drift at each time point (m)
+  shear: number[];                    // Story shear at each time point (N)
+  yieldDrift: number;                 // Yield drift of the spring (m)
 }
 
 /**
@@ -49,6 +123,12 @@ export interface StructureModel {
   massMatrix: number[][];             // Mass matrix
   stiffnessMatrix: number[][];        // Stiffness matrix
   dampingMatrix: number[][];          // Damping matrix
+  modalDampingRatios?: number[];      // Damping ratio each mode receives from the damping matrix
+  storyStiffness?: number[];          // Elastic stiffness of each story (shear buildings)
+  storySprings?: StorySpringParams[]; // Nonlinear spring of each story (shear buildings)
+  floorHeights?: number[];            // Height of each DOF above the ground (default: storyHeight multiples)
+  gravityLoads?: number[];            // Gravity load on each DOF (N), adding P-Delta geometric stiffness
+  nodeFloorIndex?: number[];          // DOF driving the lateral displacement of each node (-1 for none)
   numDOFs: number;                    // Number of degrees of freedom
   nodeCoordinates: THREE.Vector3[];   // Coordinates of each node
   elementConnectivity: number[][];    // Element connectivity (node indices)
@@ -69,6 +149,7 @@ export function createShearBuildingModel(params: BuildingStructureParams): Struc
     dampingRatio = 0.05,
     stiffnessProfile = 'uniform',
     customStiffness,
+    storySprings,
     floorDimensions = { width: 12, depth: 12 }
   } = params;
   
@@ -128,11 +209,13 @@ export function createShearBuildingModel(params: BuildingStructureParams): Struc
   // Create stiffness matrix for shear building
   const stiffnessMatrix: number[][] = Array(numDOFs).fill(0).map(() => Array(numDOFs).fill(0));
   
-  // Assemble stiffness matrix for shear building
+  // Assemble stiffness matrix for shear building (story i connects floor i to the floor below,
+  // or to the ground for the first story)
   for (let i = 0; i < numDOFs; i++) {
+    stiffnessMatrix[i][i] += stiffnessValues[i];
+    
     if (i > 0) {
       stiffnessMatrix[i][i - 1] = -stiffnessValues[i];
-      stiffnessMatrix[i][i] += stiffnessValues[i];
     }
     
     if (i < numDOFs - 1) {
@@ -141,16 +224,21 @@ export function createShearBuildingModel(params: BuildingStructureParams): Struc
     }
   }
   
-  // Create damping matrix (Rayleigh damping)
-  const dampingMatrix: number[][] = Array(numDOFs).fill(0).map(() => Array(numDOFs).fill(0));
-  
-  // Simple approach: proportional to mass matrix
-  for (let i = 0; i < numDOFs; i++) {
-    for (let j = 0; j < numDOFs; j++) {
-      dampingMatrix[i][j] = 2 * dampingRatio * massMatrix[i][j];
-    }
+  // The first-mode estimate above ignores the mode shape; scale the stiffness so the
+  // model has the requested fundamental period exactly (custom stiffness is kept as given)
+  if (fundamentalPeriod && stiffnessValues !== customStiffness) {
+    const { values } = generalizedEigen(stiffnessMatrix, massMatrix);
+    const factor = Math.pow(2 * Math.PI / fundamentalPeriod, 2) / values[0];
+    stiffnessValues = stiffnessValues.map(k => k * factor);
+    stiffnessMatrix.forEach(row => row.forEach((k, j) => { row[j] = k * factor; }));
   }
   
+  // Create damping matrix from the selected formulation
+  const { dampingMatrix, modalDampingRatios } = buildDampingMatrix(massMatrix, stiffnessMatrix, {
+    dampingRatio,
+    ...params.damping
+  });
+  
   // Node coordinates
   const nodeCoordinates: THREE.Vector3[] = [];
   
@@ -199,174 +287,198 @@ export function createShearBuildingModel(params: BuildingStructureParams): Struc
     }
   }
   
-  return {
+  const model: StructureModel = {
     massMatrix,
     stiffnessMatrix,
     dampingMatrix,
+    modalDampingRatios,
+    storyStiffness: stiffnessValues,
+    storySprings: storySprings
+      ? Array.from({ length: numStories }, (_, i) =>
+        (Array.isArray(storySprings) ? storySprings[Math.min(i, storySprings.length - 1)] : storySprings))
+      : undefined,
     numDOFs,
     nodeCoordinates,
     elementConnectivity,
     properties: params
   };
+  
+  if (params.gravityLoads !== undefined) {
+    model.gravityLoads = resolveGravityLoads(model, params.gravityLoads);
+  }
+  
+  return model;
 }
 
 /**
- * Solve the dynamic equation of motion using time-step integration
+ * Solve the dynamic equation of motion using time-step integration. The response
+ * is sampled like the excitation; a finer dt is met by substepping.
  * @param model Structure model
  * @param excitation Ground motion excitation
- * @param dt Time step for integration
+ * @param dt Integration time step (default: the excitation's sample interval)
+ * @param options Integrator selection and parameters, and a progress callback
  * @returns Structural response in time domain
  */
 export function solveResponseTimeHistory(
   model: StructureModel,
   excitation: SeismicWaveform,
-  dt: number = 0.01
+  dt?: number,
+  options: SolverOptions = {}
 ): StructuralResponse {
-  const { massMatrix, stiffnessMatrix, dampingMatrix, numDOFs } = model;
+  const integrator = createIntegrator(options);
+  const outputTimeStep = getTimeStep(excitation);
+  
+  if (model.storySprings) {
+    const integration = planTimeStep(model, integrator, outputTimeStep, dt, options.substeps);
+    const report = createProgressReporter(excitation, outputTimeStep, options);
+    return withResultChannels(
+      model, excitation, solveNonlinearStoryResponse(model, excitation, integrator, integration, report), options);
+  }
+  
+  // Gravity loads soften the structure by the geometric stiffness (throws if it buckles)
+  const system = secondOrderModel(model);
+  const integration = planTimeStep(system, integrator, outputTimeStep, dt, options.substeps);
+  const report = createProgressReporter(excitation, outputTimeStep, options);
+  const { massMatrix, stiffnessMatrix, numDOFs } = model;
   const { time: excitationTime, amplitude: excitationAccel } = excitation;
   
-  // Ensure consistent time step
+  // Response samples match the excitation
   const time: number[] = [];
   const numSteps = excitationTime.length;
   
   for (let i = 0; i < numSteps; i++) {
-    time.push(i * dt);
+    time.push(excitationTime[0] + i * outputTimeStep);
   }
   
-  // Initialize displacement, velocity, and acceleration arrays
-  const displacement: number[][] = Array(numSteps).fill(0).map(() => Array(numDOFs).fill(0));
-  const velocity: number[][] = Array(numSteps).fill(0).map(() => Array(numDOFs).fill(0));
-  const acceleration: number[][] = Array(numSteps).fill(0).map(() => Array(numDOFs).fill(0));
-  
-  // Force vector at each time step
-  const force: number[][] = Array(numSteps).fill(0).map(() => Array(numDOFs).fill(0));
-  
-  // Calculate force vector (F = -M * influence * ag)
-  for (let t = 0; t < numSteps; t++) {
-    const ag = excitationAccel[t];
-    
-    // Apply ground acceleration to each DOF through mass matrix
+  // Effective force F = -M * influence * ag
+  const influenceMass = massMatrix.map(row => row.reduce((sum, m) => sum + m, 0));
+  const buffers = integrateLinearSystem(system, (t, out) => {
     for (let i = 0; i < numDOFs; i++) {
-      force[t][i] = -massMatrix[i][i] * ag;
+      out[i] = -influenceMass[i] * excitationAccel[t];
     }
-  }
-  
-  // Solve using Newmark-beta method
-  const beta = 0.25; // Newmark-beta parameters
-  const gamma = 0.5;
-  
-  // Integration constants
-  const a1 = 1 / (beta * dt * dt);
-  const a2 = 1 / (beta * dt);
-  const a3 = (1 - 2 * beta) / (2 * beta);
+  }, numSteps, outputTimeStep, integrator, integration.substeps, (completed, partial) => {
+    report(completed, (from, to) => bufferRows(partial.displacement.subarray(from * numDOFs, to * numDOFs), numDOFs));
+  });
   
-  // Function to solve a system of linear equations Ax = b
-  function solve(A: number[][], b: number[]): number[] {
-    // Simple Gaussian elimination - for production code, use a robust linear solver
-    const n = A.length;
-    const x = Array(n).fill(0);
-    
-    // Create augmented matrix
-    const augMatrix: number[][] = Array(n).fill(0).map((_, i) => [...A[i], b[i]]);
-    
-    // Forward elimination
-    for (let i = 0; i < n; i++) {
-      // Find pivot
-      let maxRow = i;
-      for (let j = i + 1; j < n; j++) {
-        if (Math.abs(augMatrix[j][i]) > Math.abs(augMatrix[maxRow][i])) {
-          maxRow = j;
-        }
-      }
-      
-      // Swap rows
-      if (maxRow !== i) {
-        [augMatrix[i], augMatrix[maxRow]] = [augMatrix[maxRow], augMatrix[i]];
-      }
-      
-      // Eliminate below
-      for (let j = i + 1; j < n; j++) {
-        const factor = augMatrix[j][i] / augMatrix[i][i];
-        for (let k = i; k <= n; k++) {
-          augMatrix[j][k] -= factor * augMatrix[i][k];
-        }
-      }
-    }
-    
-    // Back substitution
-    for (let i = n - 1; i >= 0; i--) {
-      x[i] = augMatrix[i][n];
-      for (let j = i + 1; j < n; j++) {
-        x[i] -= augMatrix[i][j] * x[j];
-      }
-      x[i] /= augMatrix[i][i];
+  // Base shear is the sum of the restoring forces K·u (column sums of K times u)
+  const stiffnessSums = stiffnessMatrix[0]?.map((_, j) => stiffnessMatrix.reduce((sum, row) => sum + row[j], 0)) ?? [];
+  const baseShear = Array.from({ length: numSteps }, (_, t) => {
+    let shear = 0;
+    for (let j = 0; j < numDOFs; j++) {
+      shear += stiffnessSums[j] * buffers.displacement[t * numDOFs + j];
     }
-    
-    return x;
-  }
+    return shear;
+  });
   
-  // Modified mass and stiffness matrices for Newmark method
-  const effectiveK: number[][] = Array(numDOFs).fill(0).map(() => Array(numDOFs).fill(0));
+  return withResultChannels(model, excitation, {
+    ...summarizeResponse(
+      time,
+      bufferRows(buffers.displacement, numDOFs),
+      bufferRows(buffers.velocity, numDOFs),
+      bufferRows(buffers.acceleration, numDOFs),
+      baseShear
+    ),
+    integration
+  }, options);
+}
+
+/**
+ * Adds the optional energy balance and damage index channels to a response
+ */
+function withResultChannels(
+  model: StructureModel,
+  excitation: SeismicWaveform,
+  response: StructuralResponse,
+  options: SolverOptions
+): StructuralResponse {
+  const { energy, damageIndices } = options;
+  if (!energy && !damageIndices) return response;
   
-  // Calculate effective stiffness matrix: K* = K + a1*M + a2*C
-  for (let i = 0; i < numDOFs; i++) {
-    for (let j = 0; j < numDOFs; j++) {
-      effectiveK[i][j] = stiffnessMatrix[i][j] + 
-        a1 * massMatrix[i][j] + 
-        a2 * gamma * dampingMatrix[i][j];
-    }
-  }
+  const balance = computeEnergyBalance(model, excitation, response);
+  const finalStoryEnergy = balance.storyHysteretic[balance.storyHysteretic.length - 1] ?? [];
   
-  // Time stepping
-  for (let t = 0; t < numSteps - 1; t++) {
-    const effectiveForce = Array(numDOFs).fill(0);
-    
-    // Calculate effective force
-    for (let i = 0; i < numDOFs; i++) {
-      // F* = F + M(a1*u + a2*v + a3*a) + C(a2*gamma*u + v)
-      effectiveForce[i] = force[t+1][i];
-      
-      for (let j = 0; j < numDOFs; j++) {
-        effectiveForce[i] += massMatrix[i][j] * (
-          a1 * displacement[t][j] + 
-          a2 * velocity[t][j] + 
-          a3 * acceleration[t][j]
-        );
-        
-        effectiveForce[i] += dampingMatrix[i][j] * (
-          a2 * gamma * displacement[t][j] + 
-          velocity[t][j]
-        );
-      }
-    }
-    
-    // Solve for displacement at next time step
-    displacement[t+1] = solve(effectiveK, effectiveForce);
+  return {
+    ...response,
+    ...(energy ? { energy: balance } : {}),
+    ...(damageIndices
+      ? { damageIndices: computeDamageIndices(model, response, finalStoryEnergy, damageIndices === true ? {} : damageIndices) }
+      : {})
+  };
+}
+
+/**
+ * Creates a progress reporter that forwards new displacement rows every progressInterval samples
+ */
+function createProgressReporter(
+  excitation: SeismicWaveform,
+  outputTimeStep: number,
+  options: SolverOptions
+): (completed: number, rows: (from: number, to: number) => number[][]) => void {
+  const { onProgress } = options;
+  const total = excitation.amplitude.length;
+  const interval = Math.max(1, Math.round(options.progressInterval ?? total / 50));
+  let reported = 0;
+  
+  return (completed, rows) => {
+    if (!onProgress || (completed - reported < interval && completed < total)) return;
     
-    // Update velocity and acceleration
-    for (let i = 0; i < numDOFs; i++) {
-      velocity[t+1][i] = a2 * (displacement[t+1][i] - displacement[t][i]) - 
-        a3 * velocity[t][i];
-      
-      acceleration[t+1][i] = a1 * (displacement[t+1][i] - displacement[t][i] - 
-        dt * velocity[t][i]) - a3 * acceleration[t][i];
-    }
-  }
+    onProgress({
+      completed,
+      total,
+      time: Array.from({ length: completed - reported }, (_, i) => excitation.time[0] + (reported + i) * outputTimeStep),
+      displacement: rows(reported, completed)
+    });
+    reported = completed;
+  };
+}
+
+/**
+ * Integrates M·a + C·v + K·u = F(t) from rest
+ * @param model Structure model (mass, damping and stiffness matrices)
+ * @param force Effective load at each time step [time][dof]
+ * @param dt Sample interval of the load
+ * @param options Integrator selection, parameters and substeps
+ * @returns Relative displacement, velocity and acceleration [time][dof]
+ */
+export function integrateLinearResponse(
+  model: StructureModel,
+  force: number[][],
+  dt: number,
+  options: IntegratorOptions = {}
+): { displacement: number[][]; velocity: number[][]; acceleration: number[][] } {
+  const buffers = integrateLinearSystem(
+    model, (t, out) => out.set(force[t]), force.length, dt, createIntegrator(options), options.substeps ?? 1);
   
-  // Calculate base shear and drifts
-  const baseShear: number[] = Array(numSteps).fill(0);
+  return {
+    displacement: bufferRows(buffers.displacement, model.numDOFs),
+    velocity: bufferRows(buffers.velocity, model.numDOFs),
+    acceleration: bufferRows(buffers.acceleration, model.numDOFs)
+  };
+}
+
+/**
+ * Assembles the response with peak story drifts and peak absolute displacement and acceleration
+ * @param time Time points
+ * @param displacement Displacement at each DOF [time][dof]
+ * @param velocity Velocity at each DOF [time][dof]
+ * @param acceleration Acceleration at each DOF [time][dof]
+ * @param baseShear Base shear at each time point
+ * @returns Structural response with peak values
+ */
+export function summarizeResponse(
+  time: number[],
+  displacement: number[][],
+  velocity: number[][],
+  acceleration: number[][],
+  baseShear: number[]
+): StructuralResponse {
+  const numDOFs = displacement[0]?.length ?? 0;
   const drifts: number[] = Array(numDOFs).fill(0);
   
-  // For each time step
-  for (let t = 0; t < numSteps; t++) {
-    // Base shear
+  // Maximum story drift (the first story drifts relative to the ground)
+  for (let t = 0; t < displacement.length; t++) {
     for (let i = 0; i < numDOFs; i++) {
-      baseShear[t] += stiffnessMatrix[0][i] * displacement[t][i];
-    }
-    
-    // Maximum story drift
-    for (let i = 0; i < numDOFs - 1; i++) {
-      const storyDrift = Math.abs(displacement[t][i+1] - displacement[t][i]);
+      const storyDrift = Math.abs(displacement[t][i] - (i > 0 ? displacement[t][i - 1] : 0));
       if (storyDrift > drifts[i]) {
         drifts[i] = storyDrift;
       }
@@ -377,7 +489,7 @@ export function solveResponseTimeHistory(
   let maxDisp = 0;
   let maxAccel = 0;
   
-  for (let t = 0; t < numSteps; t++) {
+  for (let t = 0; t < displacement.length; t++) {
     for (let i = 0; i < numDOFs; i++) {
       maxDisp = Math.max(maxDisp, Math.abs(displacement[t][i]));
       maxAccel = Math.max(maxAccel, Math.abs(acceleration[t][i]));
@@ -396,6 +508,147 @@ export function solveResponseTimeHistory(
   };
 }
 
+/**
+ * Creates the story springs of a shear building model with the assembly of
+ * their restoring forces; each spring acts on the drift of its story, and
+ * gravity loads add the P-Delta forces KG·u
+ * @param model Shear building model with story springs
+ * @returns Springs, the half-bandwidth of their tangent, the banded assembly of
+ * floor forces and tangent stiffness for trial displacements, and its dense form
+ */
+export function createStoryRestoringForce(model: StructureModel): {
+  springs: HystereticSpring[];
+  bandwidth: number;
+  assemble: (u: Float64Array, force: Float64Array, tangent: BandedMatrix) => void;
+  restoring: (u: number[]) => { force: number[]; tangent: number[][] };
+} {
+  const { numDOFs, properties } = model;
+  const storyStiffness = model.storyStiffness ?? [];
+  const springs: HystereticSpring[] = (model.storySprings ?? []).map((params, i) =>
+    createHystereticSpring(params, storyStiffness[i], properties.storyHeight));
+  
+  if (springs.length !== numDOFs) {
+    throw new Error(`Expected ${numDOFs} story springs, got ${springs.length}`);
+  }
+  
+  const geometric = model.gravityLoads ? toBandedMatrix(geometricStiffnessMatrix(model)) : null;
+  const bandwidth = Math.max(1, geometric ? geometric.bandwidth : 0);
+  const geometricForce = new Float64Array(numDOFs);
+  
+  // Adds the restoring forces and tangent stiffness of trial story drifts (leading DOFs of force and tangent)
+  const assemble = (u: Float64Array, force: Float64Array, tangent: BandedMatrix) => {
+    springs.forEach((spring, i) => {
+      const { force: shear, tangent: stiffness } = spring.trial(u[i] - (i > 0 ? u[i - 1] : 0));
+      force[i] += shear;
+      if (i > 0) force[i - 1] -= shear;
+      bandedAddElement(tangent, i - 1, i, stiffness);
+    });
+    
+    if (geometric) {
+      bandedMultiply(geometric, u.subarray(0, numDOFs), geometricForce);
+      for (let i = 0; i < numDOFs; i++) force[i] += geometricForce[i];
+      bandedAdd(tangent, geometric);
+    }
+  };
+  
+  const restoring = (u: number[]) => {
+    const force = new Float64Array(numDOFs);
+    const tangent = { size: numDOFs, bandwidth, data: new Float64Array(numDOFs * (bandwidth + 1)) };
+    assemble(Float64Array.from(u), force, tangent);
+    return { force: Array.from(force), tangent: toDenseMatrix(tangent) };
+  };
+  
+  return { springs, bandwidth, assemble, restoring };
+}
+
+/**
+ * Solves a shear building with nonlinear story springs by the Newmark method
+ * with Newton-Raphson equilibrium iterations in each step
+ * @param model Shear building model with story springs
+ * @param excitation Ground motion excitation
+ * @param integrator Newmark-family integrator
+ * @param integration Step size and substeps from planTimeStep
+ * @param report Progress reporter
+ * @returns Structural response with story hysteresis, ductility demand and residual drift,
+ * ending at sidesway collapse when gravity loads are present
+ */
+function solveNonlinearStoryResponse(
+  model: StructureModel,
+  excitation: SeismicWaveform,
+  integrator: TimeIntegrator,
+  integration: IntegrationReport,
+  report: (completed: number, rows: (from: number, to: number) => number[][]) => void
+): StructuralResponse {
+  const { massMatrix, dampingMatrix, numDOFs } = model;
+  const { springs, bandwidth, assemble } = createStoryRestoringForce(model);
+  const collapseDrift = model.gravityLoads ? sideswayCollapseDrift(model) : null;
+  let sideswayCollapse: { story: number; time: number } | null = null;
+  
+  const influenceMass = massMatrix.map(row => row.reduce((sum, m) => sum + m, 0));
+  const baseShear: number[] = [];
+  const storyHysteresis: StoryHysteresis[] = springs.map(spring => ({
+    drift: [],
+    shear: [],
+    yieldDrift: spring.yieldDeformation
+  }));
+  
+  const buffers = integrateNonlinearSystem(
+    {
+      massMatrix,
+      dampingMatrix,
+      bandwidth,
+      resistingForce: (u, _v, force, stiffness) => {
+        assemble(u, force, stiffness);
+        return true;
+      },
+      commit: () => springs.forEach(spring => spring.commit())
+    },
+    (t, out) => {
+      for (let i = 0; i < numDOFs; i++) out[i] = -influenceMass[i] * excitation.amplitude[t];
+    },
+    excitation.amplitude.length,
+    integration.outputTimeStep,
+    integrator,
+    integration.substeps,
+    (completed, partial) => {
+      baseShear.push(springs[0].getForce());
+      springs.forEach((spring, i) => {
+        storyHysteresis[i].drift.push(spring.getDeformation());
+        storyHysteresis[i].shear.push(spring.getForce());
+      });
+      report(completed, (from, to) => bufferRows(partial.displacement.subarray(from * numDOFs, to * numDOFs), numDOFs));
+      
+      // Past its collapse drift a story has no lateral strength left under P-Delta: the response ends there
+      const story = collapseDrift
+        ? springs.findIndex((spring, i) => Math.abs(spring.getDeformation()) >= collapseDrift[i])
+        : -1;
+      if (story < 0) return false;
+      sideswayCollapse = { story, time: excitation.time[0] + (completed - 1) * integration.outputTimeStep };
+      return true;
+    }
+  );
+  
+  const time = Array.from({ length: buffers.numSteps }, (_, t) => excitation.time[0] + t * integration.outputTimeStep);
+  const response = summarizeResponse(
+    time,
+    bufferRows(buffers.displacement, numDOFs),
+    bufferRows(buffers.velocity, numDOFs),
+    bufferRows(buffers.acceleration, numDOFs),
+    baseShear
+  );
+  
+  return {
+    ...response,
+    storyHysteresis,
+    ductilityDemand: storyHysteresis.map(loop =>
+      loop.drift.reduce((max, d) => Math.max(max, Math.abs(d)), 0) / loop.yieldDrift),
+    residualDrift: storyHysteresis.map(loop => loop.drift[loop.drift.length - 1]),
+    nonConvergedSteps: buffers.nonConvergedSteps,
+    ...(collapseDrift ? { sideswayCollapse } : {}),
+    integration
+  };
+}
+
 /**
  * Create a THREE.js visual representation of the building model
  * @param model Structure model
@@ -441,6 +694,18 @@ export function createBuildingVisualization(
       return originalCoord.clone();
     }
     
+    // Models that map their nodes to DOFs (e.g. frames with rigid floors)
+    if (model.nodeFloorIndex) {
+      const dof = model.nodeFloorIndex[index];
+      const displacement = dof >= 0 ? response.displacement[responseStep][dof] || 0 : 0;
+      
+      return new THREE.Vector3(
+        originalCoord.x + displacement * deformationScale,
+        originalCoord.y,
+        originalCoord.z
+      );
+    }
+    
     // Apply deformation if this is a DOF node
     if (index <= model.numDOFs) {
       const displacement = response.displacement[responseStep][index - 1] || 0;
@@ -455,7 +720,7 @@ export function createBuildingVisualization(
     
     // For non-DOF nodes like floor corners, find the associated floor
     for (let i = 0; i < model.numDOFs; i++) {
-      const floorHeight = (i + 1) * properties.storyHeight;
+      const floorHeight = model.floorHeights?.[i] ?? (i + 1) * properties.storyHeight;
       
       if (Math.abs(originalCoord.y - floorHeight) < 0.001) {
         // This node is on floor i
@@ -529,8 +794,10 @@ export function createBuildingVisualization(
   if (floorDimensions) {
     const { width, depth } = floorDimensions;
     
-    for (let i = 0; i < properties.numStories; i++) {
-      const floorHeight = (i + 1) * properties.storyHeight;
+    const numFloors = model.floorHeights?.length ?? properties.numStories;
+    
+    for (let i = 0; i < numFloors; i++) {
+      const floorHeight = model.floorHeights?.[i] ?? (i + 1) * properties.storyHeight;
       
       // Calculate displacement for this floor
       let displacementX = 0;
@@ -720,6 +987,9 @@ export function createResponseAnimation(
 export default {
   createShearBuildingModel,
   solveResponseTimeHistory,
+  integrateLinearResponse,
+  summarizeResponse,
+  createStoryRestoringForce,
   createBuildingVisualization,
   createResponseAnimation
 }; 
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { SeismicWaveform } from './dataProcessor';
+import {
+  SolverOptions,
+  StructuralResponse,
+  StructureModel,
+  solveResponseTimeHistory
+} from './simulationEngine';
+import { IntegratorOptions, IntegratorType } from './integrators';
+
+/**
+ * Structure model without the THREE.js geometry, safe to post to a worker
+ */
+export type SerializableStructureModel = Omit<StructureModel, 'nodeCoordinates' | 'elementConnectivity'>;
+
+/**
+ * Integrator options that survive structured cloning (built-in integrators only),
+ * with the optional result channels
+ */
+export type SerializableIntegratorOptions = Omit<IntegratorOptions, 'integrator'> & {
+  integrator?: IntegratorType;
+} & Pick<SolverOptions, 'energy' | 'damageIndices'>;
+
+/**
+ * Request to solve a time history
+ */
+export interface SimulationRequest {
+  id: number;                 // Echoed in every message so stale runs can be ignored
+  model: SerializableStructureModel;
+  excitation: SeismicWaveform;
+  dt?: number;
+  options?: SerializableIntegratorOptions;
+  progressInterval?: number;  // Output samples between progress messages
+}
+
+/**
+ * Messages posted back while and after solving a request
+ */
+export type SimulationMessage =
+  | { type: 'progress'; id: number; completed: number; total: number; time: number[]; displacement: number[][] }
+  | { type: 'result'; id: number; response: StructuralResponse }
+  | { type: 'error'; id: number; message: string };
+
+/**
+ * Strips a structure model down to its serializable fields
+ * @param model Structure model
+ * @returns Every model field except the THREE.js geometry
+ */
+export function toSerializableModel(model: StructureModel): SerializableStructureModel {
+  const { nodeCoordinates, elementConnectivity, ...serializable } = model;
+  return serializable;
+}
+
+/**
+ * Solves a simulation request, posting progress with partial displacements
+ * and then the full response (or an error)
+ * @param request Simulation request
+ * @param post Receives each message
+ */
+export function runSimulationRequest(
+  request: SimulationRequest,
+  post: (message: SimulationMessage) => void
+): void {
+  const { id, model, excitation, dt, options = {}, progressInterval } = request;
+
+  try {
+    const response = solveResponseTimeHistory(
+      { ...model, nodeCoordinates: [], elementConnectivity: [] },
+      excitation,
+      dt,
+      {
+        ...options,
+        progressInterval,
+        onProgress: progress => post({ type: 'progress', id, ...progress })
+      }
+    );
+    post({ type: 'result', id, response });
+  } catch (error) {
+    post({ type: 'error', id, message: error instanceof Error ? error.message : String(error) });
+  }
+}
+
+export default {
+  toSerializableModel,
+  runSimulationRequest
+};
@@ -0,0 +1,329 @@
+import { SeismicWaveform, getTimeStep } from './dataProcessor';
+import { fft, nextPowerOfTwo, realFourierTransform } from './fft';
+
+/**
+ * One-sided Fourier spectrum of a waveform
+ */
+export interface FourierSpectrum {
+  frequencies: number[];        // Frequencies in Hz
+  amplitude: number[];          // Fourier amplitude (record units · s)
+  phase: number[];              // Phase angle in radians
+  smoothedAmplitude?: number[]; // Konno-Ohmachi smoothed amplitude (if requested)
+  units?: string;               // Units of the amplitude
+}
+
+/**
+ * Options for the Fourier spectrum
+ */
+export interface FourierSpectrumOptions {
+  taperFraction?: number;       // Cosine taper at each end (default: 0.05)
+  minLength?: number;           // Minimum FFT length in samples before rounding up to a power of two
+  smoothingBandwidth?: number;  // Konno-Ohmachi b; omit to skip smoothing
+}
+
+/**
+ * Time-frequency representation ready for heatmap plotting.
+ * Rows of values run from the highest to the lowest frequency so the
+ * first row is drawn at the top of dataVisualizer.createHeatmap.
+ */
+export interface Spectrogram {
+  times: number[];              // Centre time of each column (s)
+  frequencies: number[];        // Frequency of each row (Hz), descending
+  values: number[][];           // values[row][column]
+  xLabels: string[];            // Formatted times for heatmap axes
+  yLabels: string[];            // Formatted frequencies for heatmap axes
+  method: 'stft' | 'morlet';
+  scale: 'amplitude' | 'power';
+}
+
+/**
+ * Options for the short-time Fourier transform spectrogram
+ */
+export interface StftOptions {
+  windowLength?: number;        // Window length in seconds (default: 2)
+  overlap?: number;             // Fraction of window overlap (default: 0.75)
+  maxFrequency?: number;        // Highest frequency kept (default: Nyquist)
+  scale?: 'amplitude' | 'power';
+}
+
+/**
+ * Options for the Morlet wavelet spectrogram
+ */
+export interface WaveletOptions {
+  minFrequency?: number;        // Lowest frequency (default: 0.1 Hz)
+  maxFrequency?: number;        // Highest frequency (default: min(25 Hz, Nyquist))
+  numFrequencies?: number;      // Log-spaced frequency rows (default: 60)
+  omega0?: number;              // Morlet centre frequency parameter (default: 6)
+  maxTimeSteps?: number;        // Columns kept after decimation (default: 300)
+  scale?: 'amplitude' | 'power';
+}
+
+/**
+ * Applies a cosine (Tukey) taper to both ends of a signal
+ */
+function taperSignal(values: number[], fraction: number): number[] {
+  const n = values.length;
+  const taperSamples = Math.floor(Math.min(0.5, Math.max(0, fraction)) * n);
+
+  return values.map((value, i) => {
+    if (i < taperSamples) {
+      return value * 0.5 * (1 - Math.cos(Math.PI * i / taperSamples));
+    }
+    if (i >= n - taperSamples) {
+      return value * 0.5 * (1 - Math.cos(Math.PI * (n - 1 - i) / taperSamples));
+    }
+    return value;
+  });
+}
+
+const formatLabel = (value: number) => (value >= 10 ? value.toFixed(1) : value.toPrecision(3));
+
+/**
+ * Smooths a spectrum with the Konno-Ohmachi (1998) log-frequency window
+ * @param frequencies Frequencies of the spectrum (Hz)
+ * @param amplitude Spectral amplitudes
+ * @param bandwidth Smoothing coefficient b (default: 40)
+ * @param centerFrequencies Frequencies at which to evaluate the smoothed spectrum (default: frequencies)
+ * @returns Smoothed amplitudes at the centre frequencies
+ */
+export function konnoOhmachiSmoothing(
+  frequencies: number[],
+  amplitude: number[],
+  bandwidth: number = 40,
+  centerFrequencies: number[] = frequencies
+): number[] {
+  // Beyond |b log10(f/fc)| = 3π the window weight is at most about 1e-4 of its peak
+  const cutoff = 3 * Math.PI;
+
+  return centerFrequencies.map(fc => {
+    if (fc <= 0) return amplitude[frequencies.indexOf(fc)] ?? 0;
+
+    let weightedSum = 0;
+    let weightTotal = 0;
+
+    for (let k = 0; k < frequencies.length; k++) {
+      const f = frequencies[k];
+      if (f <= 0) continue;
+
+      const x = bandwidth * Math.log10(f / fc);
+      if (Math.abs(x) > cutoff) continue;
+
+      const weight = x === 0 ? 1 : Math.pow(Math.sin(x) / x, 4);
+      weightedSum += weight * amplitude[k];
+      weightTotal += weight;
+    }
+
+    return weightTotal > 0 ? weightedSum / weightTotal : 0;
+  });
+}
+
+/**
+ * Computes the Fourier amplitude and phase spectrum of a waveform
+ * @param waveform Input waveform
+ * @param options Taper, padding and smoothing options
+ * @returns One-sided Fourier spectrum
+ */
+export function calculateFourierSpectrum(
+  waveform: SeismicWaveform,
+  options: FourierSpectrumOptions = {}
+): FourierSpectrum {
+  const { taperFraction = 0.05, minLength, smoothingBandwidth } = options;
+  const dt = getTimeStep(waveform);
+  const signal = taperSignal(waveform.amplitude, taperFraction);
+  const { frequencies, re, im } = realFourierTransform(signal, dt, minLength);
+
+  const amplitude = re.map((value, k) => Math.hypot(value, im[k]));
+  const phase = re.map((value, k) => Math.atan2(im[k], value));
+  const units = waveform.metadata?.units ? `${waveform.metadata.units}·s` : undefined;
+
+  return {
+    frequencies,
+    amplitude,
+    phase,
+    ...(smoothingBandwidth !== undefined
+      ? { smoothedAmplitude: konnoOhmachiSmoothing(frequencies, amplitude, smoothingBandwidth) }
+      : {}),
+    units
+  };
+}
+
+/**
+ * Formats a Fourier spectrum as Chart.js line chart data
+ * @param spectrum Fourier spectrum
+ * @returns Chart.js data object with raw and (if present) smoothed amplitude datasets
+ */
+export function fourierSpectrumChartData(spectrum: FourierSpectrum): {
+  labels: number[];
+  datasets: { label: string; data: number[]; borderColor: string; backgroundColor: string }[];
+} {
+  const datasets = [
+    {
+      label: 'Fourier Amplitude',
+      data: spectrum.amplitude,
+      borderColor: 'rgba(54, 162, 235, 0.6)',
+      backgroundColor: 'rgba(54, 162, 235, 0.2)',
+    }
+  ];
+
+  if (spectrum.smoothedAmplitude) {
+    datasets.push({
+      label: 'Konno-Ohmachi Smoothed',
+      data: spectrum.smoothedAmplitude,
+      borderColor: 'rgb(255, 99, 132)',
+      backgroundColor: 'rgba(255, 99, 132, 0.5)',
+    });
+  }
+
+  return { labels: spectrum.frequencies, datasets };
+}
+
+/**
+ * Computes a short-time Fourier transform spectrogram with a Hann window
+ * @param waveform Input waveform
+ * @param options Window, overlap and scaling options
+ * @returns Spectrogram with rows of descending frequency
+ */
+export function calculateSpectrogram(
+  waveform: SeismicWaveform,
+  options: StftOptions = {}
+): Spectrogram {
+  const { windowLength = 2, overlap = 0.75, scale = 'amplitude' } = options;
+  const dt = getTimeStep(waveform);
+  const { amplitude, time } = waveform;
+
+  const windowSamples = Math.min(amplitude.length, Math.max(4, Math.round(windowLength / dt)));
+  const hop = Math.max(1, Math.round(windowSamples * (1 - Math.min(Math.max(overlap, 0), 0.95))));
+  const size = nextPowerOfTwo(windowSamples);
+  const df = 1 / (size * dt);
+  const maxFrequency = Math.min(options.maxFrequency ?? Infinity, 1 / (2 * dt));
+  const numBins = Math.floor(maxFrequency / df) + 1;
+
+  const hann = Array.from({ length: windowSamples }, (_, i) =>
+    0.5 * (1 - Math.cos(2 * Math.PI * i / (windowSamples - 1))));
+
+  const times: number[] = [];
+  const columns: number[][] = [];
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+
+  for (let start = 0; start + windowSamples <= amplitude.length; start += hop) {
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < windowSamples; i++) {
+      re[i] = amplitude[start + i] * hann[i];
+    }
+
+    fft(re, im);
+
+    const column: number[] = [];
+    for (let k = 0; k < numBins; k++) {
+      const magnitude = Math.hypot(re[k], im[k]) * dt;
+      column.push(scale === 'power' ? magnitude * magnitude : magnitude);
+    }
+
+    columns.push(column);
+    times.push(time[start] + (windowSamples - 1) * dt / 2);
+  }
+
+  const frequencies = Array.from({ length: numBins }, (_, k) => (numBins - 1 - k) * df);
+  const values = frequencies.map((_, row) => columns.map(column => column[numBins - 1 - row]));
+
+  return {
+    times,
+    frequencies,
+    values,
+    xLabels: times.map(formatLabel),
+    yLabels: frequencies.map(formatLabel),
+    method: 'stft',
+    scale
+  };
+}
+
+/**
+ * Computes a continuous wavelet transform spectrogram with a Morlet wavelet
+ * (Torrence & Compo, 1998), evaluated in the frequency domain
+ * @param waveform Input waveform
+ * @param options Frequency range, wavelet and decimation options
+ * @returns Spectrogram with rows of descending frequency
+ */
+export function calculateWaveletSpectrogram(
+  waveform: SeismicWaveform,
+  options: WaveletOptions = {}
+): Spectrogram {
+  const dt = getTimeStep(waveform);
+  const {
+    minFrequency = 0.1,
+    maxFrequency = Math.min(25, 1 / (2 * dt)),
+    numFrequencies = 60,
+    omega0 = 6,
+    maxTimeSteps = 300,
+    scale = 'amplitude'
+  } = options;
+
+  const { amplitude, time } = waveform;
+  const n = amplitude.length;
+  const size = nextPowerOfTwo(2 * n);
+
+  // Transform of the zero-padded signal
+  const signalRe = new Float64Array(size);
+  const signalIm = new Float64Array(size);
+  for (let i = 0; i < n; i++) {
+    signalRe[i] = amplitude[i];
+  }
+  fft(signalRe, signalIm);
+
+  const stride = Math.max(1, Math.ceil(n / maxTimeSteps));
+  const columnIndices: number[] = [];
+  for (let i = 0; i < n; i += stride) {
+    columnIndices.push(i);
+  }
+
+  // Fourier factor converts Morlet scale to equivalent Fourier period
+  const fourierFactor = 4 * Math.PI / (omega0 + Math.sqrt(2 + omega0 * omega0));
+  const frequencies = Array.from({ length: numFrequencies }, (_, k) =>
+    maxFrequency * Math.pow(minFrequency / maxFrequency, k / Math.max(numFrequencies - 1, 1)));
+
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+
+  const values = frequencies.map(frequency => {
+    const s = 1 / (fourierFactor * frequency);
+    const normalization = Math.sqrt(2 * Math.PI * s / dt) * Math.pow(Math.PI, -0.25);
+
+    re.fill(0);
+    im.fill(0);
+    for (let k = 1; k <= size / 2; k++) {
+      const omega = 2 * Math.PI * k / (size * dt);
+      const daughter = normalization * Math.exp(-0.5 * Math.pow(s * omega - omega0, 2));
+      re[k] = signalRe[k] * daughter;
+      im[k] = signalIm[k] * daughter;
+    }
+
+    fft(re, im, true);
+
+    return columnIndices.map(i => {
+      const power = re[i] * re[i] + im[i] * im[i];
+      return scale === 'power' ? power : Math.sqrt(power);
+    });
+  });
+
+  const times = columnIndices.map(i => time[i]);
+
+  return {
+    times,
+    frequencies,
+    values,
+    xLabels: times.map(formatLabel),
+    yLabels: frequencies.map(formatLabel),
+    method: 'morlet',
+    scale
+  };
+}
+
+export default {
+  konnoOhmachiSmoothing,
+  calculateFourierSpectrum,
+  fourierSpectrumChartData,
+  calculateSpectrogram,
+  calculateWaveletSpectrogram
+};
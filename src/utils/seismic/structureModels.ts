@@ -0,0 +1,245 @@
+import {
+  BuildingStructureParams,
+  StructureModel,
+  createShearBuildingModel
+} from './simulationEngine';
+import { buildDampingMatrix } from './damping';
+import { generalizedEigen, staticCondensation, zeros } from './linearAlgebra';
+import { IsolatedStructureModel, attachIsolationLayer } from './baseIsolation';
+
+/**
+ * Relative story stiffness multipliers from the stiffness profile
+ */
+function stiffnessFactors(params: BuildingStructureParams): number[] {
+  const { numStories, stiffnessProfile = 'uniform', customStiffness } = params;
+
+  switch (stiffnessProfile) {
+    case 'linear':
+      return Array.from({ length: numStories }, (_, i) => 1 - 0.7 * (i / numStories));
+    case 'custom':
+      if (customStiffness && customStiffness.length === numStories) {
+        const reference = customStiffness[0] || 1;
+        return customStiffness.map(value => value / reference);
+      }
+      return Array(numStories).fill(1);
+    default:
+      return Array(numStories).fill(1);
+  }
+}
+
+/**
+ * Scales a stiffness matrix so that the first mode has the target period
+ */
+function scaleToPeriod(stiffness: number[][], mass: number[][], period: number): number[][] {
+  const { values } = generalizedEigen(stiffness, mass);
+  const factor = Math.pow(2 * Math.PI / period, 2) / values[0];
+  return stiffness.map(row => row.map(value => value * factor));
+}
+
+/**
+ * Assembles the lateral stiffness of a flexural column line with optional shear
+ * springs and beam rotational springs, condensing the floor rotations
+ * @param storyHeight Story height (m)
+ * @param flexural Column EI of each story
+ * @param shear Lateral shear spring of each story (GA/h)
+ * @param rotational Rotational spring at each floor from the beams
+ * @returns Lateral stiffness matrix (one DOF per floor)
+ */
+function condensedFlexuralStiffness(
+  storyHeight: number,
+  flexural: number[],
+  shear: number[],
+  rotational: number[]
+): number[][] {
+  const n = flexural.length;
+  const h = storyHeight;
+  const K = zeros(2 * n);
+
+  // DOFs are ordered [u1, θ1, u2, θ2, ...]; the ground DOFs are fixed
+  const add = (i: number, j: number, value: number) => {
+    if (i >= 0 && j >= 0) K[i][j] += value;
+  };
+
+  for (let story = 0; story < n; story++) {
+    const EI = flexural[story];
+    const element = [
+      [12, 6 * h, -12, 6 * h],
+      [6 * h, 4 * h * h, -6 * h, 2 * h * h],
+      [-12, -6 * h, 12, -6 * h],
+      [6 * h, 2 * h * h, -6 * h, 4 * h * h]
+    ].map(row => row.map(value => value * EI / (h * h * h)));
+    const dofs = [2 * story - 2, 2 * story - 1, 2 * story, 2 * story + 1];
+
+    for (let a = 0; a < 4; a++) {
+      for (let b = 0; b < 4; b++) {
+        add(dofs[a], dofs[b], element[a][b]);
+      }
+    }
+
+    // Shear beam acts on the story drift
+    add(2 * story, 2 * story, shear[story]);
+    if (story > 0) {
+      add(2 * story - 2, 2 * story - 2, shear[story]);
+      add(2 * story, 2 * story - 2, -shear[story]);
+      add(2 * story - 2, 2 * story, -shear[story]);
+    }
+
+    add(2 * story + 1, 2 * story + 1, rotational[story]);
+  }
+
+  const lateral = Array.from({ length: n }, (_, i) => 2 * i);
+  return staticCondensation(K, lateral).condensed;
+}
+
+/**
+ * Replaces the stiffness of a shear building template with a new lateral stiffness matrix
+ */
+function withLateralStiffness(
+  params: BuildingStructureParams,
+  template: StructureModel,
+  stiffness: number[][]
+): StructureModel {
+  const fundamentalPeriod = params.fundamentalPeriod ?? 0.1 * params.numStories;
+  const stiffnessMatrix = scaleToPeriod(stiffness, template.massMatrix, fundamentalPeriod);
+  const { dampingMatrix, modalDampingRatios } = buildDampingMatrix(template.massMatrix, stiffnessMatrix, {
+    dampingRatio: params.dampingRatio ?? 0.05,
+    ...params.damping
+  });
+
+  return {
+    ...template,
+    stiffnessMatrix,
+    dampingMatrix,
+    modalDampingRatios,
+    storyStiffness: undefined,
+    storySprings: undefined
+  };
+}
+
+/**
+ * Rejects story springs for models whose stories are not single shear springs
+ */
+function assertNoStorySprings(params: BuildingStructureParams, type: string): void {
+  if (params.storySprings) {
+    throw new Error(`Nonlinear story springs are only supported for shear and base-isolated models, not ${type}`);
+  }
+}
+
+/**
+ * Creates a flexural cantilever (Euler-Bernoulli) model with condensed floor rotations.
+ * The stiffness is scaled so the first mode has the fundamental period
+ * (default: 0.1 s per story).
+ * @param params Building structure parameters
+ * @returns Structure model with one lateral DOF per floor
+ */
+export function createCantileverModel(params: BuildingStructureParams): StructureModel {
+  assertNoStorySprings(params, 'cantilever');
+  const { numStories, storyHeight } = params;
+  const template = createShearBuildingModel({ ...params, storySprings: undefined });
+  const flexural = stiffnessFactors(params);
+  const stiffness = condensedFlexuralStiffness(storyHeight, flexural, Array(numStories).fill(0), Array(numStories).fill(0));
+
+  return withLateralStiffness(params, template, stiffness);
+}
+
+/**
+ * Creates a coupled flexural-shear beam model (Miranda, 1999) with condensed
+ * floor rotations. α = H·sqrt(GA/EI) sets the lateral stiffness ratio.
+ * @param params Building structure parameters
+ * @returns Structure model with one lateral DOF per floor
+ */
+export function createCoupledBeamModel(params: BuildingStructureParams): StructureModel {
+  assertNoStorySprings(params, 'coupled');
+  const { numStories, storyHeight, lateralStiffnessRatio = 6 } = params;
+  const template = createShearBuildingModel({ ...params, storySprings: undefined });
+  const factors = stiffnessFactors(params);
+  const totalHeight = numStories * storyHeight;
+
+  // GA = α²·EI/H², lumped into a lateral spring GA/h per story
+  const shearRatio = lateralStiffnessRatio * lateralStiffnessRatio / (totalHeight * totalHeight);
+  const stiffness = condensedFlexuralStiffness(
+    storyHeight,
+    factors,
+    factors.map(EI => EI * shearRatio / storyHeight),
+    Array(numStories).fill(0)
+  );
+
+  return withLateralStiffness(params, template, stiffness);
+}
+
+/**
+ * Creates a single-bay moment frame model with a lateral and a rotational DOF
+ * per floor; the rotations are massless and statically condensed.
+ * ρ = Σ(EI/L) beams / Σ(EI/h) columns ranges from 0 (columns only) to ∞ (shear building).
+ * @param params Building structure parameters
+ * @returns Structure model with one lateral DOF per floor
+ */
+export function createMomentFrameModel(params: BuildingStructureParams): StructureModel {
+  assertNoStorySprings(params, 'frame');
+  const { numStories, storyHeight, beamColumnStiffnessRatio = 0.125 } = params;
+  const template = createShearBuildingModel({ ...params, storySprings: undefined });
+  const columns = stiffnessFactors(params);
+
+  // Both joints of a floor rotate together; each beam end contributes 6EIb/L in antisymmetric bending
+  const rotational = columns.map((EI, i) => {
+    const above = i < numStories - 1 ? columns[i + 1] : EI;
+    const columnLineStiffness = 0.5 * (EI + above) / storyHeight;
+    return 12 * beamColumnStiffnessRatio * columnLineStiffness;
+  });
+  const stiffness = condensedFlexuralStiffness(storyHeight, columns, Array(numStories).fill(0), rotational);
+
+  return withLateralStiffness(params, template, stiffness);
+}
+
+/**
+ * Creates a base-isolated shear building: the fixed-base superstructure on an
+ * isolation layer of one elastomeric bearing with the isolation period and
+ * damping of baseIsolation
+ * @param params Building structure parameters with baseIsolation
+ * @returns Structure model whose first DOF is the base displacement
+ */
+export function createBaseIsolatedModel(params: BuildingStructureParams): IsolatedStructureModel {
+  const { baseIsolation } = params;
+
+  if (!baseIsolation) {
+    throw new Error('Base-isolated model requires baseIsolation parameters');
+  }
+
+  const { period, damping, baseMass, height } = baseIsolation;
+  return attachIsolationLayer(createShearBuildingModel(params), {
+    bearings: [{ type: 'elastomeric', dampingRatio: damping }],
+    period,
+    baseMass,
+    height
+  });
+}
+
+/**
+ * Creates the structure model selected by modelType (default: 'shear')
+ * @param params Building structure parameters
+ * @returns Structure model
+ */
+export function createStructureModel(params: BuildingStructureParams): StructureModel {
+  switch (params.modelType ?? 'shear') {
+    case 'shear':
+      return createShearBuildingModel(params);
+    case 'cantilever':
+      return createCantileverModel(params);
+    case 'coupled':
+      return createCoupledBeamModel(params);
+    case 'frame':
+      return createMomentFrameModel(params);
+    case 'base-isolated':
+      return createBaseIsolatedModel(params);
+    default:
+      throw new Error(`Unknown structure model type: ${params.modelType}`);
+  }
+}
+
+export default {
+  createCantileverModel,
+  createCoupledBeamModel,
+  createMomentFrameModel,
+  createBaseIsolatedModel,
+  createStructureModel
+};
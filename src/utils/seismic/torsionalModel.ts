@@ -0,0 +1,341 @@
+import {
+  SeismicWaveform,
+  accelerationUnitScale,
+  getTimeStep
+} from './dataProcessor';
+import {
+  BuildingStructureParams,
+  StructuralResponse,
+  StructureModel,
+  createShearBuildingModel
+} from './simulationEngine';
+import { buildDampingMatrix } from './damping';
+import {
+  IntegratorOptions,
+  bufferRows,
+  createIntegrator,
+  integrateLinearSystem,
+  planTimeStep
+} from './integrators';
+import { zeros } from './linearAlgebra';
+
+/**
+ * Building parameters for a 3D model with rigid floor diaphragms (ux, uy, θz per floor)
+ */
+export interface TorsionalBuildingParams extends BuildingStructureParams {
+  massEccentricity?: { x?: number; y?: number };      // Centre of mass offset from the plan centre (m)
+  stiffnessEccentricity?: { x?: number; y?: number }; // Centre of rigidity offset from the plan centre (m)
+  stiffnessRatioY?: number;   // Story stiffness in y over stiffness in x (default: 1)
+  torsionalFrequencyRatio?: number; // Uncoupled ωθ/ωx (default: from perimeter frames)
+}
+
+/**
+ * 3D structure model; DOFs are ordered [ux, uy, θz] per floor at the plan centre
+ */
+export interface TorsionalStructureModel extends StructureModel {
+  dofsPerFloor: 3;
+  plan: { width: number; depth: number };
+  corners: { x: number; y: number }[]; // Plan corners relative to the plan centre (m)
+}
+
+/**
+ * Horizontal ground motion pair; EW acts along x and NS along y
+ */
+export interface BidirectionalExcitation {
+  EW?: SeismicWaveform;
+  NS?: SeismicWaveform;
+}
+
+/**
+ * Torsional irregularity of each story: maximum over average edge drift
+ */
+export interface TorsionalIrregularity {
+  ratioX: number[];           // Ratio for drifts along x (edges at ±depth/2)
+  ratioY: number[];           // Ratio for drifts along y (edges at ±width/2)
+  maxRatio: number;
+  classification: 'regular' | 'torsional' | 'extreme'; // > 1.2 torsional, > 1.4 extreme (ASCE 7 Type 1a/1b)
+}
+
+/**
+ * Response of a 3D model to bidirectional excitation
+ */
+export interface TorsionalResponse extends StructuralResponse {
+  floorDisplacementX: number[][];   // ux of each floor at the plan centre [time][floor] (m)
+  floorDisplacementY: number[][];   // uy [time][floor] (m)
+  floorRotation: number[][];        // θz [time][floor] (rad)
+  cornerDisplacementX: number[][][]; // [time][floor][corner] (m)
+  cornerDisplacementY: number[][][]; // [time][floor][corner] (m)
+  baseShearX: number[];
+  baseShearY: number[];
+  baseTorque: number[];
+  torsionalIrregularity: TorsionalIrregularity;
+}
+
+/**
+ * Creates a 3D shear building with rigid diaphragms and three DOFs per floor.
+ * Story stiffness comes from the equivalent shear building (so fundamentalPeriod
+ * and the stiffness profile apply to the x direction); the centres of mass and
+ * rigidity may be offset from the plan centre.
+ * @param params Building parameters with plan eccentricities
+ * @returns Structure model with DOFs [ux, uy, θz] per floor
+ */
+export function createTorsionalBuildingModel(params: TorsionalBuildingParams): TorsionalStructureModel {
+  if (params.storySprings) {
+    throw new Error('Nonlinear story springs are not supported by the torsional model');
+  }
+
+  const {
+    numStories,
+    storyHeight,
+    dampingRatio = 0.05,
+    floorDimensions = { width: 12, depth: 12 },
+    massEccentricity = {},
+    stiffnessEccentricity = {},
+    stiffnessRatioY = 1,
+    torsionalFrequencyRatio
+  } = params;
+  const template = createShearBuildingModel({ ...params, storySprings: undefined });
+  const storyStiffness = template.storyStiffness ?? [];
+  const { width, depth } = floorDimensions;
+  const n = 3 * numStories;
+  const radiusOfGyration2 = (width * width + depth * depth) / 12;
+  const emx = massEccentricity.x ?? 0;
+  const emy = massEccentricity.y ?? 0;
+  const esx = stiffnessEccentricity.x ?? 0;
+  const esy = stiffnessEccentricity.y ?? 0;
+
+  // Rigid floor mass about the plan centre with the centre of mass at (emx, emy)
+  const massMatrix = zeros(n);
+  for (let floor = 0; floor < numStories; floor++) {
+    const m = template.massMatrix[floor][floor];
+    const i = 3 * floor;
+    massMatrix[i][i] = m;
+    massMatrix[i + 1][i + 1] = m;
+    massMatrix[i + 2][i + 2] = m * (radiusOfGyration2 + emx * emx + emy * emy);
+    massMatrix[i][i + 2] = massMatrix[i + 2][i] = -m * emy;
+    massMatrix[i + 1][i + 2] = massMatrix[i + 2][i + 1] = m * emx;
+  }
+
+  // Story stiffness about the plan centre with the centre of rigidity at (esx, esy);
+  // the centre of rigidity moves by ux - θ·esy and uy + θ·esx
+  const stiffnessMatrix = zeros(n);
+  storyStiffness.forEach((kx, story) => {
+    const ky = kx * stiffnessRatioY;
+    const kTheta = torsionalFrequencyRatio !== undefined
+      ? torsionalFrequencyRatio * torsionalFrequencyRatio * kx * radiusOfGyration2
+      : (kx * depth * depth + ky * width * width) / 4; // Two frames per direction on the perimeter
+    const k = [
+      [kx, 0, -kx * esy],
+      [0, ky, ky * esx],
+      [-kx * esy, ky * esx, kTheta + kx * esy * esy + ky * esx * esx]
+    ];
+
+    const upper = 3 * story;
+    const lower = 3 * (story - 1);
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) {
+        stiffnessMatrix[upper + a][upper + b] += k[a][b];
+        if (story > 0) {
+          stiffnessMatrix[lower + a][lower + b] += k[a][b];
+          stiffnessMatrix[upper + a][lower + b] -= k[a][b];
+          stiffnessMatrix[lower + a][upper + b] -= k[a][b];
+        }
+      }
+    }
+  });
+
+  const { dampingMatrix, modalDampingRatios } = buildDampingMatrix(massMatrix, stiffnessMatrix, {
+    dampingRatio,
+    ...params.damping
+  });
+
+  return {
+    massMatrix,
+    stiffnessMatrix,
+    dampingMatrix,
+    modalDampingRatios,
+    numDOFs: n,
+    dofsPerFloor: 3,
+    nodeCoordinates: template.nodeCoordinates,
+    elementConnectivity: template.elementConnectivity,
+    properties: { ...params, numStories, storyHeight, floorDimensions },
+    plan: { width, depth },
+    corners: [
+      { x: -width / 2, y: -depth / 2 },
+      { x: width / 2, y: -depth / 2 },
+      { x: width / 2, y: depth / 2 },
+      { x: -width / 2, y: depth / 2 }
+    ]
+  };
+}
+
+/**
+ * Torsional irregularity ratio of each story from the peak drifts at the plan edges
+ * @param model 3D structure model
+ * @param floorDisplacementX ux of each floor [time][floor]
+ * @param floorDisplacementY uy of each floor [time][floor]
+ * @param floorRotation θz of each floor [time][floor]
+ * @returns Ratios per story and direction with the code classification
+ */
+export function torsionalIrregularityRatio(
+  model: TorsionalStructureModel,
+  floorDisplacementX: number[][],
+  floorDisplacementY: number[][],
+  floorRotation: number[][]
+): TorsionalIrregularity {
+  const numFloors = model.numDOFs / 3;
+  const { width, depth } = model.plan;
+  const peak = () => Array.from({ length: numFloors }, () => [0, 0]);
+  const edgeX = peak();
+  const edgeY = peak();
+
+  floorDisplacementX.forEach((ux, t) => {
+    const uy = floorDisplacementY[t];
+    const theta = floorRotation[t];
+    for (let floor = 0; floor < numFloors; floor++) {
+      const below = (values: number[]) => (floor > 0 ? values[floor - 1] : 0);
+      const driftX = ux[floor] - below(ux);
+      const driftY = uy[floor] - below(uy);
+      const twist = theta[floor] - below(theta);
+
+      [-depth / 2, depth / 2].forEach((y, edge) => {
+        edgeX[floor][edge] = Math.max(edgeX[floor][edge], Math.abs(driftX - twist * y));
+      });
+      [-width / 2, width / 2].forEach((x, edge) => {
+        edgeY[floor][edge] = Math.max(edgeY[floor][edge], Math.abs(driftY + twist * x));
+      });
+    }
+  });
+
+  const ratio = ([a, b]: number[]) => {
+    const average = 0.5 * (a + b);
+    return average > 0 ? Math.max(a, b) / average : 1;
+  };
+  const ratioX = edgeX.map(ratio);
+  const ratioY = edgeY.map(ratio);
+  const maxRatio = Math.max(1, ...ratioX, ...ratioY);
+
+  return {
+    ratioX,
+    ratioY,
+    maxRatio,
+    classification: maxRatio > 1.4 ? 'extreme' : maxRatio > 1.2 ? 'torsional' : 'regular'
+  };
+}
+
+/**
+ * Solves a 3D model under bidirectional ground motion
+ * @param model 3D structure model
+ * @param excitation EW (x) and NS (y) components, e.g. from generateThreeComponentWaveform
+ * @param dt Integration time step (default: sample interval of the first component)
+ * @param incidenceAngle Angle from the building x axis to the EW axis (degrees, default: 0)
+ * @param options Integrator selection and parameters
+ * @returns Floor and corner displacements, base forces and torsional irregularity
+ */
+export function solveBidirectionalResponse(
+  model: TorsionalStructureModel,
+  excitation: BidirectionalExcitation,
+  dt?: number,
+  incidenceAngle: number = 0,
+  options: IntegratorOptions = {}
+): TorsionalResponse {
+  const { EW, NS } = excitation;
+  const reference = EW ?? NS;
+  if (!reference) {
+    throw new Error('Bidirectional excitation needs an EW or NS component');
+  }
+
+  const step = getTimeStep(reference);
+  const numSteps = Math.max(EW?.amplitude.length ?? 0, NS?.amplitude.length ?? 0);
+  const toSI = (waveform?: SeismicWaveform) => {
+    const scale = waveform ? accelerationUnitScale(waveform.metadata?.units) : 0;
+    return (t: number) => (waveform ? (waveform.amplitude[t] ?? 0) * scale : 0);
+  };
+  const ew = toSI(EW);
+  const ns = toSI(NS);
+  const angle = incidenceAngle * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // F = -M·(ιx·agx + ιy·agy)
+  const { massMatrix, numDOFs } = model;
+  const numFloors = numDOFs / 3;
+  const influenceX = massMatrix.map(row => row.reduce((sum, m, j) => sum + (j % 3 === 0 ? m : 0), 0));
+  const influenceY = massMatrix.map(row => row.reduce((sum, m, j) => sum + (j % 3 === 1 ? m : 0), 0));
+  const load = (t: number, out: Float64Array) => {
+    const agx = ew(t) * cos - ns(t) * sin;
+    const agy = ew(t) * sin + ns(t) * cos;
+    for (let i = 0; i < numDOFs; i++) {
+      out[i] = -(influenceX[i] * agx + influenceY[i] * agy);
+    }
+  };
+
+  const integrator = createIntegrator(options);
+  const integration = planTimeStep(model, integrator, step, dt, options.substeps);
+  const buffers = integrateLinearSystem(model, load, numSteps, step, integrator, integration.substeps);
+  const displacement = bufferRows(buffers.displacement, numDOFs);
+  const velocity = bufferRows(buffers.velocity, numDOFs);
+  const acceleration = bufferRows(buffers.acceleration, numDOFs);
+  const time = Array.from({ length: numSteps }, (_, i) => reference.time[0] + i * step);
+
+  const component = (values: number[][], offset: number) =>
+    values.map(u => Array.from({ length: numFloors }, (_, floor) => u[3 * floor + offset]));
+  const floorDisplacementX = component(displacement, 0);
+  const floorDisplacementY = component(displacement, 1);
+  const floorRotation = component(displacement, 2);
+
+  const cornerDisplacementX = floorDisplacementX.map((ux, t) =>
+    ux.map((value, floor) => model.corners.map(corner => value - floorRotation[t][floor] * corner.y)));
+  const cornerDisplacementY = floorDisplacementY.map((uy, t) =>
+    uy.map((value, floor) => model.corners.map(corner => value + floorRotation[t][floor] * corner.x)));
+
+  // Base forces are the sums of the floor restoring forces K·u
+  const restoring = displacement.map(u => model.stiffnessMatrix.map(row => row.reduce((sum, k, j) => sum + k * u[j], 0)));
+  const baseResultant = (offset: number) =>
+    restoring.map(f => f.reduce((sum, value, dof) => sum + (dof % 3 === offset ? value : 0), 0));
+  const baseShearX = baseResultant(0);
+  const baseShearY = baseResultant(1);
+
+  // Peak story drift of any corner in either direction
+  const maxDrift = Array(numFloors).fill(0);
+  let maxDisplacement = 0;
+  let maxAcceleration = 0;
+  for (let t = 0; t < numSteps; t++) {
+    for (let floor = 0; floor < numFloors; floor++) {
+      model.corners.forEach((_, corner) => {
+        const dx = cornerDisplacementX[t][floor][corner] - (floor > 0 ? cornerDisplacementX[t][floor - 1][corner] : 0);
+        const dy = cornerDisplacementY[t][floor][corner] - (floor > 0 ? cornerDisplacementY[t][floor - 1][corner] : 0);
+        maxDrift[floor] = Math.max(maxDrift[floor], Math.hypot(dx, dy));
+        maxDisplacement = Math.max(maxDisplacement, Math.hypot(cornerDisplacementX[t][floor][corner], cornerDisplacementY[t][floor][corner]));
+      });
+      maxAcceleration = Math.max(maxAcceleration, Math.hypot(acceleration[t][3 * floor], acceleration[t][3 * floor + 1]));
+    }
+  }
+
+  return {
+    time,
+    displacement,
+    velocity,
+    acceleration,
+    baseShear: baseShearX.map((vx, t) => Math.hypot(vx, baseShearY[t])),
+    maxDrift,
+    maxDisplacement,
+    maxAcceleration,
+    integration,
+    floorDisplacementX,
+    floorDisplacementY,
+    floorRotation,
+    cornerDisplacementX,
+    cornerDisplacementY,
+    baseShearX,
+    baseShearY,
+    baseTorque: baseResultant(2),
+    torsionalIrregularity: torsionalIrregularityRatio(model, floorDisplacementX, floorDisplacementY, floorRotation)
+  };
+}
+
+export default {
+  createTorsionalBuildingModel,
+  torsionalIrregularityRatio,
+  solveBidirectionalResponse
+};
@@ -1,5 +1,12 @@
 import * as THREE from 'three';
-import { SeismicWaveform } from './dataProcessor';
+import {
+  SeismicWaveform,
+  getTimeStep,
+  calculateResponseSpectrum,
+  correctBaseline
+} from './dataProcessor';
+import { fft, nextPowerOfTwo } from './fft';
+import { createRandom, randomSeed } from './random';
 
 /**
  * Parameters for generating seismic waveforms
@@ -11,7 +18,7 @@ export interface WaveformGeneratorParams {
   distance?: number;          // Distance from epicenter in km
   depth?: number;             // Focal depth in km
   soilType?: 'rock' | 'stiff' | 'soft' | 'very-soft'; // Site soil type
-  seedValue?: number;         // Random seed for reproducibility
+  seedValue?: number | string; // Random seed for reproducibility (random if omitted)
   peakAcceleration?: number;  // Target peak ground acceleration in g
   component?: 'N-S' | 'E-W' | 'Z'; // Component direction
 }
@@ -26,6 +33,7 @@ export interface WaveformShapeParams {
   delay?: number;             // Time delay in seconds
   duration?: number;          // Pulse duration in seconds
   customFunction?: (t: number) => number; // Custom waveform function
+  seedValue?: number | string; // Random seed for 'noise' waveforms
 }
 
 /**
@@ -35,8 +43,21 @@ export interface SpectrumParams {
   periods: number[];          // Array of period values in seconds
   targetSpectrum: number[];   // Target spectral acceleration values
   iterations?: number;        // Number of iterations for matching
-  tolerance?: number;         // Convergence tolerance
+  tolerance?: number;         // Convergence tolerance (maximum relative misfit)
   dampingRatio?: number;      // Damping ratio (default: 0.05 = 5%)
+  seedValue?: number | string; // Seed of the generated base waveform (when none is given)
+}
+
+/**
+ * Outcome of spectral matching, stored in the matched waveform's metadata
+ */
+export interface SpectralMatchResult {
+  iterations: number;         // Iterations performed
+  converged: boolean;         // Whether the maximum misfit fell below tolerance
+  maxMisfit: number[];        // Maximum |Sa / target - 1| before each iteration and after the last
+  meanMisfit: number[];       // Mean |Sa / target - 1| at the same points
+  tolerance: number;
+  dampingRatio: number;
 }
 
 /**
@@ -52,17 +73,14 @@ export function generateRealisticWaveform(params: WaveformGeneratorParams = {}):
     distance = 25,
     depth = 10,
     soilType = 'stiff',
-    seedValue = Math.random() * 1000,
+    seedValue = randomSeed(),
     peakAcceleration = 0.3,
     component = 'E-W'
   } = params;
   
   // Use seedValue to generate reproducible random numbers
-  const seed = seedValue;
-  const random = () => {
-    const x = Math.sin(seed++) * 10000;
-    return x - Math.floor(x);
-  };
+  const rng = createRandom(seedValue);
+  const random = rng.next;
   
   // Calculate expected peak ground acceleration based on magnitude and distance
   // This is a simplified empirical relationship
@@ -185,7 +203,8 @@ export function generateRealisticWaveform(params: WaveformGeneratorParams = {}):
       distance,
       sampleRate,
       component,
-      units: 'g'
+      units: 'g',
+      seed: seedValue
     }
   };
 }
@@ -207,9 +226,11 @@ export function generateShapeWaveform(
     frequency = 1.0,
     amplitude = 1.0,
     delay = 0.0,
-    customFunction
+    customFunction,
+    seedValue = 0
   } = shape;
   
+  const random = createRandom(seedValue);
   const numPoints = Math.floor(duration * sampleRate);
   const time: number[] = [];
   const waveformAmplitude: number[] = [];
@@ -254,7 +275,7 @@ export function generateShapeWaveform(
         
       case 'noise': {
         // Random noise
-        value = Math.random() * 2 - 1;
+        value = random.uniform(-1, 1);
         break;
       }
         
@@ -281,10 +302,15 @@ export function generateShapeWaveform(
 }
 
 /**
- * Generate a spectrum-compatible accelerogram
- * @param spectrumParams Target response spectrum parameters
+ * Generate a spectrum-compatible accelerogram by iterative frequency-domain
+ * scaling. At each iteration the Fourier amplitudes are multiplied by the
+ * ratio of target to current spectral acceleration, interpolated in
+ * log-frequency, while the Fourier phase is kept. Keeping the phase keeps
+ * the arrival times and envelope of the seed record, so its nonstationary
+ * character is preserved. A baseline correction follows each iteration.
+ * @param spectrumParams Target response spectrum parameters (target in the waveform's units)
  * @param baseWaveform Starting waveform to adjust (if not provided, a random one is generated)
- * @returns Spectrum-compatible waveform
+ * @returns Spectrum-compatible waveform with the misfit history in metadata.spectralMatch
  */
 export function generateSpectrumCompatibleWaveform(
   spectrumParams: SpectrumParams,
@@ -295,23 +321,112 @@ export function generateSpectrumCompatibleWaveform(
     targetSpectrum,
     iterations = 10,
     tolerance = 0.1,
-    dampingRatio = 0.05
+    dampingRatio = 0.05,
+    seedValue
   } = spectrumParams;
   
+  if (periods.length !== targetSpectrum.length || periods.length === 0) {
+    throw new Error('Spectrum matching needs one target value for each period');
+  }
+  if (periods.some(period => period <= 0) || targetSpectrum.some(value => value <= 0)) {
+    throw new Error('Target periods and spectral accelerations must be positive');
+  }
+  
   // Generate a base waveform if not provided
   const waveform = baseWaveform || generateRealisticWaveform({
     duration: 30,
-    sampleRate: 100
+    sampleRate: 100,
+    seedValue
   });
   
-  // In a real implementation, this would involve an iterative process
-  // to adjust the waveform until its response spectrum matches the target
-  // This is a complex algorithm (response spectrum matching)
+  const dt = getTimeStep(waveform);
+  const n = waveform.amplitude.length;
+  const size = nextPowerOfTwo(2 * n);
+  
+  // Matching is applied over the frequency range spanned by the target, within Nyquist
+  const order = periods.map((_, i) => i).sort((i, j) => periods[j] - periods[i]);
+  const logFrequencies = order.map(i => Math.log(1 / periods[i]));
+  const nyquist = 1 / (2 * dt);
+  
+  let current: SeismicWaveform = waveform;
+  const maxMisfit: number[] = [];
+  const meanMisfit: number[] = [];
+  let performed = 0;
+  
+  const evaluate = (record: SeismicWaveform) => {
+    const { acceleration } = calculateResponseSpectrum(record, periods, dampingRatio);
+    const ratios = acceleration.map((sa, i) => targetSpectrum[i] / Math.max(sa, 1e-12));
+    const errors = acceleration.map((sa, i) => Math.abs(sa / targetSpectrum[i] - 1));
+    maxMisfit.push(Math.max(...errors));
+    meanMisfit.push(errors.reduce((sum, e) => sum + e, 0) / errors.length);
+    return ratios;
+  };
+  
+  let ratios = evaluate(current);
+  
+  while (performed < iterations && maxMisfit[maxMisfit.length - 1] > tolerance) {
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    current.amplitude.forEach((value, i) => { re[i] = value; });
+    fft(re, im);
+    
+    const sortedRatios = order.map(i => ratios[i]);
+    
+    // Scale each positive-frequency bin and its negative-frequency mirror
+    for (let k = 1; k <= size / 2; k++) {
+      const f = k / (size * dt);
+      if (f > nyquist) break;
+      
+      const logF = Math.log(f);
+      let ratio: number;
+      
+      if (logF <= logFrequencies[0]) {
+        ratio = sortedRatios[0];
+      } else if (logF >= logFrequencies[logFrequencies.length - 1]) {
+        ratio = sortedRatios[sortedRatios.length - 1];
+      } else {
+        let j = 1;
+        while (logFrequencies[j] < logF) j++;
+        const w = (logF - logFrequencies[j - 1]) / (logFrequencies[j] - logFrequencies[j - 1]);
+        ratio = sortedRatios[j - 1] * (1 - w) + sortedRatios[j] * w;
+      }
+      
+      re[k] *= ratio;
+      im[k] *= ratio;
+      if (k !== size / 2) {
+        re[size - k] *= ratio;
+        im[size - k] *= ratio;
+      }
+    }
+    
+    fft(re, im, true);
+    
+    current = correctBaseline(
+      { ...current, amplitude: Array.from(re.subarray(0, n)) },
+      { method: 'polynomial', polynomialOrder: 2 }
+    );
+    performed++;
+    ratios = evaluate(current);
+  }
   
-  // For this example, we'll just return the base waveform with a warning
-  console.warn('Spectrum matching is not fully implemented - returning base waveform');
+  const spectralMatch: SpectralMatchResult = {
+    iterations: performed,
+    converged: maxMisfit[maxMisfit.length - 1] <= tolerance,
+    maxMisfit,
+    meanMisfit,
+    tolerance,
+    dampingRatio
+  };
   
-  return waveform;
+  return {
+    time: waveform.time,
+    amplitude: current.amplitude,
+    metadata: {
+      ...waveform.metadata,
+      baselineCorrection: current.metadata?.baselineCorrection,
+      spectralMatch
+    }
+  };
 }
 
 /**
@@ -353,12 +468,15 @@ export function generateVerticalComponent(
 export function generateThreeComponentWaveform(
   params: WaveformGeneratorParams = {}
 ): { EW: SeismicWaveform; NS: SeismicWaveform; Z: SeismicWaveform } {
+  // Resolve the seed once so both horizontal components derive from it
+  const seedValue = params.seedValue ?? randomSeed();
+  
   // Generate primary component (E-W)
-  const ewParams = { ...params, component: 'E-W' };
+  const ewParams: WaveformGeneratorParams = { ...params, component: 'E-W', seedValue };
   const ewWaveform = generateRealisticWaveform(ewParams);
   
   // Generate N-S component (correlated but different from E-W)
-  const nsParams = { ...params, component: 'N-S', seedValue: (params.seedValue || 0) + 1000 };
+  const nsParams: WaveformGeneratorParams = { ...params, component: 'N-S', seedValue: `${seedValue}:N-S` };
   const nsWaveform = generateRealisticWaveform(nsParams);
   
   // Generate vertical component